@@ -19,10 +19,13 @@
 
 var gui = require('nw.gui');
 var doTests = false
+var doBuild = false;
 
 gui.App.argv.forEach(function (val, index, array) {
   if (val == '--test') {
     doTests = true
+  } else if (val == '--build') {
+    doBuild = true;
   }
 });
 
@@ -36,6 +39,12 @@ var options = {
 if (doTests) {
   options.title = 'DevTools Unit Tests'
   nw.Window.open('tests.html', options, function(win) {});
+} else if (doBuild) {
+  // Builds the project given by --build into the directory given by --out,
+  // then exits. See src/project_builder.js.
+  options.title = 'DevTools Build';
+  options.show = false;
+  nw.Window.open('build.html', options, function(win) {});
 } else {
   options.title = 'Blockly DevTools'
   nw.Window.open('app.html', options, function(win) {});
@@ -366,6 +366,25 @@ DevToolsToolboxes.blockFactory = `
     </block>
     <block type="input_dummy"></block>
   </category>
+  <category name="Mutator">
+    <block type="mutator_container">
+      <statement name="ITEMS">
+        <block type="mutator_item">
+          <value name="TYPE">
+            <shadow type="type_null"></shadow>
+          </value>
+        </block>
+      </statement>
+    </block>
+    <block type="mutator_item">
+      <value name="TYPE">
+        <shadow type="type_null"></shadow>
+      </value>
+    </block>
+  </category>
+  <category name="Extension">
+    <block type="extension"></block>
+  </category>
   <category name="Field">
     <block type="field_static"></block>
     <block type="field_input"></block>
@@ -382,6 +401,7 @@ DevToolsToolboxes.blockFactory = `
     <block type="field_variable"></block>
     <block type="field_image"></block>
   </category>
+  <category name="Custom Field" custom="CUSTOM_FIELD"></category>
   <category name="Type">
     <block type="type_group"></block>
     <block type="type_null"></block>
@@ -40,6 +40,7 @@
   appendScript('lib/blockly_compressed.js');
   appendScript('msg/js/en.js');
   appendScript('lib/blocks_compressed.js');
+  appendScript('lib/javascript_compressed.js');
   appendScript('closure-library/closure/goog/base.js');  // Must be after Blockly
   appendScript('src/factory_utils.js');
   appendScript('src/list_element.js');
@@ -60,6 +61,10 @@
   appendScript('src/model/workspace_configuration_set.js');
   appendScript('src/model/workspace_contents_set.js');
   appendScript('src/model/project.js');
+  appendScript('src/project_format.js');
+  appendScript('src/project_history.js');
+  appendScript('src/project_validator.js');
+  appendScript('src/project_builder.js');
 
   appendScript('src/view/navigation_tree.js');
   appendScript('src/view/block_editor_view.js');
@@ -74,6 +79,12 @@
   appendScript('src/view/app_view.js');
   appendScript('src/view/save_project_popup_view.js');
   appendScript('src/view/open_project_popup_view.js');
+  appendScript('src/view/block_usages_popup_view.js');
+  appendScript('src/view/validation_popup_view.js');
+  appendScript('src/view/extensions_popup_view.js');
+  appendScript('src/view/field_types_popup_view.js');
+  appendScript('src/view/translations_popup_view.js');
+  appendScript('src/view/workspace_preview_view.js');
   appendScript('src/view/toolbox_editor_view.js');
   appendScript('src/view/workspace_editor_view.js');
   appendScript('node_modules/jstree/dist/jstree.min.js');
@@ -90,6 +101,12 @@
   appendScript('src/controller/read_write_controller.js');
   appendScript('src/controller/new_library_popup_controller.js');
   appendScript('src/controller/new_project_popup_controller.js');
+  appendScript('src/controller/block_usages_popup_controller.js');
+  appendScript('src/controller/validation_popup_controller.js');
+  appendScript('src/controller/extensions_popup_controller.js');
+  appendScript('src/controller/field_types_popup_controller.js');
+  appendScript('src/controller/translations_popup_controller.js');
+  appendScript('src/controller/workspace_preview_controller.js');
   appendScript('src/controller/editor_controller.js');
   appendScript('src/controller/app_controller.js');
 
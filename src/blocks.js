@@ -39,6 +39,11 @@ Blockly.Blocks['factory_base'] = {
         ['inline inputs', 'INT']]);
     this.appendDummyInput()
         .appendField(dropdown, 'INLINE');
+    dropdown = new Blockly.FieldDropdown([
+        ['single message', 'SINGLE'],
+        ['message per input', 'MULTI']]);
+    this.appendDummyInput()
+        .appendField(dropdown, 'MESSAGES');
     dropdown = new Blockly.FieldDropdown([
         ['no connections', 'NONE'],
         ['← left output', 'LEFT'],
@@ -52,6 +57,12 @@ Blockly.Blocks['factory_base'] = {
         });
     this.appendDummyInput()
         .appendField(dropdown, 'CONNECTIONS');
+    this.appendValueInput('MUTATOR')
+        .setCheck('Mutator')
+        .appendField('mutator');
+    this.appendStatementInput('EXTENSIONS')
+        .setCheck('Extension')
+        .appendField('extensions');
     this.appendValueInput('TOOLTIP')
         .setCheck('String')
         .appendField('tooltip');
@@ -613,6 +624,67 @@ Blockly.Blocks['field_image'] = {
   }
 };
 
+Blockly.Blocks['field_custom'] = {
+  // Field of a custom type registered in the project.
+  init: function() {
+    this.setColour(160);
+    this.fieldType_ = '';
+    this.updateShape_();
+    this.setPreviousStatement(true, 'Field');
+    this.setNextStatement(true, 'Field');
+    this.setTooltip('Field of a custom type, which is registered in the ' +
+                    'project with Edit > Field Types.');
+  },
+  mutationToDom: function() {
+    // Create XML to represent the type of the field.
+    var container = document.createElement('mutation');
+    container.setAttribute('type', this.fieldType_);
+    return container;
+  },
+  domToMutation: function(container) {
+    // Parse XML to restore the type of the field.
+    this.fieldType_ = container.getAttribute('type') || '';
+    this.updateShape_();
+  },
+  updateShape_: function() {
+    // Add an input for each JSON parameter of the field type.
+    while (this.inputList.length) {
+      this.removeInput(this.inputList[0].name);
+    }
+    this.appendDummyInput('TYPE')
+        .appendField(this.fieldType_ || 'custom field')
+        .appendField(',')
+        .appendField(new Blockly.FieldTextInput('NAME'), 'FIELDNAME');
+    var params = FactoryUtils.getFieldTypeParams(this.fieldType_) || {};
+    for (var param in params) {
+      var value = params[param];
+      var field;
+      if (typeof value == 'number') {
+        field = new Blockly.FieldNumber(value);
+      } else if (typeof value == 'boolean') {
+        field = new Blockly.FieldCheckbox(value ? 'TRUE' : 'FALSE');
+      } else {
+        field = new Blockly.FieldTextInput(
+            typeof value == 'string' ? value : JSON.stringify(value));
+      }
+      this.appendDummyInput('PARAM_' + param)
+          .appendField(param)
+          .appendField(field, 'PARAM_' + param);
+    }
+  },
+  onchange: function() {
+    if (!this.workspace) {
+      // Block has been deleted.
+      return;
+    }
+    fieldNameCheck(this);
+    if (!FactoryUtils.getFieldTypeParams(this.fieldType_)) {
+      this.setWarningText('There is no field type\n named "' +
+          this.fieldType_ + '".');
+    }
+  }
+};
+
 Blockly.Blocks['type_group'] = {
   // Group of types.
   init: function() {
@@ -854,6 +926,125 @@ Blockly.Blocks['colour_hue'] = {
   }
 };
 
+Blockly.Blocks['mutator_container'] = {
+  // Mutator which lets the user add items, and the inputs of each item, to
+  // the block.
+  init: function() {
+    this.jsonInit({
+      "message0": "mutator %1",
+      "args0": [
+        {
+          "type": "field_input",
+          "name": "LABEL",
+          "text": "items"
+        }
+      ],
+      "message1": "items %1",
+      "args1": [
+        {
+          "type": "input_statement",
+          "name": "ITEMS",
+          "check": "MutatorItem"
+        }
+      ],
+      "output": "Mutator",
+      "colour": 160,
+      "tooltip": "Lets the user add items to the block in a mutator dialog. " +
+          "The text is shown on the top block of the dialog.",
+      "helpUrl": "https://developers.google.com/blockly/guides/create-custom-blocks/mutators"
+    });
+  }
+};
+
+Blockly.Blocks['mutator_item'] = {
+  // Item of a mutator, which adds an input to the block each time it is added
+  // in the mutator dialog.
+  init: function() {
+    this.jsonInit({
+      "message0": "item %1",
+      "args0": [
+        {
+          "type": "field_input",
+          "name": "LABEL",
+          "text": "item"
+        }
+      ],
+      "message1": "adds %1 input %2",
+      "args1": [
+        {
+          "type": "field_dropdown",
+          "name": "INPUTTYPE",
+          "options": [['value', 'input_value'], ['statement', 'input_statement']]
+        },
+        {
+          "type": "field_input",
+          "name": "INPUTNAME",
+          "text": "ITEM"
+        }
+      ],
+      "message2": "with text %1",
+      "args2": [
+        {
+          "type": "field_input",
+          "name": "TEXT",
+          "text": ""
+        }
+      ],
+      "message3": "count attribute %1",
+      "args3": [
+        {
+          "type": "field_input",
+          "name": "ATTRIBUTE",
+          "text": "items"
+        }
+      ],
+      "message4": TYPE_MESSAGE,
+      "args4": TYPE_ARGS,
+      "previousStatement": "MutatorItem",
+      "nextStatement": "MutatorItem",
+      "colour": 160,
+      "tooltip": "Each time this item is added in the mutator dialog, an " +
+          "input named with the input name and a number is added to the " +
+          "block. The number of items is saved in the mutation attribute.",
+      "helpUrl": "https://developers.google.com/blockly/guides/create-custom-blocks/mutators"
+    });
+  },
+  onchange: function() {
+    inputNameCheck(this);
+  }
+};
+
+Blockly.Blocks['extension'] = {
+  // Extension applied to the block once it is initialized.
+  init: function() {
+    this.jsonInit({
+      "message0": "extension %1",
+      "args0": [
+        {
+          "type": "field_input",
+          "name": "NAME",
+          "text": "parent_tooltip_when_inline"
+        }
+      ],
+      "previousStatement": "Extension",
+      "nextStatement": "Extension",
+      "colour": 160,
+      "tooltip": "Applies an extension built into Blockly, or defined in " +
+          "the project with Edit > Extensions, to the block.",
+      "helpUrl": "https://developers.google.com/blockly/guides/create-custom-blocks/extensions"
+    });
+  },
+  onchange: function() {
+    if (!this.workspace) {
+      // Block has been deleted.
+      return;
+    }
+    var name = this.getFieldValue('NAME').trim();
+    this.setWarningText(Blockly.Extensions.ALL_[name] ? null :
+        'There is no extension\n named "' + name + '".');
+  }
+};
+
 /**
  * Check to see if more than one field has this name.
  * Highly inefficient (On^2), but n is small.
@@ -31,15 +31,21 @@ goog.provide('AppController');
 goog.provide('PREFIXES');
 
 goog.require('AppView');
+goog.require('BlockUsagesPopupController');
 goog.require('EditorController');
+goog.require('ExtensionsPopupController');
 goog.require('FactoryUtils');
+goog.require('FieldTypesPopupController');
 goog.require('NewBlockPopupController');
 goog.require('NewLibraryPopupController');
 goog.require('NewProjectPopupController');
 goog.require('PopupController');
+goog.require('ProjectValidator');
 goog.require('SaveProjectPopupController');
+goog.require('TranslationsPopupController');
 goog.require('Project');
 goog.require('ProjectController');
+goog.require('ValidationPopupController');
 
 goog.require('goog.dom.classlist');
 goog.require('goog.dom.xml');
@@ -259,8 +265,7 @@ class AppController {
    * Prompts user to either open a preexisting project or create a new project.
    */
   openProject() {
-    // TODO: Implement.
-    console.warn('Unimplemented: openProject()');
+    this.readWriteController.openProject();
   }
 
   /**
@@ -286,6 +291,64 @@ class AppController {
     });
   }
 
+  /**
+   * Replaces the project being edited with the given project (e.g. one that was
+   * reopened from the file system). Rebuilds the navtree from the new project,
+   * then opens its first resource in the corresponding editor.
+   * @param {!Project} project The project to edit.
+   */
+  loadProject(project) {
+    this.project = project;
+    this.projectController.setProject(project);
+    try {
+      project.defineFieldTypes();
+    } catch (e) {
+      window.alert('Could not register the field types of the project:\n' +
+          (e.message || e));
+    }
+    try {
+      project.defineExtensions();
+    } catch (e) {
+      window.alert('Could not register the extensions of the project:\n' +
+          (e.message || e));
+    }
+    this.view.updateTypeDeclarationsItem();
+    this.view.updateLocalizeBlocksItem();
+    this.selectionHistory = [];
+    // The open editor shows a resource of the previous project, so it must
+    // not be saved into the loaded project when the first resource opens.
+    this.editorController.currentEditor = null;
+    this.tree.clear(() => {
+      this.openFirstResource_();
+    });
+  }
+
+  /**
+   * Selects the first resource of the project in the navtree, which switches
+   * to the editor for that resource. Blocks are preferred, followed by
+   * toolboxes, workspace contents, and workspace configurations.
+   * @private
+   */
+  openFirstResource_() {
+    const project = this.project;
+    let nodeId = null;
+    if (project.getBlockTypes().length) {
+      nodeId = PREFIXES.BLOCK + '_' + project.getBlockTypes()[0];
+    } else if (project.getToolboxNames().length) {
+      nodeId = PREFIXES.TOOLBOX + '_' + project.getToolboxNames()[0];
+    } else if (project.getWorkspaceContentsNames().length) {
+      nodeId = PREFIXES.WORKSPACE_CONTENTS + '_' +
+          project.getWorkspaceContentsNames()[0];
+    } else if (project.getWorkspaceConfigurationNames().length) {
+      nodeId = PREFIXES.WORKSPACE_CONFIG + '_' +
+          project.getWorkspaceConfigurationNames()[0];
+    }
+    if (nodeId) {
+      this.tree.getTree().deselect_all();
+      this.tree.getTree().select_node(nodeId);
+    }
+  }
+
   /**
    * Populates navtree with sample resources.
    */
@@ -302,6 +365,56 @@ class AppController {
     projController.createBlockLibrary('MyFirstBlockLibrary');
     this.editorController.blockEditorController.createNewBlock(
         '', 'myFirstBlock', 'MyFirstBlockLibrary', 'My Block');
+    // The sample resources are not something the user can undo.
+    projController.history.clear();
+  }
+
+  /**
+   * Top-level function which undoes the most recent project-level operation
+   * (e.g. removing a block), then shows the affected resource.
+   */
+  undo() {
+    this.editorController.saveChanges();
+    if (!this.projectController.history.canUndo()) {
+      return;
+    }
+    this.showAfterHistoryChange_(this.projectController.undo());
+  }
+
+  /**
+   * Top-level function which redoes the most recently undone project-level
+   * operation, then shows the affected resource.
+   */
+  redo() {
+    this.editorController.saveChanges();
+    if (!this.projectController.history.canRedo()) {
+      return;
+    }
+    this.showAfterHistoryChange_(this.projectController.redo());
+  }
+
+  /**
+   * Rebuilds the navtree from the project after an operation has been undone
+   * or redone, then opens the affected resource. If there is none, reopens the
+   * previously open resource, or the first resource if it no longer exists.
+   * @param {?string} nodeId Navtree node ID of the affected resource.
+   * @private
+   */
+  showAfterHistoryChange_(nodeId) {
+    const lastNodeId = this.selectionHistory[this.selectionHistory.length - 1];
+    // The open editor shows the project as it was before the change, so it
+    // must not be saved when it is reloaded.
+    this.editorController.currentEditor = null;
+    this.tree.clear(() => {
+      const tree = this.tree.getTree();
+      const id = [nodeId, lastNodeId].find((id) => id && tree.get_node(id));
+      if (id) {
+        tree.deselect_all();
+        tree.select_node(id);
+      } else {
+        this.openFirstResource_();
+      }
+    });
   }
 
   /**
@@ -312,22 +425,318 @@ class AppController {
     this.readWriteController.saveProject();
   }
 
+  /**
+   * Top-level function which is first called in order to export the entire
+   * project as a single bundle file.
+   */
+  exportProject() {
+    const bundle = this.projectController.exportProject();
+    const fileName = this.project.name + '.json';
+    FactoryUtils.createAndDownloadFile(bundle, fileName, 'application/json');
+  }
+
+  /**
+   * Sets whether TypeScript declarations are written for the block libraries
+   * of the project when it is saved, and when a library is exported.
+   * @param {boolean} enabled Whether to write the declarations.
+   */
+  setTypeDeclarations(enabled) {
+    this.project.typeDeclarations = enabled;
+  }
+
+  /**
+   * Sets whether the text of blocks is exported as references to messages,
+   * so that blocks can be translated. Refreshes the block editor, which shows
+   * definitions as they are exported.
+   * @param {boolean} enabled Whether to localize the text of blocks.
+   */
+  setLocalizeBlocks(enabled) {
+    this.project.localizeBlocks = enabled;
+    this.refreshBlockEditor();
+  }
+
+  /**
+   * Refreshes the previews of the block editor if it is open, e.g. after the
+   * field types, extensions or messages of the project change.
+   */
+  refreshBlockEditor() {
+    const editor = this.editorController.currentEditor;
+    if (editor instanceof BlockEditorController) {
+      editor.refreshPreviews();
+    }
+  }
+
+  /**
+   * Top-level function which is first called in order to export the message
+   * files of the project. Asks the user for a directory, to which a message
+   * file is written for each locale.
+   */
+  exportMessages() {
+    this.editorController.saveChanges();
+    this.chooseDirectory_((directory) => {
+      try {
+        new ProjectBuilder(this.project, this.hiddenWorkspace)
+            .buildMessages(directory);
+      } catch (e) {
+        window.alert('Could not export the messages:\n' + (e.message || e));
+        return;
+      }
+      window.alert('Exported the messages of ' +
+          this.project.getLocales().join(', ') + ' to ' + directory + '.');
+    });
+  }
+
+  /**
+   * Top-level function which is first called in order to export the project
+   * as an ES module package. Asks the user for a directory, in which the
+   * package is written to a folder named after it.
+   */
+  exportPackage() {
+    this.editorController.saveChanges();
+    this.chooseDirectory_((directory) => {
+      const outDir = path.join(directory,
+          ProjectBuilder.getPackageName(this.project.name));
+      try {
+        new ProjectBuilder(this.project, this.hiddenWorkspace)
+            .buildPackage(outDir);
+      } catch (e) {
+        window.alert('Could not export the package:\n' + (e.message || e));
+        return;
+      }
+      window.alert('Exported the package to ' + outDir + '.');
+    });
+  }
+
+  /**
+   * Top-level function which is first called in order to import a project
+   * bundle, replacing the project currently being edited.
+   */
+  importProject() {
+    this.readWriteController.importProject();
+  }
+
+  /**
+   * Top-level function which is first called in order to import a file of
+   * block definitions. Blocks are imported into a library named after the
+   * file, or into the library of the block open in the block editor.
+   * @param {boolean} intoCurrentLibrary Whether to import into the library of
+   *     the block open in the block editor.
+   */
+  importBlockLibrary(intoCurrentLibrary) {
+    this.chooseFile_('.js,.json', (filepath) => {
+      const libraryName =
+          intoCurrentLibrary ? this.getCurrentLibraryName_() : null;
+      let result;
+      try {
+        result = this.editorController.blockEditorController.
+            importBlockLibraryFromFile(filepath, libraryName);
+      } catch (e) {
+        console.error(e);
+        window.alert('Could not import blocks from ' + filepath + ':\n' + e);
+        return;
+      }
+      if (result.skipped.length) {
+        window.alert('These blocks were not imported, as blocks of the same ' +
+            'types already exist in the project:\n' +
+            result.skipped.join(', '));
+      }
+      if (result.imported.length) {
+        this.switchEnvironment(AppController.BLOCK_EDITOR, result.imported[0]);
+      } else if (!result.skipped.length) {
+        window.alert('No blocks were found in ' + filepath + '.');
+      }
+    });
+  }
+
+  /**
+   * Top-level function which is first called in order to import a toolbox from
+   * a JS file generated by DevTools or a toolbox XML file. The toolbox is added
+   * to the project and opened in the toolbox editor. If it uses blocks which
+   * are not defined, which cannot be shown, the user chooses whether to import
+   * it without them.
+   */
+  importToolbox() {
+    this.chooseFile_('.js,.xml', (filepath) => {
+      const toolboxController = this.editorController.toolboxController;
+      let extracted;
+      try {
+        extracted = toolboxController.extractToolboxXml(
+            fs.readFileSync(filepath, 'utf8'));
+      } catch (e) {
+        console.error(e);
+        window.alert('Could not import a toolbox from ' + filepath + ':\n' + e);
+        return;
+      }
+      const undefinedTypes = FactoryUtils.getBlockTypesInXml(
+          Blockly.Xml.textToDom(extracted.xmlString)).filter(
+          (blockType) => !Blockly.Blocks[blockType]);
+      if (undefinedTypes.length && !window.confirm('These blocks in ' +
+          filepath + ' are not defined in the project:\n' +
+          undefinedTypes.join(', ') + '\n\nImport the toolbox without them? ' +
+          'To keep them, cancel, and import or create their definitions ' +
+          'first.')) {
+        return;
+      }
+      let name = extracted.name ||
+          path.basename(filepath, path.extname(filepath));
+      if (this.project.getToolbox(name)) {
+        name = this.getResourceName_(PREFIXES.TOOLBOX);
+        if (!name) {
+          return;
+        }
+      }
+      const toolbox = this.projectController.createToolbox(name);
+      this.switchEnvironment(AppController.TOOLBOX_EDITOR, toolbox);
+      toolboxController.loadImportedToolbox(name, extracted.xmlString);
+    });
+  }
+
+  /**
+   * Top-level function which is first called in order to import workspace
+   * contents from a JS file generated by DevTools or a workspace XML file. The
+   * workspace contents are added to the project and opened in the workspace
+   * editor.
+   */
+  importWorkspaceContents() {
+    this.chooseFile_('.js,.xml', (filepath) => {
+      const workspaceController = this.editorController.workspaceController;
+      let extracted;
+      try {
+        extracted = workspaceController.extractWorkspaceContentsXml(
+            fs.readFileSync(filepath, 'utf8'));
+      } catch (e) {
+        console.error(e);
+        window.alert('Could not import workspace contents from ' + filepath +
+            ':\n' + e);
+        return;
+      }
+      let name = extracted.name ||
+          path.basename(filepath, path.extname(filepath));
+      if (this.project.getWorkspaceContents(name)) {
+        name = this.getResourceName_(
+            PREFIXES.WORKSPACE_CONTENTS, 'WorkspaceContents');
+        if (!name) {
+          return;
+        }
+      }
+      const workspaceContents =
+          this.projectController.createWorkspaceContents(name);
+      this.switchEnvironment(AppController.WORKSPACE_EDITOR, workspaceContents);
+      const undefinedTypes = workspaceController.loadImportedWorkspaceContents(
+          name, extracted.xmlString);
+      if (undefinedTypes.length) {
+        window.alert('These blocks were left out of the imported workspace ' +
+            'contents, as they are not defined in the project:\n' +
+            undefinedTypes.join(', '));
+      }
+    });
+  }
+
+  /**
+   * Top-level function which is first called in order to export the library
+   * of the block open in the block editor.
+   */
+  exportCurrentLibrary() {
+    const libraryName = this.getCurrentLibraryName_();
+    if (!libraryName) {
+      window.alert('Open a block to export the library it belongs to.');
+      return;
+    }
+    this.editorController.blockEditorController.
+        exportBlockLibraryToFile(libraryName);
+  }
+
+  /**
+   * Returns the name of the library of the block open in the block editor.
+   * @return {?string} Name of the library, or null if no block is open.
+   * @private
+   */
+  getCurrentLibraryName_() {
+    const blockDef =
+        this.editorController.blockEditorController.view.blockDefinition;
+    const library = blockDef && this.projectController.getLibrary(blockDef.type());
+    return library ? library.name : null;
+  }
+
+  /**
+   * Asks the user to choose a file, then calls back with its path.
+   * @param {string} accept Comma-separated file extensions to accept.
+   * @param {function(string)} callback Called with the path of the chosen file.
+   * @private
+   */
+  chooseFile_(accept, callback) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.addEventListener('change', () => {
+      if (input.value) {
+        callback(input.value);
+      }
+    });
+    input.click();
+  }
+
+  /**
+   * Asks the user to choose a directory, then calls back with its path.
+   * @param {function(string)} callback Called with the path of the chosen
+   *     directory.
+   * @private
+   */
+  chooseDirectory_(callback) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.setAttribute('nwdirectory', '');
+    input.addEventListener('change', () => {
+      if (input.value) {
+        callback(input.value);
+      }
+    });
+    input.click();
+  }
+
   /**
    * Top-level function which is first called in order to create a sample
    * Blockly application with user-defined workspace, toolbox, and blocks.
+   * Shows a popup in which the user chooses the resources of the application
+   * and previews it before exporting it.
    */
   saveSampleApplication() {
     // REFACTORED: Moved in from wfactory_controller.js:exportInjectFile()
+    this.editorController.saveChanges();
+    if (this.popupController) {
+      this.popupController.exit();
+    }
+    this.popupController = new WorkspacePreviewController(this);
+    this.popupController.show();
+  }
 
-    // Generate file contents for inject file.
-    const injectFileContents = this.projectController.generateInjectString();
-    // Get file name from user.
-    const fileName = 'my_blockly_application.html';
-
-    // TODO: Replace with node style file writing in the project's web export
-    // directory.
-    FactoryUtils.createAndDownloadFile(injectFileContents,
-        fileName, 'application/xhtml+xml');
+  /**
+   * Asks the user for a directory, in which a sample Blockly application is
+   * written to a my_blockly_application folder.
+   * @param {!Object} options The resources of the application, as described
+   *     in ProjectController.generateInjectString.
+   */
+  exportSampleApplication(options) {
+    this.chooseDirectory_((directory) => {
+      const appDir = path.join(directory, 'my_blockly_application');
+      let remoteScripts;
+      try {
+        remoteScripts = this.projectController.writeSampleApplication(appDir,
+            options);
+      } catch (e) {
+        window.alert('Could not create the sample application:\n' +
+            (e.message || e));
+        return;
+      }
+      let message = 'Created the sample application. Open ' +
+          path.join(appDir, 'index.html') + ' in a browser to run it.';
+      if (remoteScripts.length) {
+        message += '\n\nThe following are not bundled with DevTools, so the ' +
+            'application loads them from the network:\n' +
+            remoteScripts.join('\n');
+      }
+      window.alert(message);
+    });
   }
 
   /**
@@ -363,6 +772,81 @@ class AppController {
     this.popupController.show();
   }
 
+  /**
+   * Shows a popup listing the toolbox categories and workspace contents which
+   * use a block type.
+   * @param {string} blockType The block type to find.
+   */
+  showBlockUsages(blockType) {
+    if (this.popupController) {
+      this.popupController.exit();
+    }
+    this.popupController = new BlockUsagesPopupController(this, blockType);
+    this.popupController.show();
+  }
+
+  /**
+   * Shows a popup for editing the extensions defined in the project.
+   */
+  showExtensions() {
+    if (this.popupController) {
+      this.popupController.exit();
+    }
+    this.popupController = new ExtensionsPopupController(this);
+    this.popupController.show();
+  }
+
+  /**
+   * Shows a popup for editing the custom field types defined in the project.
+   */
+  showFieldTypes() {
+    if (this.popupController) {
+      this.popupController.exit();
+    }
+    this.popupController = new FieldTypesPopupController(this);
+    this.popupController.show();
+  }
+
+  /**
+   * Shows a popup for translating the messages of the blocks of the project.
+   */
+  showTranslations() {
+    this.editorController.saveChanges();
+    if (this.popupController) {
+      this.popupController.exit();
+    }
+    this.popupController = new TranslationsPopupController(this);
+    this.popupController.show();
+  }
+
+  /**
+   * Checks the project for problems and shows a popup listing them.
+   */
+  validateProject() {
+    this.editorController.saveChanges();
+    if (this.popupController) {
+      this.popupController.exit();
+    }
+    this.popupController = new ValidationPopupController(this,
+        ProjectValidator.validate(this.project));
+    this.popupController.show();
+  }
+
+  /**
+   * Opens a resource in its editor, and one of its toolbox categories if
+   * given.
+   * @param {string} nodeId Navtree node ID of the resource.
+   * @param {?string=} opt_categoryId ID of the toolbox category to open.
+   */
+  openResource(nodeId, opt_categoryId) {
+    const tree = this.tree.getTree();
+    tree.deselect_all();
+    tree.select_node(nodeId);
+    if (opt_categoryId) {
+      this.editorController.toolboxController.switchElement(opt_categoryId);
+    }
+  }
+
   /**
    * Handler for the window's 'beforeunload' event. When a user has unsaved
    * changes and refreshes or leaves the page, confirm that they want to do so
@@ -186,8 +186,7 @@ class BlockEditorController {
       blockType = 'unnamed';
     }
     var format = document.getElementById('format').value;
-    var code = FactoryUtils.getBlockDefinition(format,
-        this.view.editorWorkspace);
+    var code = this.getBlockDefinitionCode_(format);
     FactoryUtils.injectCode(code, 'languagePre');
     this.updatePreview_();
   }
@@ -210,7 +209,9 @@ class BlockEditorController {
 
   /**
    * Checks if new name is a valid name, then renames current BlockDefinition
-   * object if valid. Updates navtree with new name.
+   * object if valid. Updates navtree with new name. If other resources of the
+   * project reference the block, they are renamed along with it if the user
+   * agrees, and otherwise neither is renamed.
    * @param {boolean} suppressTreeChange Whether to suppress reflecting name
    *     change in the navtree.
    * @param {boolean} isSelected Whether the currently selected node in the navtree
@@ -242,21 +243,99 @@ class BlockEditorController {
       rootBlock.setFieldValue(oldName, 'NAME');
       window.alert(warning);
     } else {
+      const oldType = currentBlock.name;
+      if (changedName && !this.confirmRenameReferences_(oldType, newName)) {
+        // Neither the block nor the references to it are renamed.
+        rootBlock.setFieldValue(oldType, 'NAME');
+        return;
+      }
       this.projectController.renameBlockDefinition(currentBlock,
           newName, suppressTreeChange);
+      if (changedName) {
+        this.projectController.renameBlockTypeReferences(oldType, newName);
+      }
+    }
+  }
+
+  /**
+   * Shows the user which resources of the project reference a block type which
+   * is about to be renamed, and asks whether to rename the block along with
+   * the references to it.
+   * @param {string} oldType The current type of the block.
+   * @param {string} newType The new type of the block.
+   * @return {boolean} Whether to rename the block, true if nothing references
+   *     it.
+   * @private
+   */
+  confirmRenameReferences_(oldType, newType) {
+    const references = this.projectController.getBlockTypeReferences(oldType);
+    if (!references.length) {
+      return true;
+    }
+    Blockly.WidgetDiv.hide();
+    this.view.editorWorkspace.cancelCurrentGesture();
+    return window.confirm('Renaming "' + oldType + '" to "' + newType +
+        '" also updates the references to it in the following:\n\n' +
+        references.join('\n') + '\n\nRename the block?');
+  }
+
+  /**
+   * Renames the block open in the block editor, updating the references to it
+   * throughout the project if the user agrees.
+   * @param {string} newName The new type of the block.
+   */
+  renameBlock(newName) {
+    const warning = this.getWarningText(newName);
+    if (warning) {
+      window.alert(warning);
+      return;
+    }
+    const rootBlock = FactoryUtils.getRootBlock(this.view.editorWorkspace);
+    rootBlock.setFieldValue(newName, 'NAME');
+    this.updateBlockName(false, true);
+    this.updateBlockDefinition();
+    this.refreshPreviews();
+  }
+
+  /**
+   * Sets the language that generator stubs are written for in the project,
+   * then updates the generator code.
+   * @param {string} language The generator language, a key of
+   *     FactoryUtils.GENERATOR_SYNTAX.
+   */
+  setGeneratorLanguage(language) {
+    this.projectController.getProject().generatorLanguage = language;
+    this.updateGenerator_();
+  }
+
+  /**
+   * Saves generator code written by the user in the generator textarea into
+   * the block open in the block editor, for the project's generator language.
+   * If the code is emptied, the generator stub is shown again.
+   * @param {string} code The generator code.
+   */
+  setGeneratorCode(code) {
+    const language = this.projectController.getProject().generatorLanguage;
+    this.view.blockDefinition.setGeneratorCode(language,
+        code.trim() ? code : null);
+    if (!code.trim()) {
+      this.updateGenerator_();
     }
   }
 
   /**
-   * Update the generator code.
+   * Update the generator code, written for the project's generator language.
+   * Shows the user's generator code for the block, or a generator stub if the
+   * user has not written any.
    * @private
    */
   updateGenerator_() {
     // REFACTORED: Moved in from factory.js:updateGenerator()
-    const language = $('#language').val();
-    const generatorStub = FactoryUtils.getGeneratorStub(
-        this.getPreviewBlock_(), language);
-    this.view.updateGenStub(generatorStub);
+    const language = this.projectController.getProject().generatorLanguage;
+    $('#language').val(language);
+    const code = this.view.blockDefinition.getGeneratorCode(language) ||
+        FactoryUtils.getGeneratorStub(this.getPreviewBlock_(), language);
+    this.view.updateGeneratorView(code);
   }
 
   /**
@@ -269,13 +348,49 @@ class BlockEditorController {
       const defCode = $('#languagePre').val();
       this.view.updateBlockDefinitionView(defCode, /* opt_manual */ true);
     } else {
-      const currentBlock = this.view.blockDefinition;
-      const defCode = FactoryUtils.getBlockDefinition(
-          format, this.view.editorWorkspace);
+      const defCode = this.getBlockDefinitionCode_(format);
       this.view.updateBlockDefinitionView(defCode);
     }
   }
 
+  /**
+   * Returns the definition code of the block in the editor workspace. In JSON
+   * format, the JSON refers to messages if the project localizes blocks, and
+   * is followed by the code which registers the project field types the block
+   * uses, the project extensions it applies and its mutator, if it has one.
+   * @param {string} format Format of block definition. Either 'JSON' or
+   *     'JavaScript'.
+   * @return {string} Block definition code.
+   * @private
+   */
+  getBlockDefinitionCode_(format) {
+    const project = this.projectController.getProject();
+    let code = FactoryUtils.getBlockDefinition(format,
+        this.view.editorWorkspace, project.localizeBlocks);
+    if (format != BlockEditorController.FORMAT_JSON) {
+      return code;
+    }
+    const fieldTypes = project.fieldTypes;
+    for (let type of FactoryUtils.getFieldTypes(JSON.parse(code))) {
+      if (fieldTypes[type]) {
+        code += '\n\n' +
+            FactoryUtils.getFieldTypeCode(type, fieldTypes[type].code);
+      }
+    }
+    const rootBlock = FactoryUtils.getRootBlock(this.view.editorWorkspace);
+    const extensions = project.extensions;
+    for (let name of FactoryUtils.getExtensionNames(rootBlock)) {
+      if (name in extensions) {
+        code += '\n\n' + FactoryUtils.getExtensionCode(name, extensions[name]);
+      }
+    }
+    const mutator = FactoryUtils.getMutator(rootBlock);
+    if (mutator) {
+      code += '\n\n' + FactoryUtils.getMutatorCode(mutator);
+    }
+    return code;
+  }
+
   /**
    * Retrieves Blockly.Block given in preview.
    * @return {!Blockly.Block} Block object in preview workspace.
@@ -286,13 +401,16 @@ class BlockEditorController {
   }
 
   /**
-   * Update the preview display.
+   * Update the preview display. If the project localizes blocks, the block is
+   * shown in the locale chosen in the view.
    * @private
    */
   updatePreview_() {
     // REFACTORED: Moved in from factory.js:updatePreview()
     const newDir = $('#direction').val();
     this.view.updateDirection(newDir);
+    const project = this.projectController.getProject();
+    this.view.updateLocales(project.localizeBlocks ? project.getLocales() : []);
 
     const blockDef = this.getDefinitionFormat_();
     const format = blockDef[0];
@@ -306,7 +424,11 @@ class BlockEditorController {
     const backupBlocks = Blockly.Blocks;
     try {
       // Evaluates block definition (temporarily) for preview.
-      this.view.blockDefinition.define();
+      if (project.localizeBlocks) {
+        Object.assign(Blockly.Msg,
+            project.getMessages(this.view.getPreviewLocale()));
+      }
+      this.view.blockDefinition.define(project.localizeBlocks);
 
       const blockType = this.view.blockDefinition.type();
       // Render preview block in preview workspace.
@@ -441,52 +563,194 @@ class BlockEditorController {
   }
 
   /**
-   * Imports block library from file to Block Factory. Expects user to upload a
-   * single file of JSON mapping each block type to its XML text representation.
+   * Imports block definitions from a file into a block library, creating the
+   * library if it does not yet exist. Accepts files of JSON or JavaScript block
+   * definitions (see FactoryUtils.parseBlockDefinitionsFile), as well as the
+   * legacy Block Factory format of JSON mapping each block type to its XML
+   * text representation. Blocks whose type already exists in the project are
+   * skipped, and no library is created if all of them are.
+   * @param {string} filepath Path to the file of block definitions.
+   * @param {string=} opt_libraryName Name of the library to import blocks into.
+   *     Defaults to the name of the file.
+   * @return {{imported: !Array.<!BlockDefinition>, skipped: !Array.<string>}}
+   *     The imported block definitions, and the types of the skipped blocks.
+   * @throws {Error} If the file cannot be parsed.
    */
-  importBlockLibraryFromFile() {
-    /**
-     * TODO: Move in from app_controller.js
-     *          Also from app_controller.js:formatBlockLibraryForImport_(xmlText)
-     *
-     * References:
-     * - formatBlockLibraryForImport_()
-     * - setBlockLibraryStorage()
-     */
+  importBlockLibraryFromFile(filepath, opt_libraryName) {
+    const fileContents = fs.readFileSync(filepath, 'utf8');
+    const libraryName = opt_libraryName || FactoryUtils.cleanResourceName(
+        path.basename(filepath, path.extname(filepath)));
+    const blockDefs = this.getImportedBlockDefinitions_(fileContents);
+
+    const project = this.projectController.getProject();
+    const imported = [];
+    const skipped = [];
+    for (let blockDef of blockDefs) {
+      if (project.hasBlockDefinition(blockDef.type())) {
+        skipped.push(blockDef.type());
+      } else {
+        imported.push(blockDef);
+      }
+    }
+    if (imported.length && !project.getBlockLibrary(libraryName)) {
+      this.projectController.createBlockLibrary(libraryName);
+    }
+    for (let blockDef of imported) {
+      this.projectController.addBlockDefinition(blockDef, libraryName);
+      blockDef.define();
+    }
+    return {imported: imported, skipped: skipped};
+  }
 
-    // TODO(#87): Remove XML's from block library import/export. Download block
-    //            definitions and generator stubs, and parse definition JSONs when
-    //            importing.
+  /**
+   * Creates block definitions from the contents of an imported file, with
+   * editable block editor XML for each block.
+   * @param {string} fileContents Contents of the imported file.
+   * @return {!Array.<!BlockDefinition>} Block definitions in the file.
+   * @private
+   */
+  getImportedBlockDefinitions_(fileContents) {
+    const blockDefs = [];
+    const legacyXmlMap = this.getLegacyXmlMap_(fileContents);
+    if (legacyXmlMap) {
+      for (let key in legacyXmlMap) {
+        const xmlText = legacyXmlMap[key];
+        const xml = Blockly.Xml.textToDom(xmlText);
+        const json = FactoryUtils.getBlockDefFromXml(
+            'JSON', xml.firstElementChild, this.hiddenWorkspace);
+        const blockDef =
+            new BlockDefinition(this.getBlockTypeFromXml_(xmlText), json);
+        blockDef.setXml(xml);
+        blockDefs.push(blockDef);
+      }
+      this.hiddenWorkspace.clear();
+    } else {
+      for (let blockJson of FactoryUtils.parseBlockDefinitionsFile(fileContents)) {
+        if (!blockJson || typeof blockJson.type != 'string' || !blockJson.type) {
+          throw new Error('Block definition is missing its type: ' +
+              JSON.stringify(blockJson));
+        }
+        const blockDef = new BlockDefinition(
+            blockJson.type, JSON.stringify(blockJson, null, '  '));
+        blockDef.setXml(FactoryUtils.buildFactoryXmlFromJson(blockJson));
+        blockDefs.push(blockDef);
+      }
+    }
+    return blockDefs;
+  }
 
-    throw 'Unimplemented: importBlockLibraryFromFile';
+  /**
+   * Returns the map of block type to XML text stored in a library file exported
+   * by the Block Factory, or null if the file is in another format.
+   * @param {string} fileContents Contents of the imported file.
+   * @return {Object<string, string>} Map of block type to XML text, or null.
+   * @private
+   */
+  getLegacyXmlMap_(fileContents) {
+    let json;
+    try {
+      json = JSON.parse(fileContents);
+    } catch (e) {
+      return null;
+    }
+    if (!json || typeof json != 'object' || Array.isArray(json) ||
+        'type' in json) {
+      return null;
+    }
+    for (let key in json) {
+      if (typeof json[key] != 'string' || json[key].indexOf('<xml') == -1) {
+        return null;
+      }
+    }
+    return json;
   }
 
   /**
-   * Exports block library to file that contains JSON mapping each block type to
-   * its XML text representation.
+   * Exports a block library to a JavaScript file containing the definitions of
+   * its blocks and a generator stub for each block. If the project has type
+   * declarations enabled, also exports a TypeScript declaration file.
+   * @param {string} libraryName Name of the library to export.
    */
-  exportBlockLibraryToFile() {
-    /**
-     * TODO: Move in from app_controller.js
-     *          Also from app_controller.js:formatBlockLibraryForExport_(blockXmlMap)
-     */
+  exportBlockLibraryToFile(libraryName) {
+    const library = this.projectController.getProject().
+        getBlockLibrary(libraryName);
+    if (!library) {
+      throw new Error('No block library named "' + libraryName + '".');
+    }
+    FactoryUtils.createAndDownloadFile(this.getBlockLibraryExport_(library),
+        libraryName + '.js', 'application/javascript');
+    if (this.projectController.getProject().typeDeclarations) {
+      FactoryUtils.createAndDownloadFile(
+          FactoryUtils.generateTypeDeclarations(libraryName,
+              library.getBlockArrayJson()),
+          libraryName + '.d.ts', 'application/typescript');
+    }
+  }
 
-    // TODO(#87): Remove XML's from block library import/export. Download block
-    //            definitions and generator stubs, and parse definition JSONs when
-    //            importing.
+  /**
+   * Returns the contents of the export file of a block library. Blocks are
+   * defined with Blockly.defineBlocksWithJsonArray, so the file can be imported
+   * again with importBlockLibraryFromFile(). The extensions which the blocks
+   * need are registered after their definitions.
+   * @param {!BlockLibrary} library Library to export.
+   * @return {string} Block definitions and generator stubs of the library.
+   * @private
+   */
+  getBlockLibraryExport_(library) {
+    const language = this.projectController.getProject().generatorLanguage;
+    const blockJsons = [];
+    const generators = [];
+    for (let blockDef of library.getAllBlockDefinitions()) {
+      blockJsons.push(blockDef.json);
+      generators.push(FactoryUtils.getGeneratorCode(blockDef, language,
+          this.hiddenWorkspace));
+    }
+    let extensionCode = this.projectController.getProject().getExtensionCode(
+        library.getAllBlockDefinitions());
+    if (extensionCode) {
+      extensionCode += '\n\n';
+    }
+
+    return `/**
+ * @fileoverview Block definitions and generator stubs for the
+ * ${library.name} block library.
+ */
+'use strict';
+
+Blockly.defineBlocksWithJsonArray([
+${blockJsons.join(',\n')}
+]);
 
-    throw 'Unimplemented: exportBlockLibraryToFile()';
+${extensionCode}${generators.join('\n\n')}
+`;
   }
 
   /**
-   * Returns JavaScript scripts necessary for loading block definitions of all
-   * user-defined blocks within the project.
-   * @return {string} JavaScript block definitions of blocks within the project.
+   * Returns JavaScript scripts necessary for loading block definitions and
+   * generators of all user-defined blocks within the project. Generators are
+   * written in the project's generator language.
+   * @param {Array.<string>=} opt_libraryNames Names of the block libraries
+   *     whose blocks to include. Defaults to all libraries of the project.
+   * @return {string} JavaScript block definitions and generators of blocks
+   *     within the project.
    */
-  getLibraryJsFile() {
+  getLibraryJsFile(opt_libraryNames) {
     let fileContents = '';
-    const allBlocks = this.projectController.getProject().
-        librarySet.getAllBlockDefinitionsMap();
+    const project = this.projectController.getProject();
+    let allBlocks = project.librarySet.getAllBlockDefinitionsMap();
+    if (opt_libraryNames) {
+      allBlocks = Object.create(null);
+      for (let libraryName of opt_libraryNames) {
+        for (let blockDef of
+            project.getBlockLibrary(libraryName).getAllBlockDefinitions()) {
+          allBlocks[blockDef.type()] = blockDef;
+        }
+      }
+    }
+    const extensionCode = project.getExtensionCode(Object.values(allBlocks));
+    if (extensionCode) {
+      fileContents += '// Extensions\n' + extensionCode + '\n\n';
+    }
     for (let blockName in allBlocks) {
       const block = allBlocks[blockName];
       fileContents += '// Block definition: ' + blockName;
@@ -500,6 +764,11 @@ Blockly.Blocks['${blockName}'] = {
 `;
       fileContents += '\n';
     }
+    for (let blockName in allBlocks) {
+      fileContents += '// Generator: ' + blockName + '\n';
+      fileContents += FactoryUtils.getGeneratorCode(allBlocks[blockName],
+          project.generatorLanguage, this.hiddenWorkspace) + '\n\n';
+    }
     return fileContents;
   }
 
@@ -513,10 +782,18 @@ Blockly.Blocks['${blockName}'] = {
    * TODO(#87): Replace this function with getting block type from JSON block definition.
    */
   getBlockTypeFromXml_(xmlText) {
-    /**
-     * TODO: Move in from app_controller.js
-     */
-
-    throw 'Unimplemented: getBlockTypeFromXml_()';
+    const xml = Blockly.Xml.textToDom(xmlText);
+    for (let block of xml.getElementsByTagName('block')) {
+      if (block.getAttribute('type') != 'factory_base') {
+        continue;
+      }
+      for (let field of block.children) {
+        if (field.tagName.toLowerCase() == 'field' &&
+            field.getAttribute('name') == 'NAME') {
+          return field.textContent;
+        }
+      }
+    }
+    throw new Error('Could not find the block type in XML: ' + xmlText);
   }
 }
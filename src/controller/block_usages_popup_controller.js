@@ -0,0 +1,64 @@
+/**
+ * @license
+ * Blockly Demos: Block Factory
+ *
+ * Copyright 2017 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+goog.provide('BlockUsagesPopupController');
+
+goog.require('BlockUsagesPopupView');
+goog.require('PopupController');
+
+/**
+ * @fileoverview BlockUsagesPopupController manages the popup listing where a
+ * block type is used in the project, from which the user can open each usage.
+ */
+class BlockUsagesPopupController extends PopupController {
+  /**
+   * Manages popup for finding the usages of a block type.
+   * @param {!AppController} appController Controller which manages application
+   *     and opens the usage the user selects.
+   * @param {string} blockType The block type whose usages are listed.
+   */
+  constructor(appController, blockType) {
+    super(appController);
+
+    /**
+     * Usages of the block type, as returned by EditorController.getBlockUsages.
+     * @type {!Array.<!Object>}
+     */
+    this.usages = appController.editorController.getBlockUsages(blockType);
+
+    /**
+     * Manages view part of block usages popup.
+     * @type {!BlockUsagesPopupView}
+     */
+    this.view = new BlockUsagesPopupView(this, blockType, this.usages);
+  }
+
+  /**
+   * Closes the popup and opens a usage of the block type.
+   * @param {number} index Index of the usage within this.usages.
+   */
+  openUsage(index) {
+    const usage = this.usages[index];
+    this.exit();
+    this.appController.openResource(usage.nodeId, usage.categoryId);
+  }
+}
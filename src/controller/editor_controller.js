@@ -193,6 +193,46 @@ class EditorController {
     return blockList;
   }
 
+  /**
+   * Finds where a block type is used in the project: each toolbox category (or
+   * single flyout) and each workspace contents which contains the block.
+   * @param {string} blockType The block type to find.
+   * @return {!Array.<{description: string, nodeId: string, categoryId: ?string}>}
+   *     The usages, each with a description for showing to the user, the
+   *     navtree node ID of the resource, and the ID of the toolbox category if
+   *     the usage is within one.
+   */
+  getBlockUsages(blockType) {
+    const usages = [];
+    const project = this.projectController.getProject();
+    for (let name of project.getToolboxNames()) {
+      const toolbox = project.getToolbox(name);
+      const elements = this.toolboxController.getElementsUsingBlockType(
+          blockType, toolbox);
+      for (let element of elements) {
+        const isCategory = element.type == ListElement.TYPE_CATEGORY;
+        usages.push({
+          description: 'Toolbox "' + name + '"' +
+              (isCategory ? ', category "' + element.name + '"' : ''),
+          nodeId: PREFIXES.TOOLBOX + '_' + name,
+          categoryId: isCategory ? element.id : null
+        });
+      }
+    }
+    for (let name of project.getWorkspaceContentsNames()) {
+      const contents = project.getWorkspaceContents(name);
+      if (this.workspaceController.getAllUsedBlockTypes(contents).indexOf(
+          blockType) != -1) {
+        usages.push({
+          description: 'Workspace contents "' + name + '"',
+          nodeId: PREFIXES.WORKSPACE_CONTENTS + '_' + name,
+          categoryId: null
+        });
+      }
+    }
+    return usages;
+  }
+
   /**
    * Deletes the currently selected resource (block, toolbox, etc.) from the
    * project.
@@ -201,6 +241,13 @@ class EditorController {
     const editor = this.currentEditor;
     if (editor instanceof BlockEditorController) {
       const currentBlockName = this.blockEditorController.view.blockDefinition.name;
+      const usages = this.getBlockUsages(currentBlockName);
+      if (usages.length && !window.confirm('"' + currentBlockName + '" is ' +
+          'still used in:\n' +
+          usages.map((usage) => '  - ' + usage.description).join('\n') +
+          '\n\nDelete it anyway?')) {
+        return;
+      }
       this.projectController.removeBlock(currentBlockName);
     } else if (editor instanceof ToolboxController) {
       const currentToolboxName = this.toolboxController.view.toolbox.name;
@@ -212,13 +259,35 @@ class EditorController {
   }
 
   /**
-   * Renames a resource in the project. If the new name does not have any conflicts
-   * and is a valid name, calls respective editors and model classes to rename the
-   * resource.
-   * @param {string} type Type of resource to rename.
+   * Renames the resource open in the current editor: the block, toolbox, or
+   * workspace contents or configuration. Blocks are renamed by the block editor
+   * and other resources by the project controller, which rejects names that
+   * are empty or already used by a resource of the same type.
    */
   rename() {
     const newName = window.prompt('What would you like to rename the current object?');
-    // TODO: Implement renaming resources.
+    if (!newName) {
+      return;
+    }
+    const editor = this.currentEditor;
+    let resource = null;
+    if (editor instanceof BlockEditorController) {
+      this.blockEditorController.renameBlock(newName);
+    } else if (editor instanceof ToolboxController) {
+      resource = this.toolboxController.view.toolbox;
+    } else if (editor instanceof WorkspaceController) {
+      resource = this.workspaceController.view.current;
+    }
+    if (!resource) {
+      return;
+    }
+    if (!this.projectController.rename(resource, newName)) {
+      window.alert('Could not rename "' + resource.name + '" to "' + newName +
+          '": the name is empty or already used.');
+    } else if (editor instanceof ToolboxController) {
+      this.toolboxController.view.refreshToolboxInfo();
+    } else {
+      this.workspaceController.view.refreshWorkspaceInfo();
+    }
   }
 }
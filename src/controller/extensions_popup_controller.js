@@ -0,0 +1,153 @@
+/**
+ * @license
+ * Blockly Demos: Block Factory
+ *
+ * Copyright 2017 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+goog.provide('ExtensionsPopupController');
+
+goog.require('ExtensionsPopupView');
+goog.require('FactoryUtils');
+goog.require('PopupController');
+
+/**
+ * @fileoverview ExtensionsPopupController manages the popup for creating,
+ * editing and deleting the extensions defined in a project.
+ */
+class ExtensionsPopupController extends PopupController {
+  /**
+   * Manages popup for the extensions of the project.
+   * @param {!AppController} appController Controller which manages application
+   *     and reflects changes after user interacts with this popup.
+   */
+  constructor(appController) {
+    super(appController);
+
+    /**
+     * Manages view part of extensions popup.
+     * @type {!ExtensionsPopupView}
+     */
+    this.view = new ExtensionsPopupView(this);
+
+    /**
+     * Name of the extension being edited, or an empty string for a new
+     * extension.
+     * @type {string}
+     */
+    this.selected = this.getNames_()[0] || '';
+
+    this.view.showExtensionList(this.getNames_(), this.selected);
+    this.selectExtension(this.selected);
+  }
+
+  /**
+   * Code shown for a new extension.
+   * @return {string} JavaScript source of an empty extension function.
+   */
+  static get STARTER_CODE() {
+    return 'function() {\n  \n}';
+  }
+
+  /**
+   * Returns the names of the extensions defined in the project.
+   * @return {!Array.<string>} The names, sorted.
+   * @private
+   */
+  getNames_() {
+    return Object.keys(this.appController.project.extensions).sort();
+  }
+
+  /**
+   * Shows an extension of the project for editing.
+   * @param {string} name Name of the extension, or an empty string to create a
+   *     new extension.
+   */
+  selectExtension(name) {
+    this.selected = name;
+    const extensions = this.appController.project.extensions;
+    if (name) {
+      this.view.showExtension(name, extensions[name], false);
+    } else {
+      this.view.showExtension('', ExtensionsPopupController.STARTER_CODE, true);
+    }
+  }
+
+  /**
+   * Registers the extension in the form and saves it to the project, renaming
+   * the extension being edited if its name was changed. Shows a warning
+   * instead if the name is empty or taken, or the code does not evaluate to a
+   * function or an object.
+   */
+  saveExtensionIfValid() {
+    const extensions = this.appController.project.extensions;
+    const name = this.view.getName();
+    const code = this.view.getCode();
+    if (!name) {
+      this.view.setWarning('Please enter a name for the extension.');
+      return;
+    } else if (name != this.selected && name in extensions) {
+      this.view.setWarning('An extension named "' + name +
+          '" already exists.');
+      return;
+    } else if (!(name in extensions) && Blockly.Extensions.ALL_[name]) {
+      this.view.setWarning('"' + name + '" is already registered by Blockly ' +
+          'or a mutator.');
+      return;
+    }
+
+    try {
+      FactoryUtils.defineExtension(name, code);
+    } catch (e) {
+      if (name in extensions) {
+        // Keep the saved extension registered.
+        FactoryUtils.defineExtension(name, extensions[name]);
+      }
+      this.view.setWarning('The extension is not valid: ' + (e.message || e));
+      return;
+    }
+    if (this.selected && this.selected != name) {
+      delete extensions[this.selected];
+      FactoryUtils.undefineExtension(this.selected);
+    }
+    extensions[name] = code;
+    this.view.showExtensionList(this.getNames_(), name);
+    this.selectExtension(name);
+    this.appController.refreshBlockEditor();
+  }
+
+  /**
+   * Deletes the extension being edited from the project, once the user
+   * confirms.
+   */
+  deleteExtension() {
+    const name = this.selected;
+    if (!name || !window.confirm('Are you sure you want to delete the ' +
+        'extension "' + name + '"? Blocks which apply it will not work in ' +
+        'exported code.')) {
+      return;
+    }
+    delete this.appController.project.extensions[name];
+    FactoryUtils.undefineExtension(name);
+    const names = this.getNames_();
+    this.view.showExtensionList(names, names[0] || '');
+    this.selectExtension(names[0] || '');
+    this.appController.refreshBlockEditor();
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * @license
+ * Blockly Demos: Block Factory
+ *
+ * Copyright 2017 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+goog.provide('FieldTypesPopupController');
+
+goog.require('FactoryUtils');
+goog.require('FieldTypesPopupView');
+goog.require('PopupController');
+goog.require('ProjectFormat');
+
+/**
+ * @fileoverview FieldTypesPopupController manages the popup for creating,
+ * editing and deleting the custom field types defined in a project.
+ */
+class FieldTypesPopupController extends PopupController {
+  /**
+   * Manages popup for the custom field types of the project.
+   * @param {!AppController} appController Controller which manages application
+   *     and reflects changes after user interacts with this popup.
+   */
+  constructor(appController) {
+    super(appController);
+
+    /**
+     * Manages view part of field types popup.
+     * @type {!FieldTypesPopupView}
+     */
+    this.view = new FieldTypesPopupView(this);
+
+    /**
+     * Type of the field type being edited, or an empty string for a new
+     * field type.
+     * @type {string}
+     */
+    this.selected = this.getTypes_()[0] || '';
+
+    this.view.showFieldTypeList(this.getTypes_(), this.selected);
+    this.selectFieldType(this.selected);
+  }
+
+  /**
+   * JSON parameters shown for a new field type.
+   * @return {string} JSON object of the default value of each parameter.
+   */
+  static get STARTER_PARAMS() {
+    return '{\n  "text": ""\n}';
+  }
+
+  /**
+   * Code shown for a new field type.
+   * @return {string} JavaScript source of a field class which can be created
+   *     from JSON.
+   */
+  static get STARTER_CODE() {
+    return 'class extends Blockly.FieldTextInput {\n' +
+        '  static fromJson(options) {\n' +
+        '    return new this(options.text);\n' +
+        '  }\n' +
+        '}';
+  }
+
+  /**
+   * Returns the custom field types defined in the project.
+   * @return {!Array.<string>} The types, sorted.
+   * @private
+   */
+  getTypes_() {
+    return Object.keys(this.appController.project.fieldTypes).sort();
+  }
+
+  /**
+   * Shows a field type of the project for editing.
+   * @param {string} type The field type, or an empty string to create a new
+   *     field type.
+   */
+  selectFieldType(type) {
+    this.selected = type;
+    const fieldType = this.appController.project.fieldTypes[type];
+    if (fieldType) {
+      this.view.showFieldType(type,
+          JSON.stringify(fieldType.params, null, 2), fieldType.code, false);
+    } else {
+      this.view.showFieldType('field_', FieldTypesPopupController.STARTER_PARAMS,
+          FieldTypesPopupController.STARTER_CODE, true);
+    }
+  }
+
+  /**
+   * Registers the field type in the form and saves it to the project,
+   * renaming the field type being edited if its type was changed. Shows a
+   * warning instead if the type is not a valid custom field type or is taken,
+   * the parameters are not a JSON object, or the code does not evaluate to a
+   * field class.
+   */
+  saveFieldTypeIfValid() {
+    const fieldTypes = this.appController.project.fieldTypes;
+    const type = this.view.getType();
+    if (!ProjectFormat.FIELD_TYPE_FORMAT.test(type)) {
+      this.view.setWarning('The type must start with "field_" and contain ' +
+          'only letters, digits and underscores.');
+      return;
+    } else if (FactoryUtils.BUILT_IN_FIELD_TYPES.indexOf(type) != -1) {
+      this.view.setWarning('"' + type + '" is built into Blockly.');
+      return;
+    } else if (type != this.selected && type in fieldTypes) {
+      this.view.setWarning('A field type named "' + type +
+          '" already exists.');
+      return;
+    }
+
+    let params;
+    try {
+      params = JSON.parse(this.view.getParams());
+    } catch (e) {
+      this.view.setWarning('The parameters are not valid JSON: ' + e.message);
+      return;
+    }
+    if (typeof params != 'object' || params === null || Array.isArray(params)) {
+      this.view.setWarning('The parameters must be a JSON object.');
+      return;
+    }
+
+    const code = this.view.getCode();
+    try {
+      FactoryUtils.defineFieldType(type, params, code);
+    } catch (e) {
+      this.view.setWarning('The field type is not valid: ' + (e.message || e));
+      return;
+    }
+    if (this.selected && this.selected != type) {
+      delete fieldTypes[this.selected];
+      FactoryUtils.undefineFieldType(this.selected);
+    }
+    fieldTypes[type] = {params: params, code: code};
+    this.view.showFieldTypeList(this.getTypes_(), type);
+    this.selectFieldType(type);
+    this.appController.refreshBlockEditor();
+  }
+
+  /**
+   * Deletes the field type being edited from the project, once the user
+   * confirms.
+   */
+  deleteFieldType() {
+    const type = this.selected;
+    if (!type || !window.confirm('Are you sure you want to delete the ' +
+        'field type "' + type + '"? Blocks which have fields of this type ' +
+        'will not work in exported code.')) {
+      return;
+    }
+    delete this.appController.project.fieldTypes[type];
+    FactoryUtils.undefineFieldType(type);
+    const types = this.getTypes_();
+    this.view.showFieldTypeList(types, types[0] || '');
+    this.selectFieldType(types[0] || '');
+    this.appController.refreshBlockEditor();
+  }
+}
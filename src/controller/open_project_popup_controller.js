@@ -37,8 +37,10 @@ class OpenProjectPopupController extends PopupController {
    * @param {!AppController} appController AppController for the session.
    * @param {ReadWriteController} readWriteController ReadWriteController for
    *    the session, used to read files.
+   * @param {boolean=} opt_isBundle Whether the file to open is a project bundle
+   *    rather than the metadata file of a saved project.
    */
-  constructor(appController, readWriteController) {
+  constructor(appController, readWriteController, opt_isBundle) {
     super(appController);
 
     /**
@@ -47,6 +49,12 @@ class OpenProjectPopupController extends PopupController {
      */
     this.readWriteController = readWriteController;
 
+    /**
+     * Whether the file to open is a project bundle.
+     * @type {boolean}
+     */
+    this.isBundle = opt_isBundle || false;
+
 
     const viewContents = this.makeImportPopupContents();
 
@@ -63,7 +71,24 @@ class OpenProjectPopupController extends PopupController {
     });
 
     this.view.on('submit', () => {
-      this.readWriteController.constructProject(this.view.importLocation, 'web');
+      let project;
+      try {
+        if (this.isBundle) {
+          project = this.readWriteController.constructProjectFromBundle(
+              this.view.importLocation);
+        } else {
+          project = this.readWriteController.constructProject(
+              this.view.importLocation, 'web');
+        }
+      } catch (e) {
+        console.error(e);
+        window.alert('Could not open the project at ' +
+            this.view.importLocation + ':\n' + e);
+        this.exit();
+        return;
+      }
+      this.appController.loadProject(project);
+      this.exit();
     });
   }
 
@@ -79,9 +104,12 @@ class OpenProjectPopupController extends PopupController {
    * @return {string} The html contents for the import popup.
    */
   makeImportPopupContents() {
+    const header = this.isBundle ? 'Choose a Project Bundle to Import' :
+        'Choose a Project File to Open';
+    const accept = this.isBundle ? ' accept=".json"' : '';
     let htmlContents = `
-<header align="center">Choose a Project File to Open</header>
-      <input type="file"  id="location"></input>
+<header align="center">${header}</header>
+      <input type="file"${accept} id="location"></input>
       <span id="warning_text">Please select a file.</span><br><br>
       <input type="button" value="Submit" id="submit">
 `;
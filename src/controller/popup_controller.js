@@ -46,7 +46,7 @@ class PopupController {
 
     /**
      * Popup view that is currently visible in application. Default is null when
-     * no popup is open. Either null, PreviewView, NewBlockPopupView, or NewConfigView.
+     * no popup is open. Either null, WorkspacePreviewView, NewBlockPopupView, or NewConfigView.
      * @type {?Object}
      */
     this.view = null;
@@ -23,6 +23,8 @@
 goog.provide('ProjectController');
 
 goog.require('Project');
+goog.require('ProjectFormat');
+goog.require('ProjectHistory');
 goog.require('WorkspaceContents');
 
 /**
@@ -55,6 +57,13 @@ class ProjectController {
      * @type {!NavigationTree}
      */
     this.tree = tree;
+
+    /**
+     * Undo/redo history of project-level operations. Undoing and redoing
+     * changes the project only; the navtree is rebuilt by AppController.
+     * @type {!ProjectHistory}
+     */
+    this.history = new ProjectHistory();
   }
 
   /**
@@ -73,6 +82,15 @@ class ProjectController {
     return 'xml';
   }
 
+  /**
+   * URL from which Blockly libraries which are not bundled with DevTools are
+   * loaded by sample applications.
+   * @return {string} URL of the directory containing the libraries.
+   */
+  static get BLOCKLY_URL() {
+    return 'https://blockly-demo.appspot.com/static/';
+  }
+
   /**
    * Given the name of a block, returs the BlockLibrary that it belongs to.
    * Returns null if it does not exist within the project.
@@ -92,6 +110,7 @@ class ProjectController {
    */
   setProject(newProject) {
     this.project = newProject;
+    this.history.clear();
   }
 
   /**
@@ -192,6 +211,15 @@ class ProjectController {
     if (lib) {
       lib.add(blockDef);
       this.tree.addBlockNode(blockDef.type(), libraryName);
+      this.history.record('Create block',
+          () => {
+            this.project.removeBlock(blockDef.type());
+            return null;
+          },
+          () => {
+            lib.add(blockDef);
+            return PREFIXES.BLOCK + '_' + blockDef.type();
+          });
     }
   }
 
@@ -243,8 +271,21 @@ class ProjectController {
    * @param {string} blockType The name of the block to remove.
    */
   removeBlock(blockType) {
+    const lib = this.project.librarySet.getLibrary(blockType);
+    const blockDef = lib && lib.get(blockType);
     this.project.removeBlock(blockType);
     this.tree.deleteBlockNode(blockType);
+    if (blockDef) {
+      this.history.record('Remove block',
+          () => {
+            lib.add(blockDef);
+            return PREFIXES.BLOCK + '_' + blockDef.type();
+          },
+          () => {
+            this.project.removeBlock(blockDef.type());
+            return null;
+          });
+    }
   }
 
   /**
@@ -253,8 +294,20 @@ class ProjectController {
    * @param {string} toolboxName Name of the toolbox to remove from the project.
    */
   removeToolbox(toolboxName) {
+    const toolbox = this.project.getToolbox(toolboxName);
     this.project.removeToolbox(toolboxName);
     this.tree.deleteToolboxNode(toolboxName);
+    if (toolbox) {
+      this.history.record('Remove toolbox',
+          () => {
+            this.project.addToolbox(toolbox);
+            return PREFIXES.TOOLBOX + '_' + toolbox.name;
+          },
+          () => {
+            this.project.removeToolbox(toolbox.name);
+            return null;
+          });
+    }
   }
 
   /**
@@ -286,18 +339,88 @@ class ProjectController {
    *     from the project.
    */
   removeBlockLibrary(blockLibraryName) {
+    const library = this.project.getBlockLibrary(blockLibraryName);
     this.project.removeBlockLibrary(blockLibraryName);
     this.tree.deleteBlockLibraryNode(blockLibraryName);
+    if (library) {
+      this.history.record('Remove library',
+          () => {
+            this.project.addBlockLibrary(library);
+            return PREFIXES.LIBRARY + '_' + library.name;
+          },
+          () => {
+            this.project.removeBlockLibrary(library.name);
+            return null;
+          });
+    }
   }
 
   /**
-   * Renames a resource.
-   * @param {Resource} resource The resource to be named.
+   * Renames a block library, toolbox, workspace contents or workspace
+   * configuration. Names must not be empty or only whitespace, and must not be
+   * used by another resource of the same type. Renaming a resource to its own
+   * name changes nothing.
+   * @param {!Resource} resource The resource to be named.
    * @param {string} newName The new name for the resource.
+   * @return {boolean} Whether the resource has the new name: false if the name
+   *     is empty or already used.
    */
   rename(resource, newName) {
-    //TODO: restrict names.
-    resource.setName(newName);
+    const oldName = resource.name;
+    if (newName == oldName) {
+      return true;
+    }
+    const resourceSet = this.getResourceSet_(resource.resourceType);
+    if (!newName.trim() || resourceSet.get(newName)) {
+      return false;
+    }
+    this.setResourceName_(resourceSet, resource, newName);
+    this.tree.renameNode(resource.resourceType + '_' + oldName, newName);
+    this.history.record('Rename',
+        () => {
+          this.setResourceName_(resourceSet, resource, oldName);
+          return resource.resourceType + '_' + oldName;
+        },
+        () => {
+          this.setResourceName_(resourceSet, resource, newName);
+          return resource.resourceType + '_' + newName;
+        });
+    return true;
+  }
+
+  /**
+   * Returns the set of the project which holds the resources of a type.
+   * @param {string} resourceType Type of the resources: PREFIXES.LIBRARY,
+   *     PREFIXES.TOOLBOX, PREFIXES.WORKSPACE_CONTENTS or
+   *     PREFIXES.WORKSPACE_CONFIG.
+   * @return {!ResourceSet} The set of the resources.
+   * @throws If there is no set for the type.
+   * @private
+   */
+  getResourceSet_(resourceType) {
+    if (resourceType == PREFIXES.LIBRARY) {
+      return this.project.librarySet;
+    } else if (resourceType == PREFIXES.TOOLBOX) {
+      return this.project.toolboxSet;
+    } else if (resourceType == PREFIXES.WORKSPACE_CONTENTS) {
+      return this.project.workspaceContentsSet;
+    } else if (resourceType == PREFIXES.WORKSPACE_CONFIG) {
+      return this.project.workspaceConfigSet;
+    }
+    throw 'Unknown resource type, ' + resourceType + '.';
+  }
+
+  /**
+   * Renames a resource in the set which holds it, without updating the navtree.
+   * @param {!ResourceSet} resourceSet The set which holds the resource.
+   * @param {!Resource} resource The resource to rename.
+   * @param {string} name New name of the resource.
+   * @private
+   */
+  setResourceName_(resourceSet, resource, name) {
+    resourceSet.remove(resource.name);
+    resource.setName(name);
+    resourceSet.add(resource);
   }
 
   /**
@@ -313,7 +436,187 @@ class ProjectController {
     if (!opt_suppress) {
       this.tree.renameNode(id, newName);
     }
+    const oldName = block.name;
     this.project.renameBlockDefinition(block.name, newName);
+    if (oldName != newName) {
+      this.history.record('Rename block',
+          () => {
+            this.setBlockType_(block, oldName);
+            return PREFIXES.BLOCK + '_' + oldName;
+          },
+          () => {
+            this.setBlockType_(block, newName);
+            return PREFIXES.BLOCK + '_' + newName;
+          });
+    }
+  }
+
+  /**
+   * Changes the type of a block definition in the project, its JSON definition
+   * and the NAME field of its block editor XML, without updating the navtree.
+   * @param {!BlockDefinition} block BlockDefinition object to change.
+   * @param {string} type New type of the block.
+   * @private
+   */
+  setBlockType_(block, type) {
+    this.project.renameBlockDefinition(block.name, type);
+    const json = JSON.parse(block.json);
+    json.type = type;
+    block.json = JSON.stringify(json, null, '  ');
+    for (let xmlBlock of block.getXml().getElementsByTagName('block')) {
+      if (xmlBlock.getAttribute('type') != 'factory_base') {
+        continue;
+      }
+      for (let field of xmlBlock.children) {
+        if (field.tagName.toLowerCase() == 'field' &&
+            field.getAttribute('name') == 'NAME') {
+          field.textContent = type;
+        }
+      }
+    }
+  }
+
+  /**
+   * Finds the resources of the project which reference a block type: toolboxes
+   * and workspace contents which contain the block, and generator code which
+   * defines or uses the generator of the block.
+   * @param {string} blockType The block type to find.
+   * @return {!Array.<string>} Descriptions of the resources which reference the
+   *     block type, for showing to the user.
+   */
+  getBlockTypeReferences(blockType) {
+    return this.findBlockTypeReferences_(blockType).map(
+        (reference) => reference.description);
+  }
+
+  /**
+   * Renames a block type in every resource of the project which references it,
+   * so that the references follow a renamed block. Must be called right after
+   * the block definition itself is renamed by renameBlockDefinition(), as both
+   * are undone in a single step.
+   * @param {string} oldType The block type to replace.
+   * @param {string} newType The block type to replace it with.
+   * @return {!Array.<string>} Descriptions of the resources that were changed.
+   */
+  renameBlockTypeReferences(oldType, newType) {
+    const references = this.findBlockTypeReferences_(oldType);
+    const resources = references.map((reference) => reference.resource);
+    this.replaceBlockType_(resources, oldType, newType);
+    if (references.length) {
+      this.history.extendLast(
+          () => {
+            this.replaceBlockType_(resources, newType, oldType);
+            return null;
+          },
+          () => {
+            this.replaceBlockType_(resources, oldType, newType);
+            return null;
+          });
+    }
+    return references.map((reference) => reference.description);
+  }
+
+  /**
+   * Finds the resources of the project which reference a block type.
+   * @param {string} blockType The block type to find.
+   * @return {!Array.<{resource: !Resource, description: string}>} The
+   *     referencing resources, with descriptions for showing to the user.
+   * @private
+   */
+  findBlockTypeReferences_(blockType) {
+    const references = [];
+    const project = this.project;
+    for (let name of project.getToolboxNames()) {
+      const toolbox = project.getToolbox(name);
+      if (this.getToolboxXmls_(toolbox).some((xml) =>
+          FactoryUtils.getBlocksOfType(xml, blockType).length)) {
+        references.push(
+            {resource: toolbox, description: 'Toolbox "' + name + '"'});
+      }
+    }
+    for (let name of project.getWorkspaceContentsNames()) {
+      const contents = project.getWorkspaceContents(name);
+      if (FactoryUtils.getBlocksOfType(contents.xml, blockType).length) {
+        references.push({resource: contents,
+            description: 'Workspace contents "' + name + '"'});
+      }
+    }
+    const blockDefs = project.getAllBlockDefinitionsMap();
+    for (let type in blockDefs) {
+      const languages = Object.keys(blockDefs[type].generators).filter(
+          (language) => FactoryUtils.codeReferencesBlockType(
+              blockDefs[type].generators[language], blockType));
+      if (languages.length) {
+        references.push({resource: blockDefs[type],
+            description: 'Generator code of block "' + type + '" (' +
+                languages.join(', ') + ')'});
+      }
+    }
+    return references;
+  }
+
+  /**
+   * Replaces a block type in the XML or generator code of resources.
+   * @param {!Array.<!Resource>} resources Toolboxes, workspace contents and
+   *     block definitions to change.
+   * @param {string} oldType The block type to replace.
+   * @param {string} newType The block type to replace it with.
+   * @private
+   */
+  replaceBlockType_(resources, oldType, newType) {
+    for (let resource of resources) {
+      if (resource instanceof BlockDefinition) {
+        for (let language in resource.generators) {
+          resource.setGeneratorCode(language, FactoryUtils.renameBlockTypeInCode(
+              resource.generators[language], oldType, newType));
+        }
+        continue;
+      }
+      const xmls = resource instanceof Toolbox ?
+          this.getToolboxXmls_(resource) : [resource.xml];
+      for (let xml of xmls) {
+        for (let block of FactoryUtils.getBlocksOfType(xml, oldType)) {
+          block.setAttribute('type', newType);
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns the XML of a toolbox, of each of its categories, and of its flyout.
+   * @param {!Toolbox} toolbox The toolbox.
+   * @return {!Array.<!Element>} The XML elements.
+   * @private
+   */
+  getToolboxXmls_(toolbox) {
+    const xmls = [toolbox.xml];
+    for (let element of toolbox.categoryList) {
+      if (element.xml) {
+        xmls.push(element.xml);
+      }
+    }
+    if (toolbox.flyout) {
+      xmls.push(toolbox.flyout.xml);
+    }
+    return xmls;
+  }
+
+  /**
+   * Undoes the most recent project-level operation.
+   * @return {?string} The navtree node ID of the resource to show afterwards,
+   *     or null if there is none.
+   */
+  undo() {
+    return this.history.undo();
+  }
+
+  /**
+   * Redoes the most recently undone project-level operation.
+   * @return {?string} The navtree node ID of the resource to show afterwards,
+   *     or null if there is none.
+   */
+  redo() {
+    return this.history.redo();
   }
 
   /**
@@ -387,47 +690,141 @@ class ProjectController {
     throw 'Unimplemented: importFile()';
   }
 
+  /**
+   * Returns the resources which go into a sample application unless the user
+   * chooses otherwise: a single workspace with the first toolbox, workspace
+   * contents and workspace configuration of the project, and all of its block
+   * libraries.
+   * @return {!Object} Options for the sample application, with the
+   *     libraryNames and targets fields described in generateInjectString.
+   */
+  getDefaultSampleAppOptions() {
+    return {
+      libraryNames: this.project.getBlockLibraryNames(),
+      targets: [this.getDefaultInjectTarget('blocklyWorkspace')]
+    };
+  }
+
+  /**
+   * Returns an injection target of a sample application, using the first
+   * toolbox, workspace contents and workspace configuration of the project.
+   * @param {string} div ID of the div to inject into.
+   * @return {!Object} The injection target, as described in
+   *     generateInjectString.
+   */
+  getDefaultInjectTarget(div) {
+    return {
+      div: div,
+      toolboxName: this.project.getToolboxNames()[0] || null,
+      workspaceContentsName:
+          this.project.getWorkspaceContentsNames()[0] || null,
+      workspaceConfigName:
+          this.project.getWorkspaceConfigurationNames()[0] || null
+    };
+  }
+
+  /**
+   * Writes a sample Blockly application of the project to a directory: an
+   * index.html file which shows the chosen resources of the project,
+   * alongside copies of the Blockly libraries it loads, so that it runs from
+   * disk without a network connection.
+   * @param {string} appDir The directory to write the application to. Created
+   *     if it does not exist.
+   * @param {Object=} opt_options The resources to use, as described in
+   *     generateInjectString. Defaults to getDefaultSampleAppOptions().
+   * @return {!Array.<string>} URLs of the libraries which are not bundled with
+   *     DevTools, and so are loaded from the network instead. Empty unless the
+   *     project's generator language is not bundled.
+   */
+  writeSampleApplication(appDir, opt_options) {
+    const language = this.project.generatorLanguage;
+    const libraries = ['lib/blockly_compressed.js', 'lib/blocks_compressed.js',
+        'lib/' + language.toLowerCase() + '_compressed.js', 'msg/js/en.js'];
+    if (!fs.existsSync(appDir)) {
+      fs.mkdirSync(appDir, {recursive: true});
+    }
+    const scripts = [];
+    const remoteScripts = [];
+    for (let library of libraries) {
+      const source = path.join(nw.__dirname, library);
+      if (!fs.existsSync(source)) {
+        const url = ProjectController.BLOCKLY_URL +
+            library.replace(/^lib\//, '');
+        scripts.push(url);
+        remoteScripts.push(url);
+        continue;
+      }
+      const destination = path.join(appDir, library);
+      if (!fs.existsSync(path.dirname(destination))) {
+        fs.mkdirSync(path.dirname(destination), {recursive: true});
+      }
+      fs.writeFileSync(destination, fs.readFileSync(source));
+      scripts.push(library);
+    }
+    fs.writeFileSync(path.join(appDir, 'index.html'),
+        this.generateInjectString(scripts, opt_options));
+    return remoteScripts;
+  }
+
   /**
    * Generates a string representation of main inject file necessary to create
    * a Blockly application.
-   * Auto-injects added toolbox into the inject function.
+   * Auto-injects the chosen toolboxes and workspace contents into the inject
+   * function, with one inject call per injection target.
    *
+   * @param {!Array.<string>} libraries Paths, relative to the inject file, or
+   *     URLs of the Blockly libraries to load.
+   * @param {Object=} opt_options The resources to use. Its libraryNames field
+   *     lists the block libraries whose blocks and generators are defined. Its
+   *     targets field lists the workspaces to inject, each with the ID of the
+   *     div to inject into (div), and the names of its toolboxName,
+   *     workspaceContentsName and workspaceConfigName resources. The toolbox
+   *     and workspace contents may be null to leave them out; targets without
+   *     a workspace configuration are not injected. Defaults to
+   *     getDefaultSampleAppOptions().
    * @return {string} String representation of starter code for inject file.
    */
-  generateInjectString() {
+  generateInjectString(libraries, opt_options) {
     // From wfactory_generator.js:generateInjectString(toolboxXml)
-    let div = 'blocklyWorkspace';
+    const options = opt_options || this.getDefaultSampleAppOptions();
+    const targets = options.targets.filter(
+        (target) => target.workspaceConfigName);
     let fileInfo = Object.create(null);
+    fileInfo['toolbox'] = '';
+    fileInfo['workspace'] = '';
+
+    const toolboxNames = [];
+    const workspaceNames = [];
+    const injectTargets = [];
+    for (let target of targets) {
+      const toolboxName = target.toolboxName;
+      if (toolboxName && toolboxNames.indexOf(toolboxName) == -1) {
+        toolboxNames.push(toolboxName);
+        fileInfo['toolbox'] += FactoryUtils.generateXmlAsJsFile(
+            this.project.getToolbox(toolboxName), 'TOOLBOX');
+      }
+      const workspaceName = target.workspaceContentsName;
+      if (workspaceName && workspaceNames.indexOf(workspaceName) == -1) {
+        workspaceNames.push(workspaceName);
+        fileInfo['workspace'] += FactoryUtils.generateXmlAsJsFile(
+            this.project.getWorkspaceContents(workspaceName), 'WORKSPACE');
+      }
+      injectTargets.push({
+        workspaceConfig: this.project.getWorkspaceConfiguration(
+            target.workspaceConfigName),
+        div: target.div,
+        toolboxName: toolboxName,
+        workspaceName: workspaceName
+      });
+    }
+    if (injectTargets.length) {
+      fileInfo['inject'] = FactoryUtils.generateMultiInjectFile(injectTargets);
+    }
 
-    // TODO: Allow user to configure which resources to export.
-
-    // Grabs first toolbox.
-    const toolboxName = Object.keys(this.project.toolboxSet.resources)[0];
-    const toolbox = this.project.getToolbox(toolboxName);
-    const toolboxScript = FactoryUtils.generateXmlAsJsFile(toolbox, 'TOOLBOX');
-    fileInfo['toolbox'] = toolboxScript;
-
-    // Grabs first WorkspaceContents.
-    const workspaceName = Object.keys(this.project.workspaceContentsSet.resources)[0];
-    const workspace = this.project.getWorkspaceContents(workspaceName);
-    const workspaceScript = FactoryUtils.generateXmlAsJsFile(workspace, 'WORKSPACE');
-    fileInfo['workspace'] = workspaceScript;
-
-    // Grabs first WorkspaceConfiguration.
-    const configName = Object.keys(this.project.workspaceConfigSet.resources)[0];
-    const config = this.project.getWorkspaceConfiguration(configName);
-    let customInjectInfo = Object.create(null);
-    customInjectInfo.toolboxName = toolboxName;
-    customInjectInfo.div = div;
-    customInjectInfo.workspaceName = workspaceName;
-    const injectScript = this.tree.appController.editorController.
-        workspaceController.generateInjectFile(config, customInjectInfo);
-    fileInfo['inject'] = injectScript;
-
-    // Grabs all BlockDefinitions.
-    const blockDefScript = this.tree.appController.editorController.
-        blockEditorController.getLibraryJsFile();
-    fileInfo['blocks'] = blockDefScript;
+    fileInfo['blocks'] = this.tree.appController.editorController.
+        blockEditorController.getLibraryJsFile(options.libraryNames);
+    fileInfo['libraries'] = libraries;
+    fileInfo['divs'] = targets.map((target) => target.div);
 
     return this.generateInjectFileContents(fileInfo);
   }
@@ -439,22 +836,32 @@ class ProjectController {
    *     to load components of the application (broken down into a toolbox field,
    *     workspace field, blocks field, and inject field). Each is loaded into
    *     a script tag, and is necessary to load that resource into the application.
+   *     Its libraries field lists the paths or URLs of the Blockly libraries
+   *     to load, and its divs field lists the IDs of the divs to inject into.
+   *     The code generated from the workspace in the first div is shown.
    */
   generateInjectFileContents(injectInfo) {
     const toolboxScript = injectInfo.toolbox || '';
     const workspaceScript = injectInfo.workspace || '';
     const blockDefScript = injectInfo.blocks || '';
     const injectScript = injectInfo.inject || '';
-    // TODO: Replace blockly imports with web files.
+    const divs = injectInfo.divs || [];
+    const divElements = divs.map((div) => `
+  <div id="${FactoryUtils.escapeHtml(div)}" style="width:80%; min-width:200px; height:60%; min-height:300px;">
+    <!-- Your workspace will be auto-injected here. Make sure the ID of this div
+         matches the ID specified in your inject function. -->
+  </div>`).join('');
+    const libraryScripts = (injectInfo.libraries || []).map(
+        (library) => `<script src="${FactoryUtils.escapeHtml(library)}"></script>`)
+        .join('\n  ');
+    const language = this.project.generatorLanguage;
+    const projectName = FactoryUtils.escapeHtml(this.project.name);
     let fileContents = `
 <html>
 <head>
-  <title>Sample Application: ${this.project.name}</title>
+  <title>Sample Application: ${projectName}</title>
   <!-- Necessary Blockly Imports -->
-  <script src="https://blockly-demo.appspot.com/static/blockly_compressed.js"></script>
-  <script src="https://blockly-demo.appspot.com/static/blocks_compressed.js"></script>
-  <script src="https://blockly-demo.appspot.com/static/javascript_compressed.js"></script>
-  <script src="https://blockly-demo.appspot.com/static/msg/js/en.js"></script>
+  ${libraryScripts}
   <!-- Blocks -->
   <script>
   ${blockDefScript}</script>
@@ -467,13 +874,25 @@ class ProjectController {
 
   <!-- Inject -->
   <script>${injectScript}</script>
+
+  <!-- Generated code -->
+  <script>
+window.addEventListener('load', function() {
+  var workspace = window.BLOCKLY_WORKSPACES && BLOCKLY_WORKSPACES[${FactoryUtils.toScriptString(divs[0] || '')}];
+  if (!workspace) {
+    return;
+  }
+  workspace.addChangeListener(function() {
+    document.getElementById('generatedCode').textContent =
+        Blockly.${language}.workspaceToCode(workspace);
+  });
+});
+  </script>
 </head>
 <body>
-  <h1>My Blockly Application: ${this.project.name}</h1>
-  <div id="blocklyWorkspace" style="width:80%; min-width:200px; height:60%; min-height:300px;">
-    <!-- Your workspace will be auto-injected here. Make sure the ID of this div
-         matches the ID specified in your inject function. -->
-  </div>
+  <h1>My Blockly Application: ${projectName}</h1>${divElements}
+  <h2>Generated ${language}</h2>
+  <pre id="generatedCode"></pre>
 </body>
 </html>
 `;
@@ -481,9 +900,14 @@ class ProjectController {
   }
 
   /**
-   * Exports the entire project.
+   * Generates a string representation of the entire project as a single,
+   * self-contained JSON bundle, containing every resource of the project along
+   * with the project's metadata. The bundle can be restored with Import Project.
+   *
+   * @return {string} String representation of the project bundle.
    */
   exportProject() {
-    throw "unimplemented: exportProject";
+    return JSON.stringify(ProjectFormat.getProjectBundle(this.project), null,
+        '\t');
   }
 }
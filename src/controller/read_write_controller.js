@@ -22,10 +22,17 @@
 
 goog.provide('ReadWriteController');
 
+goog.require('BlockDefinition');
+goog.require('BlockLibrary');
+goog.require('FactoryUtils');
 goog.require('SaveProjectPopupView');
 goog.require('SaveProjectPopupController');
 goog.require('OpenProjectPopupController');
 goog.require('Project');
+goog.require('ProjectFormat');
+goog.require('Toolbox');
+goog.require('WorkspaceConfiguration');
+goog.require('WorkspaceContents');
 
 /**
  * @fileoverview ReadWriteController manages reading and writing all files
@@ -84,23 +91,44 @@ class ReadWriteController {
   }
 
   /**
-   * Saves a library to the developer's file system.
+   * Saves a library to the developer's file system. Along with the JSON block
+   * definitions, stores the block editor XML of each block so that the blocks
+   * can be edited again once the project is reopened, and registers the
+   * extensions which the blocks need. If the project has type declarations enabled, also
+   * writes a TypeScript declaration file.
    * @param {!BlockLibrary} library the block library to be saved.
    */
   saveLibrary(library) {
     let blockData = [];
+    let blockXml = Object.create(null);
     for (let blockType of library.getBlockTypes()) {
       // Issue #190
       let block = library.getBlockDefinition(blockType);
       let item = '\n\n\t// BlockType: ' + block.type() + '\n' + block.json;
       blockData.push(item);
+      blockXml[blockType] = Blockly.Xml.domToText(block.getXml());
     }
     const location = library.webFilepath;
     const filename = this.getDivName(library) + '.js';
     library.webFilepath = library.webFilepath + path.sep + filename;
-    let fileData = 'Blockly.defineBlocksWithJsonArray( // BEGIN JSON EXTRACT \n' +
-        blockData + ');  // END JSON EXTRACT (Do not delete this comment.)';
+    // Escape '*/' so that the XML cannot end the comment it is stored in.
+    const xmlData = JSON.stringify(blockXml, null, '\t').replace(/\*\//g, '*\\/');
+    let fileData = 'Blockly.defineBlocksWithJsonArray( // BEGIN JSON EXTRACT \n[' +
+        blockData + '\n]);  // END JSON EXTRACT (Do not delete this comment.)\n\n';
+    const extensionCode = this.appController.project.getExtensionCode(
+        library.getAllBlockDefinitions());
+    if (extensionCode) {
+      fileData += extensionCode + '\n\n';
+    }
+    fileData +=
+        '/* BEGIN XML EXTRACT (Used by Blockly DevTools to reopen this library.)\n' +
+        xmlData + '\nEND XML EXTRACT */\n';
     fs.writeFileSync(location + path.sep + filename, fileData);
+    if (this.appController.project.typeDeclarations) {
+      fs.writeFileSync(location + path.sep + this.getDivName(library) + '.d.ts',
+          FactoryUtils.generateTypeDeclarations(library.name,
+              library.getBlockArrayJson()));
+    }
   }
 
   /**
@@ -125,7 +153,7 @@ class ReadWriteController {
     var xmlStorageVariable = 'WORKSPACE_CONTENTS_XML';
     let data = `
 /* BEGINNING ${xmlStorageVariable} ASSIGNMENT. DO NOT EDIT. USE BLOCKLY DEVTOOLS. */
-var ${xmlStorageVariable} = ${xmlStorageVariable} || null;
+var ${xmlStorageVariable} = ${xmlStorageVariable} || Object.create(null);
 
 ${xmlStorageVariable}['${workspaceContents.name}'] =
     ${FactoryUtils.concatenateXmlString(xml)};
@@ -143,23 +171,27 @@ ${xmlStorageVariable}['${workspaceContents.name}'] =
    *     to be saved.
    */
   saveWorkspaceConfiguration(workspaceConfig) {
-    var attributes = this.stringifyOptions_(workspaceConfig.options, '\t');
+    // Infinity is not valid JSON, so an unlimited maxBlocks is stored as null,
+    // which Blockly also treats as unlimited.
+    const options = JSON.stringify(workspaceConfig.options, null, '\t');
+    let toolboxComment = '';
     if (!workspaceConfig.options['readOnly']) {
-      attributes = 'toolbox : BLOCKLY_TOOLBOX_XML[/* TODO: Insert name of ' +
-        'imported toolbox to display here */], \n' + attributes;
+      toolboxComment = '\n  /* TODO: Set options.toolbox to the ' +
+          'BLOCKLY_TOOLBOX_XML entry of the imported toolbox to display. */';
     }
 
     var data = `
 /* BEGINNING BLOCKLY_OPTIONS ASSIGNMENT. DO NOT EDIT. USE BLOCKLY DEVTOOLS. */
 var BLOCKLY_OPTIONS = BLOCKLY_OPTIONS || Object.create(null);
 
-BLOCKLY_OPTIONS['${workspaceConfig.name}'] = ${attributes};
+BLOCKLY_OPTIONS['${workspaceConfig.name}'] = ${options};
 /* END BLOCKLY_OPTIONS ASSIGNMENT. DO NOT EDIT. */
 
 document.onload = function() {
+  var options = BLOCKLY_OPTIONS['${workspaceConfig.name}'];${toolboxComment}
   /* Inject your workspace */
   /* TODO: Add ID of div to inject Blockly into */
-  var workspace = Blockly.inject(null, BLOCKLY_OPTIONS);
+  var workspace = Blockly.inject(null, options);
 };
 `;
     const location = workspaceConfig.webFilepath;
@@ -186,25 +218,52 @@ document.onload = function() {
       let typeAndName = divId.split("_");
       let type = typeAndName[0];
       let name = typeAndName[1];
+      let resource = null;
       if (type == PREFIXES.LIBRARY) {
-        let library = this.appController.project.getBlockLibrary(name);
-        this.saveLibrary(library);
+        resource = this.appController.project.getBlockLibrary(name);
+        this.saveLibrary(resource);
       } else if (type == PREFIXES.TOOLBOX) {
-        let toolbox = this.appController.project.getToolbox(name);
-        this.saveToolbox(toolbox);
+        resource = this.appController.project.getToolbox(name);
+        this.saveToolbox(resource);
       } else if (type == PREFIXES.WORKSPACE_CONTENTS) {
-        let workspaceContents =
-            this.appController.project.getWorkspaceContents(name);
-        this.saveWorkspaceContents(workspaceContents);
+        resource = this.appController.project.getWorkspaceContents(name);
+        this.saveWorkspaceContents(resource);
       } else if (type == PREFIXES.WORKSPACE_CONFIG) {
-        let workspaceConfig =
-            this.appController.project.getWorkspaceConfiguration(name);
-        this.saveWorkspaceConfiguration(workspaceConfig);
+        resource = this.appController.project.getWorkspaceConfiguration(name);
+        this.saveWorkspaceConfiguration(resource);
+      }
+      if (resource) {
+        this.saveResourceData(resource);
       }
     }
     this.saveProjectMetadataFile();
   }
 
+  /**
+   * Saves the data file of a resource, in the format defined by ProjectFormat,
+   * next to the resource's generated JS file. Must be called after the JS file
+   * is saved.
+   * @param {!Resource} resource The resource to save the data of.
+   */
+  saveResourceData(resource) {
+    const data = ProjectFormat.getResourceData(resource);
+    const filepath = this.getDataFilepath_(resource);
+    fs.writeFileSync(filepath, JSON.stringify(data, null, '\t'));
+  }
+
+  /**
+   * Returns the path of a resource's data file, which is in the same directory
+   * as its generated JS file.
+   * @param {!Resource|!Object} resource The resource, or its metadata.
+   * @return {string} Absolute path of the resource's data file.
+   * @private
+   */
+  getDataFilepath_(resource) {
+    const jsFilepath = resource.webFilepath || resource.web.filepath;
+    return path.dirname(jsFilepath) + path.sep + this.getDivName(resource) +
+        '.json';
+  }
+
   /**
    * Save the project's metadata file.
    */
@@ -212,167 +271,383 @@ document.onload = function() {
   saveProjectMetadataFile() {
     const project = this.appController.project;
     let data = Object.create(null);
+    data.formatVersion = ProjectFormat.CURRENT_VERSION;
     const location = this.appController.project.webFilepath;
     project.buildMetadata(data);
+    for (let resource of data.resources) {
+      resource.file = path.relative(location, this.getDataFilepath_(resource));
+    }
     let dataString = JSON.stringify(data, null, '\t');
     fs.writeFileSync(location + path.sep + 'metadata', dataString);
   }
 
   /**
-   * Creates a string representation of the options, for use in making the string
-   * used to inject the workspace.
-   * @param {!Object} obj Object representing the options selected in the current
-   *     configuration.
-   * @param {string} indent String representation of an indent.
-   * @return {string} String representation of the workspace configuration's
-   *     options.
-   * @recursive
-   * @private
+   * Opens a previously saved project.
    */
-  stringifyOptions_(obj, indent) {
-    // REFACTORED from wfactory_generator.js:addAttributes_(obj, tabChar)
-    if (!obj) {
-      return '{}\n';
-    }
-    var str = '';
-    for (var key in obj) {
-      if (key == 'grid' || key == 'zoom') {
-        var temp = indent + key + ' : {\n' +
-            this.stringifyOptions_(obj[key], indent + '\t') +
-            indent + '}, \n';
-      } else if (typeof obj[key] == 'string') {
-        var temp = indent + key + ' : \'' + obj[key] + '\', \n';
-      } else {
-        var temp = indent + key + ' : ' + obj[key] + ', \n';
-      }
-      str += temp;
-    }
-    var lastCommaIndex = str.lastIndexOf(',');
-    str = str.slice(0, lastCommaIndex) + '\n';
-    return str;
+  openProject() {
+    this.popupController = new OpenProjectPopupController(this.appController,
+        this);
+    this.popupController.show();
   }
 
   /**
-   * Opens a previously saved project.
+   * Imports a project bundle exported by ProjectController.exportProject().
    */
-  openProject() {
+  importProject() {
     this.popupController = new OpenProjectPopupController(this.appController,
-        this);
+        this, true);
     this.popupController.show();
   }
 
   /**
-   * Initialize a Project based off of its metadata.
+   * Initialize a Project from a project bundle file. The project has no
+   * location on the developer's file system until it is saved.
+   * @param {string} bundlePath An absolute path to the project bundle.
+   * @return {!Project} The reconstructed project.
+   * @throws If the bundle cannot be read or is invalid.
+   */
+  constructProjectFromBundle(bundlePath) {
+    const doc = this.readJsonFile_(bundlePath);
+    return this.constructProjectFromDocument(doc, '');
+  }
+
+  /**
+   * Initialize a Project based off of its metadata, reconstructing each of its
+   * resources from the files written by saveAllFiles(). Projects saved in older
+   * versions of the project format are migrated to the current version.
    * @param {string} projectMetaPath An absolute path to the project's metadata.
    * @param {string} platform The platform being uploaded.
    * @return {!Project} The reconstructed project.
-   * @throws Error if resource type is invalid.
+   * @throws If the project's files cannot be read or are invalid.
    */
   constructProject(projectMetaPath, platform) {
-    const dataString = fs.readFileSync(projectMetaPath, 'utf8');
-    let data = JSON.parse(dataString);
-    let project = new Project(data.name);
-    for (let resource of data.resources) {
+    const metadata = this.readJsonFile_(projectMetaPath);
+    const projectDir = path.dirname(projectMetaPath);
+    ProjectFormat.checkVersion(metadata);
+    let doc;
+    if (ProjectFormat.getVersion(metadata) == 1) {
+      doc = this.readLegacyProjectDocument_(metadata, platform);
+    } else {
+      doc = this.readProjectDocument_(metadata, projectDir);
+    }
+    return this.constructProjectFromDocument(doc, projectDir);
+  }
+
+  /**
+   * Initialize a Project from a project document, as defined by ProjectFormat.
+   * @param {!Object} doc The project document. Migrated to the current version
+   *     of the project format if necessary, then validated.
+   * @param {string} projectDir The directory that the project is stored in.
+   * @return {!Project} The reconstructed project.
+   * @throws If the project document is invalid.
+   */
+  constructProjectFromDocument(doc, projectDir) {
+    doc = ProjectFormat.migrate(doc);
+    const errors = ProjectFormat.validate(doc);
+    if (errors.length) {
+      throw 'Invalid project data:\n' + errors.join('\n');
+    }
+
+    let project = new Project(doc.name);
+    project.generatorLanguage = doc.generatorLanguage;
+    project.typeDeclarations = doc.typeDeclarations;
+    Object.assign(project.extensions, doc.extensions);
+    project.localizeBlocks = doc.localizeBlocks;
+    project.defaultLocale = doc.defaultLocale;
+    for (let locale in doc.translations) {
+      project.translations[locale] =
+          Object.assign(Object.create(null), doc.translations[locale]);
+    }
+    for (let type in doc.fieldTypes) {
+      project.fieldTypes[type] = {
+        params: Object.assign({}, doc.fieldTypes[type].params),
+        code: doc.fieldTypes[type].code
+      };
+    }
+    project.webFilepath = projectDir;
+    for (let data of doc.resources) {
+      let resource;
+      if (data.resourceType == PREFIXES.LIBRARY) {
+        resource = this.constructLibrary(data);
+        project.addBlockLibrary(resource);
+      } else if (data.resourceType == PREFIXES.TOOLBOX) {
+        resource = this.constructToolbox(data);
+        project.addToolbox(resource);
+      } else if (data.resourceType == PREFIXES.WORKSPACE_CONTENTS) {
+        resource = this.constructWorkspaceContents(data);
+        project.addWorkspaceContents(resource);
+      } else if (data.resourceType == PREFIXES.WORKSPACE_CONFIG) {
+        resource = this.constructWorkspaceConfig(data);
+        project.addWorkspaceConfiguration(resource);
+      }
+      resource.webFilepath = data.web.filepath ?
+          path.dirname(data.web.filepath) : projectDir;
+    }
+    return project;
+  }
+
+  /**
+   * Reads the project document of a project saved in version 2 or later of the
+   * project format, combining its metadata with the data file of each resource.
+   * @param {!Object} metadata The project's metadata.
+   * @param {string} projectDir The directory containing the metadata file.
+   * @return {!Object} The project document.
+   * @throws If a data file cannot be read or does not match its metadata.
+   * @private
+   */
+  readProjectDocument_(metadata, projectDir) {
+    if (!Array.isArray(metadata.resources)) {
+      // Reported by ProjectFormat.validate().
+      return metadata;
+    }
+    metadata.resources = metadata.resources.map((entry, i) => {
+      const location = 'resources[' + i + ']';
+      if (!entry || typeof entry.file != 'string') {
+        throw location + '.file: expected the path of the resource\'s data ' +
+            'file.';
+      }
+      const filepath = path.resolve(projectDir, entry.file);
+      const data = this.readJsonFile_(filepath);
+      if (data.name !== entry.name || data.resourceType !== entry.resourceType) {
+        throw location + ': ' + filepath + ' contains the data of ' +
+            data.resourceType + ' "' + data.name + '" instead of ' +
+            entry.resourceType + ' "' + entry.name + '".';
+      }
+      // Metadata takes precedence over the copy stored in the data file.
+      return Object.assign(data, entry);
+    });
+    return metadata;
+  }
+
+  /**
+   * Reads the project document of a project saved in version 1 of the project
+   * format, in which each resource was stored only as its generated JS file.
+   * @param {!Object} metadata The project's metadata.
+   * @param {string} platform The platform whose files should be read.
+   * @return {!Object} The version 1 project document.
+   * @throws If a resource file cannot be read or parsed.
+   * @private
+   */
+  readLegacyProjectDocument_(metadata, platform) {
+    for (let resource of metadata.resources || []) {
+      const dataString = fs.readFileSync(resource[platform].filepath, 'utf8');
       if (resource.resourceType == PREFIXES.LIBRARY) {
-        this.constructLibrary(resource[platform].filepath);
+        const blockXmlMap = this.processLibraryXmlDataString(dataString);
+        resource.blocks = [];
+        for (let blockJson of this.processLibraryDataString(dataString)) {
+          resource.blocks.push({
+            type: blockJson.type,
+            json: blockJson,
+            xml: blockXmlMap[blockJson.type]
+          });
+        }
       } else if (resource.resourceType == PREFIXES.TOOLBOX) {
-        this.constructToolbox(resource[platform].filepath);
+        resource.xml = this.processToolboxDataString(dataString);
       } else if (resource.resourceType == PREFIXES.WORKSPACE_CONTENTS) {
-        this.constructWorkspaceContents(resource[platform].filepath);
+        resource.xml = this.processWorkspaceContentsDataString(dataString);
       } else if (resource.resourceType == PREFIXES.WORKSPACE_CONFIG) {
-        this.constructWorkspaceConfig(resource[platform].filepath);
+        resource.options = this.processWorkspaceConfigDataString(dataString);
       } else {
         throw 'invalid resource type: ' + resource.resourceType;
       }
     }
-    return project;
+    return metadata;
+  }
+
+  /**
+   * Reads and parses a JSON file.
+   * @param {string} filepath The absolute filepath of the JSON file.
+   * @return {*} The parsed contents of the file.
+   * @throws If the file cannot be read or is not valid JSON.
+   * @private
+   */
+  readJsonFile_(filepath) {
+    const dataString = fs.readFileSync(filepath, 'utf8');
+    try {
+      return JSON.parse(dataString);
+    } catch (e) {
+      throw filepath + ' is not valid JSON: ' + e.message;
+    }
   }
 
   /**
-   * Construct a library based off of file data, and add it to the project.
-   * @param {string} path The absolute filepath to the library data.
+   * Construct a library based off of its data. Defines each of its blocks.
+   * @param {!Object} data The library's data, as defined by ProjectFormat.
+   * @return {!BlockLibrary} The reconstructed library.
    */
-  constructLibrary(path) {
-    const dataString = fs.readFileSync(path, 'utf8');
+  constructLibrary(data) {
+    let library = new BlockLibrary(data.name);
+    for (let blockData of data.blocks) {
+      const block = this.constructBlock(blockData);
+      library.add(block);
+      block.define();
+    }
+    return library;
   }
 
   /**
-   * Construct a block based off of file data, and add it to the project.
-   * @param {string} path The absolute filepath to the block data.
+   * Construct a block based off of its data.
+   * @param {!Object} data The block's data, as defined by ProjectFormat. If its
+   *     block editor XML is null, it is rebuilt from the block's JSON, or a
+   *     starter block is shown if the JSON cannot be represented.
+   * @return {!BlockDefinition} The reconstructed block definition.
    */
-  constructBlock(path) {
-    throw 'unimplemented: constructBlock';
+  constructBlock(data) {
+    let block = new BlockDefinition(data.type,
+        JSON.stringify(data.json, null, '  '));
+    for (let language in data.generators) {
+      block.setGeneratorCode(language, data.generators[language]);
+    }
+    if (data.xml) {
+      block.setXml(Blockly.Xml.textToDom(data.xml));
+      return block;
+    }
+    try {
+      block.setXml(FactoryUtils.buildFactoryXmlFromJson(data.json));
+    } catch (e) {
+      console.warn('Could not rebuild block editor XML for ' + data.type +
+          ' (' + e.message + '). Loading a starter block instead.');
+      block.setXml(Blockly.Xml.textToDom(
+          FactoryUtils.buildBlockEditorStarterXml('', data.type, '')));
+    }
+    return block;
   }
 
   /**
-   * Construct a toolbox based off of file data, and add it to the project.
-   * @param {string} path The absolute filepath to the toolbox data.
+   * Construct a toolbox based off of its data.
+   * @param {!Object} data The toolbox's data, as defined by ProjectFormat.
+   * @return {!Toolbox} The reconstructed toolbox.
    */
-  constructToolbox(path) {
-    const dataString = fs.readFileSync(path, 'utf8');
-    let refinedString = this.processToolboxDataString(dataString);
+  constructToolbox(data) {
+    let toolbox = new Toolbox(data.name);
+    toolbox.loadFromXml(Blockly.Xml.textToDom(data.xml));
+    return toolbox;
   }
 
   /**
-   * Construct workspace contents based off of file data and add to project.
-   * @param {string} path The absolute filepath to the workspace contents data.
+   * Construct workspace contents based off of their data.
+   * @param {!Object} data The workspace contents' data, as defined by
+   *     ProjectFormat.
+   * @return {!WorkspaceContents} The reconstructed workspace contents.
    */
-  constructWorkspaceContents(path) {
-    const dataString = fs.readFileSync(path, 'utf8');
-    let refinedString = this.processWorkspaceContentsDataString(dataString);
+  constructWorkspaceContents(data) {
+    let workspaceContents = new WorkspaceContents(data.name);
+    workspaceContents.setXml(Blockly.Xml.textToDom(data.xml));
+    return workspaceContents;
   }
 
   /**
-   * Construct a workspace configuration based off of file data and add to project.
-   * @param {string} path The absolute filepath to the workspace config's data.
+   * Construct a workspace configuration based off of its data.
+   * @param {!Object} data The workspace configuration's data, as defined by
+   *     ProjectFormat.
+   * @return {!WorkspaceConfiguration} The reconstructed workspace
+   *     configuration.
    */
-  constructWorkspaceConfig(path) {
-    const dataString = fs.readFileSync(path, 'utf8');
-    let refinedString = this.processWorkspaceConfigDataString(dataString);
+  constructWorkspaceConfig(data) {
+    let workspaceConfig = new WorkspaceConfiguration(data.name);
+    let options = data.options;
+    if (options['maxBlocks'] === null) {
+      options['maxBlocks'] = Infinity;
+    }
+    workspaceConfig.setOptions(options);
+    return workspaceConfig;
   }
 
   /**
-   * Processes a string of library file data so that it can be parsed into JSON.
-   * @param {string} dataString The string of the library's metadata.
-   * @return {string} The refined string, ready to be parsed.
+   * Processes a string of library file data, extracting the array of block
+   * definitions between the JSON extract comments. Used to read projects saved
+   * in version 1 of the project format.
+   * @param {string} dataString The string of the library's file data.
+   * @return {!Array.<!Object>} The JSON definitions of the library's blocks.
+   * @throws If the file data does not contain the JSON extract comments.
    */
   processLibraryDataString(dataString) {
-    let refinedString = dataString.replace(/\/\/\ (.*)$/gm, '');
-    refinedString = refinedString.replace('Blockly.defineBlocksWithJsonArray(', '');
-    refinedString = refinedString.replace(');', '');
-    refinedString = refinedString + ',';
-    let refinedArray = refinedString.split('},');
-    for (let blockString of refinedArray) {
-      if (blockString) {
-        blockString = blockString + '}';
-      }
+    const start = dataString.indexOf('// BEGIN JSON EXTRACT');
+    const end = dataString.indexOf(');  // END JSON EXTRACT');
+    if (start < 0 || end < 0) {
+      throw 'Library file does not contain a JSON extract.';
+    }
+    let refinedString = dataString.substring(
+        dataString.indexOf('\n', start), end);
+    // Remove the "// BlockType:" comments preceding each definition.
+    refinedString = refinedString.replace(/^\s*\/\/.*$/gm, '').trim();
+    // Libraries saved before the array brackets were written lack them.
+    if (refinedString[0] != '[') {
+      refinedString = '[' + refinedString + ']';
+    }
+    return FactoryUtils.parseOptionsString(refinedString);
+  }
+
+  /**
+   * Processes a string of library file data, extracting the map of block types
+   * to their block editor XML. Used to read projects saved in version 1 of the
+   * project format.
+   * @param {string} dataString The string of the library's file data.
+   * @return {!Object<string, string>} Map of block type to string
+   *     representation of its block editor XML. Empty if the file does not
+   *     contain an XML extract.
+   */
+  processLibraryXmlDataString(dataString) {
+    const beginMarker = '/* BEGIN XML EXTRACT';
+    const start = dataString.indexOf(beginMarker);
+    const end = dataString.indexOf('END XML EXTRACT */');
+    if (start < 0 || end < 0) {
+      return Object.create(null);
     }
+    return JSON.parse(dataString.substring(
+        dataString.indexOf('\n', start), end));
   }
 
   /**
    * Processes a string of toolbox file data to properly extract xml.
-   * @param {string} dataString The string of the toolbox's metadata.
+   * @param {string} dataString The string of the toolbox's file data.
    * @return {string} The xml string.
+   * @throws If the file data does not contain a toolbox XML assignment.
    */
   processToolboxDataString(dataString) {
-    let refinedString = dataString.replace(/\/\*(.*)\*\/(.*)$/gm, '');
+    const xmlString = FactoryUtils.extractXmlFromJsFile(dataString);
+    if (xmlString === null) {
+      throw 'Toolbox file does not contain a BLOCKLY_TOOLBOX_XML assignment.';
+    }
+    return xmlString;
   }
 
   /**
    * Processes a string of workspace contents file data to properly extract xml.
-   * @param {string} dataString The string of the workspace contents metadata.
+   * @param {string} dataString The string of the workspace contents file data.
    * @return {string} The xml string.
+   * @throws If the file data does not contain a workspace contents XML
+   *     assignment.
    */
   processWorkspaceContentsDataString(dataString) {
-    let refinedString = dataString.replace(/\/\*(.*)\*\/(.*)$/gm, '');
+    const xmlString = FactoryUtils.extractXmlFromJsFile(dataString);
+    if (xmlString === null) {
+      throw 'Workspace contents file does not contain a ' +
+          'WORKSPACE_CONTENTS_XML assignment.';
+    }
+    return xmlString;
   }
 
   /**
    * Processes a string of workspace configuration file data to extract options.
-   * @param {string} dataString The string of the workspace configuration's metadata.
-   * @return {string} The options string.
+   * Reads the files written by earlier versions of DevTools, whose options are
+   * not JSON, as well (see FactoryUtils.parseOptionsString).
+   * @param {string} dataString The string of the workspace configuration's
+   *     file data.
+   * @return {!Object} The options object.
+   * @throws If the file data does not contain a BLOCKLY_OPTIONS assignment, or
+   *     its options cannot be parsed.
    */
   processWorkspaceConfigDataString(dataString) {
-    let refinedString = dataString.replace(/\/\*(.*)\*\/(.*)$/gm, '');
+    const start = dataString.indexOf('/* BEGINNING BLOCKLY_OPTIONS ASSIGNMENT.');
+    const end = dataString.indexOf('/* END BLOCKLY_OPTIONS ASSIGNMENT.');
+    if (start < 0 || end < start) {
+      throw 'Workspace configuration file does not contain a BLOCKLY_OPTIONS ' +
+          'assignment.';
+    }
+    const assignment = dataString.substring(start, end);
+    const refinedString = assignment.substring(assignment.indexOf('] =') + 3,
+        assignment.lastIndexOf(';'));
+    return FactoryUtils.parseOptionsString(refinedString);
   }
 }
@@ -278,7 +278,7 @@ class ShadowController {
   addShadowForBlockAndChildren_(block) {
     // From wfactory_controller.js:addShadowForBlockAndChildren_(block)
     // Convert to shadow block.
-    FactoryUtils.markShadowBlock(block);
+    ShadowController.markShadowBlock(block);
     this.currentResource.addShadowBlock(block.id);
 
     if (FactoryUtils.hasVariableField(block)) {
@@ -653,7 +653,7 @@ Do you want to add a ${categoryName} category to your custom toolbox?`;
       toolbox.selected = null;
 
       for (let elem of toolbox.categoryList) {
-        if (elem.type = ListElement.TYPE_CATEGORY) {
+        if (elem.type == ListElement.TYPE_CATEGORY) {
           // Add tab to view.
           const tab = this.view.addCategoryTab(elem.name, elem.id);
           // Add color to tab.
@@ -679,91 +679,103 @@ Do you want to add a ${categoryName} category to your custom toolbox?`;
   /**
    * Given a XML DOM tree, loads it into the toolbox editing area so that the
    * user can continue editing their work. Assumes that tree is in valid toolbox
-   * XML format. Assumes that the mode is MODE_TOOLBOX.
+   * XML format. Blocks which are not defined are left out.
    * @param {!Element} tree XML tree to be loaded to toolbox editing area.
+   * @return {!Array.<string>} Types of the blocks which were left out.
    * @private
    */
   importToolboxFromTree_(tree) {
-    /*
-     * TODO: Move in from wfactory_controller.js
-     *
-     * References:
-     * - clearToolboxList()
-     * - clearToolboxTabs()
-     * - convertShadowBlocks()
-     * - view.addEmptyCategoryMessage()
-     * - createCategory()
-     * - setBorderColor()
-     * - switchElement()
-     * - updateState()
-     * - saveStateFromWorkspace()
-     * - setCategoryOptions()
-     * - generateNewOptions()
-     * - updatePreview()
-     */
-    throw 'Unimplemented: importToolboxFromTree_()';
-  }
+    // From wfactory_controller.js:importToolboxFromTree_(tree)
+    const undefinedTypes = FactoryUtils.removeUndefinedBlocks(tree);
 
-  /**
-   * Imports blocks from a file, generating a category in the toolbox workspace
-   * to allow the user to use imported blocks in the toolbox and in pre-loaded
-   * blocks.
-   * @param {!File} file File object for the blocks to import.
-   * @param {string} format The format of the file to import, either 'JSON' or
-   *     'JavaScript'.
-   */
-  importBlocks(file, format) {
-    /*
-     * TODO: Move in from wfactory_controller.js
-     *
-     * References:
-     * - defineAndGetBlockTypes()
-     * - hasDefinedBlockTypes()
-     * - getDefinedBlocks()
-     * - addImportedBlockTypes()
-     * - clearAndLoadXml_()
-     */
-    throw 'Unimplemented: importBlocks()';
+    // Clear the editor and load the tree into the model before showing it.
+    this.clear(true);
+    this.view.toolbox.loadFromXml(tree);
+    this.loadToolbox(this.view.toolbox);
+    this.view.toolbox.setXml(this.generateToolboxXml());
+    this.updatePreview();
+
+    // Offer to add the categories needed by the imported blocks.
+    this.hiddenWorkspace.clear();
+    const elements = this.view.toolbox.flyout ? [this.view.toolbox.flyout] :
+        this.view.toolbox.categoryList;
+    for (let element of elements) {
+      if (element.xml) {
+        Blockly.Xml.domToWorkspace(element.xml, this.hiddenWorkspace);
+      }
+    }
+    this.warnForMissingCategory_(this.hiddenWorkspace.getAllBlocks());
+    this.hiddenWorkspace.clear();
+    return undefinedTypes;
   }
 
   /**
-   * Displays imported Toolbox recently added to model onto editor view.
+   * Displays imported Toolbox recently added to model onto editor view. The
+   * toolbox must already be open in the toolbox editor.
    *
    * @param {string} toolboxName Name of toolbox that was imported.
    * @param {string} xmlString String representation of XML of recently imported
    *     toolbox.
+   * @return {!Array.<string>} Types of the blocks which were left out of the
+   *     toolbox because they are not defined.
    */
   loadImportedToolbox(toolboxName, xmlString) {
-    /*
-     * TODO: Move in from wfactory_generator.js:loadXml(jsFileContents, importMode)
-     *                    wfactory_generator.js:evaluateMarkedCode(code)
-     *       Note: loadXml() is broken into two functions in refactored version.
-     *
-     * References:
-     * - evaluateMarkedCode()
-     */
-    throw 'Unimplemented: loadImportedToolbox()';
+    if (this.view.toolbox.name != toolboxName) {
+      throw new Error('Toolbox ' + toolboxName + ' must be open in the ' +
+          'toolbox editor to be imported.');
+    }
+    return this.importToolboxFromTree_(Blockly.Xml.textToDom(xmlString));
   }
 
   /**
-   * Return the block types used in the custom toolbox and pre-loaded workspace.
-   * @return {!Array.<string>} Block types used in the custom toolbox and
-   *     pre-loaded workspace.
+   * Returns the block types used in a toolbox, in any of its categories or in
+   * its single flyout.
+   * @param {!Toolbox=} opt_toolbox The toolbox to search. Defaults to the
+   *     toolbox open in the toolbox editor.
+   * @return {!Array.<string>} Block types used in the toolbox, each listed
+   *     once.
    */
-  getAllUsedBlockTypes() {
-    /*
-     * TODO: Move in from wfactory_controller.js
-     *       Also move in from wfactory_model.js
-     *       (Also moved into: workspace_controller.js)
-     *
-     * References:
-     * - model.getAllUsedBlockTypes()
-     */
+  getAllUsedBlockTypes(opt_toolbox) {
+    const blockTypes = [];
+    for (let element of this.getElementsWithBlocks_(opt_toolbox)) {
+      for (let blockType of FactoryUtils.getBlockTypesInXml(element.xml)) {
+        if (blockTypes.indexOf(blockType) == -1) {
+          blockTypes.push(blockType);
+        }
+      }
+    }
+    return blockTypes;
+  }
 
-    // TODO: Separate getAllUsedBlockTypes() so that it is restricted to just
-    //       used block types in a toolbox editor or just used block types in
-    //       workspace editor.
-    throw 'Unimplemented: getAllUsedBlockTypes()';
+  /**
+   * Returns the categories of a toolbox which contain a block type, or its
+   * single flyout if the toolbox has no categories.
+   * @param {string} blockType The block type to find.
+   * @param {!Toolbox=} opt_toolbox The toolbox to search. Defaults to the
+   *     toolbox open in the toolbox editor.
+   * @return {!Array.<!ListElement>} The categories or flyout containing the
+   *     block type.
+   */
+  getElementsUsingBlockType(blockType, opt_toolbox) {
+    return this.getElementsWithBlocks_(opt_toolbox).filter((element) =>
+        FactoryUtils.getBlocksOfType(element.xml, blockType).length);
+  }
+
+  /**
+   * Returns the elements of a toolbox which can hold blocks: its categories,
+   * or its single flyout if it has no categories.
+   * @param {!Toolbox=} opt_toolbox The toolbox. Defaults to the toolbox open in
+   *     the toolbox editor.
+   * @return {!Array.<!ListElement>} The categories or flyout of the toolbox.
+   * @private
+   */
+  getElementsWithBlocks_(opt_toolbox) {
+    const toolbox = opt_toolbox || this.view.toolbox;
+    if (toolbox.flyout) {
+      return [toolbox.flyout];
+    }
+    return toolbox.categoryList.filter((element) =>
+        element.type == ListElement.TYPE_CATEGORY);
   }
 
   /**
@@ -982,24 +994,41 @@ Do you want to add a ${categoryName} category to your custom toolbox?`;
 
   /**
    * Extracts Toolbox XML from user-uploaded file. XML should be between marked
-   * comments in uploaded file.
+   * comments in uploaded file, as generated by generateToolboxJsFile(), or the
+   * file should be toolbox XML. The name is empty for XML files.
    *
-   * @param {string} fileContents Contents of JS file uploaded by user.
+   * @param {string} fileContents Contents of JS or XML file uploaded by user.
    * @return {!Object.<string, string>} Toolbox name to XML string pair.
+   * @throws {Error} If the file does not contain toolbox XML.
    */
   extractToolboxXml(fileContents) {
     let extractedToolbox = {};
     extractedToolbox.name = '';
     extractedToolbox.xmlString = '';
 
-    /*
-     * TODO: Move in from wfactory_generator.js:loadXml(jsFileContents, importMode)
-     *                    wfactory_generator.js:evaluateMarkedCode(code)
-     *
-     * References:
-     * - evaluateMarkedCode()
-     */
-     throw 'Unimplemented: extractToolboxXml()';
+    if (fileContents.trim().startsWith('<')) {
+      // Toolbox XML file.
+      extractedToolbox.xmlString = fileContents;
+    } else {
+      // JS file generated by generateToolboxJsFile().
+      const xmlString = FactoryUtils.extractXmlFromJsFile(fileContents);
+      if (xmlString === null) {
+        throw new Error('No toolbox XML assignment found in file.');
+      }
+      extractedToolbox.xmlString = xmlString;
+      extractedToolbox.name =
+          FactoryUtils.extractResourceNameFromJsFile(fileContents);
+    }
+
+    // Check that the XML is a toolbox before it is loaded.
+    const tree = Blockly.Xml.textToDom(extractedToolbox.xmlString);
+    for (let child of tree.children) {
+      if (['block', 'shadow', 'category', 'sep'].indexOf(
+          child.tagName.toLowerCase()) == -1) {
+        throw new Error('Unexpected <' + child.tagName + '> element in toolbox.');
+      }
+    }
+    return extractedToolbox;
   }
 
   /**
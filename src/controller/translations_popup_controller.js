@@ -0,0 +1,129 @@
+/**
+ * @license
+ * Blockly Demos: Block Factory
+ *
+ * Copyright 2017 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+goog.provide('TranslationsPopupController');
+
+goog.require('PopupController');
+goog.require('ProjectFormat');
+goog.require('TranslationsPopupView');
+
+/**
+ * @fileoverview TranslationsPopupController manages the popup in which the
+ * messages of the blocks of a project are translated into other locales.
+ */
+class TranslationsPopupController extends PopupController {
+  /**
+   * Manages popup for the translations of the project.
+   * @param {!AppController} appController Controller which manages application
+   *     and reflects changes after user interacts with this popup.
+   */
+  constructor(appController) {
+    super(appController);
+
+    /**
+     * Manages view part of translations popup.
+     * @type {!TranslationsPopupView}
+     */
+    this.view = new TranslationsPopupView(this);
+
+    this.showGrid_();
+  }
+
+  /**
+   * Shows the messages of the project and their translations.
+   * @private
+   */
+  showGrid_() {
+    const project = this.appController.project;
+    const locale = project.defaultLocale;
+    const messages = project.getMessages(locale);
+    let summary = 'Translate the text of the blocks from ' + locale +
+        ' into other locales. Text which is not translated is shown in ' +
+        locale + '.';
+    if (!Object.keys(messages).length) {
+      summary = 'The blocks of the project have no text to translate.';
+    } else if (!project.localizeBlocks) {
+      summary += ' Check File > Localize Block Text to export the blocks ' +
+          'with their translations.';
+    }
+    this.view.setSummary(summary);
+    const translations = Object.create(null);
+    for (let other of project.getLocales().slice(1)) {
+      translations[other] = project.translations[other];
+    }
+    this.view.showGrid(locale, messages, translations);
+  }
+
+  /**
+   * Adds a locale to the project if it is valid and not in the project yet.
+   * Shows a warning otherwise.
+   * @param {string} locale The locale, e.g. 'fr'.
+   */
+  addLocaleIfValid(locale) {
+    const project = this.appController.project;
+    locale = locale.trim();
+    if (!ProjectFormat.LOCALE_FORMAT.test(locale)) {
+      this.view.setWarning('Please enter a locale such as "fr" or "pt-br".');
+      return;
+    } else if (project.getLocales().indexOf(locale) != -1) {
+      this.view.setWarning('The locale "' + locale + '" already exists.');
+      return;
+    }
+    project.translations[locale] = Object.create(null);
+    this.view.setWarning('');
+    this.showGrid_();
+    this.appController.refreshBlockEditor();
+  }
+
+  /**
+   * Removes a locale and its translations from the project, once the user
+   * confirms.
+   * @param {string} locale The locale.
+   */
+  removeLocale(locale) {
+    if (!window.confirm('Are you sure you want to remove the locale "' +
+        locale + '" and its translations?')) {
+      return;
+    }
+    delete this.appController.project.translations[locale];
+    this.showGrid_();
+    this.appController.refreshBlockEditor();
+  }
+
+  /**
+   * Sets the translation of a message into a locale.
+   * @param {string} locale The locale.
+   * @param {string} key Key of the message.
+   * @param {string} text The translated text. If empty, the message is no
+   *     longer translated.
+   */
+  setTranslation(locale, key, text) {
+    const messages = this.appController.project.translations[locale];
+    if (text) {
+      messages[key] = text;
+    } else {
+      delete messages[key];
+    }
+    this.appController.refreshBlockEditor();
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * @license
+ * Blockly Demos: Block Factory
+ *
+ * Copyright 2017 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+goog.provide('ValidationPopupController');
+
+goog.require('PopupController');
+goog.require('ValidationPopupView');
+
+/**
+ * @fileoverview ValidationPopupController manages the popup listing the
+ * problems found in a project, from which the user can open the resource each
+ * problem is in.
+ */
+class ValidationPopupController extends PopupController {
+  /**
+   * Manages popup for the problems found in a project.
+   * @param {!AppController} appController Controller which manages application
+   *     and opens the resource the user selects.
+   * @param {!Array.<!ProjectValidator.Issue>} issues The problems found, as
+   *     returned by ProjectValidator.validate.
+   */
+  constructor(appController, issues) {
+    super(appController);
+
+    /**
+     * The problems found in the project.
+     * @type {!Array.<!ProjectValidator.Issue>}
+     */
+    this.issues = issues;
+
+    /**
+     * Manages view part of validation popup.
+     * @type {!ValidationPopupView}
+     */
+    this.view = new ValidationPopupView(this, issues);
+  }
+
+  /**
+   * Closes the popup and opens the resource a problem is in.
+   * @param {number} index Index of the problem within this.issues.
+   */
+  openIssue(index) {
+    const issue = this.issues[index];
+    this.exit();
+    this.appController.openResource(issue.nodeId, issue.categoryId);
+  }
+}
@@ -182,6 +182,39 @@ class WorkspaceController extends ShadowController {
     this.view.previewWorkspace.clear();
     Blockly.Xml.domToWorkspace(this.view.getWorkspaceContents().getExportData(),
         this.view.previewWorkspace);
+    this.updateGeneratedCode();
+  }
+
+  /**
+   * Runs the project's generators on the blocks in the preview workspace, and
+   * shows the generated code. Blocks without a generator are marked with a
+   * warning instead.
+   */
+  updateGeneratedCode() {
+    const project = this.projectController.getProject();
+    const language = project.generatorLanguage;
+    let result;
+    try {
+      result = FactoryUtils.generateWorkspaceCode(this.view.previewWorkspace,
+          language, project.librarySet.getAllBlockDefinitionsMap());
+    } catch (e) {
+      this.view.showGeneratedCode(e.message, true);
+      return;
+    }
+    if (result.missingBlocks.length) {
+      const missingTypes = [];
+      for (let block of result.missingBlocks) {
+        block.setWarningText('No ' + language + ' generator is defined for ' +
+            'this block.');
+        if (missingTypes.indexOf(block.type) == -1) {
+          missingTypes.push(block.type);
+        }
+      }
+      this.view.showGeneratedCode('No ' + language + ' generator is defined ' +
+          'for: ' + missingTypes.join(', '), true);
+      return;
+    }
+    this.view.showGeneratedCode(result.code, false);
   }
 
   /**
@@ -250,40 +283,40 @@ class WorkspaceController extends ShadowController {
 
   /**
    * Displays imported WorkspaceContents recently added to model onto editor view.
+   * The workspace contents must already be open in the workspace editor.
    *
-   * @param {string} wsContentsName Name of toolbox that was imported.
+   * @param {string} wsContentsName Name of workspace contents that was imported.
    * @param {string} xmlString String representation of XML of recently imported
-   *     toolbox.
+   *     workspace contents.
+   * @return {!Array.<string>} Types of the blocks which were left out of the
+   *     workspace contents because they are not defined.
    */
   loadImportedWorkspaceContents(wsContentsName, xmlString) {
-    /*
-     * TODO: Move in from wfactory_generator.js:loadXml(jsFileContents, importMode)
-     *                    wfactory_generator.js:evaluateMarkedCode(code)
-     *       Note: loadXml() is broken into two functions in refactored version.
-     *
-     * References:
-     * - evaluateMarkedCode()
-     */
-    throw 'Unimplemented: loadImportedWorkspaceContents()';
+    if (this.view.getWorkspaceContents().name != wsContentsName) {
+      throw new Error('Workspace contents ' + wsContentsName + ' must be open ' +
+          'in the workspace editor to be imported.');
+    }
+    return this.importContentsFromTree_(Blockly.Xml.textToDom(xmlString));
   }
 
   /**
    * Given an XML DOM tree, loads it into the workspace contents editing area.
-   * Assumes that tree is in valid XML format and that the selected mode is
-   * MODE_PRELOAD.
+   * Assumes that tree is in valid XML format. Blocks which are not defined are
+   * left out, and blocks not defined in the project are flagged with a warning.
+   * Real shadow blocks are converted to user-generated shadow blocks.
    * @param {!Element} tree XML tree to be loaded to pre-loaded block editing
    *     area.
+   * @return {!Array.<string>} Types of the blocks which were left out.
+   * @private
    */
   importContentsFromTree_(tree) {
-    /*
-     * TODO: Move in from wfactory_controller.js:importPreloadFromTree_()
-     *
-     * References:
-     * - clearAndLoadXml()
-     * - savePreloadXml()
-     * - updatePreview()
-     */
-    throw 'Unimplemented: importContentsFromTree_()';
+    // From wfactory_controller.js:importPreloadFromTree_()
+    const undefinedTypes = FactoryUtils.removeUndefinedBlocks(tree);
+    this.clearAndLoadXml_(tree);
+    this.convertShadowBlocks();
+    this.saveStateFromWorkspace();
+    this.updatePreview();
+    return undefinedTypes;
   }
 
   /**
@@ -300,7 +333,7 @@ class WorkspaceController extends ShadowController {
     const blocks = this.view.editorWorkspace.getAllBlocks();
     const shadowBlocks =  this.getShadowBlocksInWorkspace(blocks);
     for (let block of shadowBlocks) {
-      FactoryUtils.markShadowBlock(block);
+      ShadowController.markShadowBlock(block);
     }
     FactoryUtils.warnForUndefinedBlocks(blocks, this.projectController.getProject());
   }
@@ -499,48 +532,56 @@ class WorkspaceController extends ShadowController {
   }
 
   /**
-   * Return the block types used in the custom toolbox and pre-loaded workspace.
-   * @return {!Array.<string>} Block types used in the custom toolbox and
-   *     pre-loaded workspace.
+   * Returns the block types used in workspace contents.
+   * @param {!WorkspaceContents=} opt_contents The workspace contents to search.
+   *     Defaults to the workspace contents open in the workspace editor.
+   * @return {!Array.<string>} Block types used in the workspace contents, each
+   *     listed once.
    */
-  getAllUsedBlockTypes() {
-    /*
-     * TODO: Move in from wfactory_controller.js
-     *       Also move in from wfactory_model.js
-     *       (Also moved into: toolbox_controller.js)
-     *
-     * References:
-     * - model.getAllUsedBlockTypes()
-     */
-
-    // TODO: Separate getAllUsedBlockTypes() so that it is restricted to just
-    //       used block types in a toolbox editor or just used block types in
-    //       workspace editor.
-    throw 'Unimplemented: getAllUsedBlockTypes()';
+  getAllUsedBlockTypes(opt_contents) {
+    const contents = opt_contents || this.view.getWorkspaceContents();
+    return FactoryUtils.getBlockTypesInXml(contents.xml);
   }
 
   /**
    * Extracts WorkspaceContents XML from user-uploaded file. XML should be between
-   * marked comments in uploaded file.
+   * marked comments in uploaded file, as written by
+   * ReadWriteController.saveWorkspaceContents() or export(), or the file should
+   * be workspace XML. The name is empty for XML files.
    *
    * @param {string} fileContents String representation of JavaScript code in user-imported
    *     file.
    * @return {!Object.<string, string>} WorkspaceContents name to XML string pair.
+   * @throws {Error} If the file does not contain workspace XML.
    */
   extractWorkspaceContentsXml(fileContents) {
     let extractedWorkspaceContents = {};
     extractedWorkspaceContents.name = '';
     extractedWorkspaceContents.xmlString = '';
 
-    /*
-     * TODO: Move in from wfactory_generator.js:loadXml(jsFileContents, importMode)
-     *                    wfactory_generator.js:evaluateMarkedCode(code)
-     *
-     * References:
-     * - evaluateMarkedCode()
-     */
+    if (fileContents.trim().startsWith('<')) {
+      // Workspace XML file.
+      extractedWorkspaceContents.xmlString = fileContents;
+    } else {
+      const xmlString = FactoryUtils.extractXmlFromJsFile(fileContents);
+      if (xmlString === null) {
+        throw new Error('No workspace contents XML assignment found in file.');
+      }
+      extractedWorkspaceContents.xmlString = xmlString;
+      extractedWorkspaceContents.name =
+          FactoryUtils.extractResourceNameFromJsFile(fileContents);
+    }
 
-    throw 'Unimplemented: extractWorkspaceContentsXml()';
+    // Check that the XML is workspace XML before it is loaded.
+    const tree = Blockly.Xml.textToDom(extractedWorkspaceContents.xmlString);
+    for (let child of tree.children) {
+      if (['block', 'shadow', 'variables'].indexOf(
+          child.tagName.toLowerCase()) == -1) {
+        throw new Error('Unexpected <' + child.tagName + '> element in ' +
+            'workspace contents.');
+      }
+    }
+    return extractedWorkspaceContents;
   }
 
   /**
@@ -570,7 +611,7 @@ class WorkspaceController extends ShadowController {
             PREFIXES.WORKSPACE_CONTENTS.toUpperCase());
       }
     } else if (resource instanceof WorkspaceConfiguration) {
-      fileContents = this.generateInjectFile(this.view.workspaceConfig);
+      fileContents = FactoryUtils.generateInjectFile(this.view.workspaceConfig);
       opt_type = ProjectController.TYPE_JS;
     } else if (resource instanceof Resource) {
       throw new Error('This resource, ' + resource.name + ', cannot be exported'
@@ -581,85 +622,4 @@ class WorkspaceController extends ShadowController {
         fileName + '.' + opt_type,
         'text/' + opt_type);
   }
-
-  /**
-   * Creates a string representation of the options, for use in making the string
-   * used to inject the workspace.
-   * @param {!Object} obj Object representing the options selected in the current
-   *     configuration.
-   * @param {string} indent String representation of an indent.
-   * @return {string} String representation of the workspace configuration's
-   *     options.
-   * @recursive
-   * @private
-   */
-  stringifyOptions_(obj, indent) {
-    // REFACTORED from wfactory_generator.js:addAttributes_(obj, tabChar)
-    if (!obj) {
-      return '{}\n';
-    }
-    var str = '';
-    for (var key in obj) {
-      if (key == 'grid' || key == 'zoom') {
-        var temp = indent + key + ' : {\n' +
-            this.stringifyOptions_(obj[key], indent + '\t') +
-            indent + '}, \n';
-      } else if (typeof obj[key] == 'string') {
-        var temp = indent + key + ' : \'' + obj[key] + '\', \n';
-      } else {
-        var temp = indent + key + ' : ' + obj[key] + ', \n';
-      }
-      str += temp;
-    }
-    var lastCommaIndex = str.lastIndexOf(',');
-    str = str.slice(0, lastCommaIndex) + '\n';
-    return str;
-  }
-
-  /**
-   * Generates JavaScript string representation of the inject file for a user's
-   * sample Blockly app.
-   * @param {!WorkspaceConfiguration} workspaceConfig The workspace configuration
-   *     which will contains the options for the inject call.
-   * @param {Object=} opt_custom Object which contains custom names for a given
-   *     Blockly application. May contain a field such as toolboxName, for the
-   *     name of the toolbox to render.
-   * @return {string} String representation of starter code for injecting.
-   */
-  generateInjectFile(workspaceConfig, opt_custom) {
-    // REFACTORED from wfactory_generator.js
-    let div = 'null';
-    let toolboxName =  '/* TODO: Insert name of toolbox to display here */'
-    if (opt_custom) {
-      div = opt_custom['div'] ? `"${opt_custom['div']}"` : div;
-      toolboxName = opt_custom['toolboxName'] ? `"${opt_custom['toolboxName']}"` : toolboxName;
-    }
-    let workspaceScript = '\n';
-    if (opt_custom['workspaceName']) {
-      workspaceScript = `var workspaceContents = Blockly.Xml.textToDom(BLOCKLY_WORKSPACE_XML["${opt_custom['workspaceName']}"]);
-  Blockly.Xml.domToWorkspace(workspaceContents, workspace);`;
-    }
-
-    delete workspaceConfig.options['toolbox'];
-    let attributes = this.stringifyOptions_(workspaceConfig.options, '\t');
-    if (!workspaceConfig.options['readOnly']) {
-      attributes = 'toolbox : BLOCKLY_TOOLBOX_XML[' + toolboxName +
-        '], \n' + attributes;
-    }
-
-    // Initializing toolbox
-    let finalStr = `
-var BLOCKLY_OPTIONS = {
-  ${attributes}
-};
-
-window.onload = function() {
-  /* Inject your workspace */
-  /* TODO: Add or edit ID of div to inject Blockly into. */
-  var workspace = Blockly.inject(${div}, BLOCKLY_OPTIONS);
-  ${workspaceScript}
-};
-`;
-    return finalStr;
-  }
 }
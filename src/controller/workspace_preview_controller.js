@@ -0,0 +1,209 @@
+/**
+ * @license
+ * Blockly Demos: Block Factory
+ *
+ * Copyright 2017 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview WorkspacePreviewController manages the popup in which users
+ * choose the resources of a sample application, preview the application's
+ * workspace and export it.
+ */
+
+'use strict';
+
+goog.provide('WorkspacePreviewController');
+
+goog.require('FactoryUtils');
+goog.require('PopupController');
+goog.require('WorkspacePreviewView');
+
+class WorkspacePreviewController extends PopupController {
+  /**
+   * Manages popup for previewing and exporting a sample application.
+   * @param {!AppController} appController Controller which manages application
+   *     and exports the sample application.
+   */
+  constructor(appController) {
+    super(appController);
+
+    /**
+     * Workspaces showing the preview of each injection target of the sample
+     * application, by index of the target.
+     * @type {!Array.<!Blockly.WorkspaceSvg>}
+     */
+    this.previewWorkspaces = [];
+
+    /**
+     * Manages view part of preview popup.
+     * @type {!WorkspacePreviewView}
+     */
+    this.view = new WorkspacePreviewView(this, appController.project,
+        appController.projectController.getDefaultSampleAppOptions());
+  }
+
+  /**
+   * Shows the popup, then the preview. The preview is injected once the popup
+   * is visible so that Blockly can measure it.
+   */
+  show() {
+    super.show();
+    this.updatePreview();
+  }
+
+  /**
+   * Shows the workspace of each injection target of the sample application
+   * with its chosen resources, and warns about blocks which the application
+   * would not define.
+   */
+  updatePreview() {
+    const project = this.appController.project;
+    const options = this.view.getOptions();
+    this.disposePreview_();
+
+    const missingTypes = this.getMissingBlockTypes_(options);
+    this.view.setWarning(missingTypes.length ?
+        'These blocks are used but their libraries are not included: ' +
+            missingTypes.join(', ') + '.' : '');
+
+    options.targets.forEach((target, index) => {
+      if (!target.workspaceConfigName) {
+        return;
+      }
+      const config = project.getWorkspaceConfiguration(
+          target.workspaceConfigName);
+      const injectOptions = Object.assign(Object.create(null), config.options);
+      delete injectOptions['toolbox'];
+      if (target.toolboxName && !injectOptions['readOnly']) {
+        injectOptions['toolbox'] =
+            project.getToolbox(target.toolboxName).getExportData();
+      }
+      const workspace = Blockly.inject(
+          WorkspacePreviewView.getPreviewId(index), injectOptions);
+      if (target.workspaceContentsName) {
+        Blockly.Xml.domToWorkspace(project.getWorkspaceContents(
+            target.workspaceContentsName).getExportData(), workspace);
+      }
+      this.previewWorkspaces.push(workspace);
+    });
+  }
+
+  /**
+   * Adds an injection target to the application, using the first resources
+   * of the project.
+   */
+  addTarget() {
+    const options = this.view.getOptions();
+    const div = 'blocklyWorkspace' + (options.targets.length + 1);
+    options.targets.push(
+        this.appController.projectController.getDefaultInjectTarget(div));
+    this.disposePreview_();
+    this.view.showTargets(options.targets);
+    this.updatePreview();
+  }
+
+  /**
+   * Removes an injection target from the application.
+   * @param {number} index Index of the target.
+   */
+  removeTarget(index) {
+    const options = this.view.getOptions();
+    options.targets.splice(index, 1);
+    this.disposePreview_();
+    this.view.showTargets(options.targets);
+    this.updatePreview();
+  }
+
+  /**
+   * Returns the types of the project's blocks which the chosen toolboxes or
+   * workspace contents use, but which are in none of the chosen libraries.
+   * @param {!Object} options The chosen resources.
+   * @return {!Array.<string>} The block types.
+   * @private
+   */
+  getMissingBlockTypes_(options) {
+    const project = this.appController.project;
+    const editorController = this.appController.editorController;
+    let usedTypes = [];
+    for (let target of options.targets) {
+      if (target.toolboxName) {
+        usedTypes = usedTypes.concat(
+            editorController.toolboxController.getAllUsedBlockTypes(
+                project.getToolbox(target.toolboxName)));
+      }
+      if (target.workspaceContentsName) {
+        usedTypes = usedTypes.concat(
+            editorController.workspaceController.getAllUsedBlockTypes(
+                project.getWorkspaceContents(target.workspaceContentsName)));
+      }
+    }
+    const missingTypes = [];
+    for (let blockType of usedTypes) {
+      const library = project.librarySet.getLibrary(blockType);
+      if (library && options.libraryNames.indexOf(library.name) == -1 &&
+          missingTypes.indexOf(blockType) == -1) {
+        missingTypes.push(blockType);
+      }
+    }
+    return missingTypes;
+  }
+
+  /**
+   * Closes the popup and exports the sample application with the chosen
+   * resources. Does nothing but warn the user if the IDs of the divs to
+   * inject into are empty, not unique or not valid IDs.
+   */
+  exportApplication() {
+    const options = this.view.getOptions();
+    const divs = options.targets.map((target) => target.div);
+    const invalid = divs.some(
+        (div, index) => !div || divs.indexOf(div) != index);
+    if (invalid) {
+      window.alert('Each workspace needs a different div ID to inject into.');
+      return;
+    }
+    const badDiv = divs.find((div) => !FactoryUtils.isValidDivId(div));
+    if (badDiv) {
+      window.alert('"' + badDiv + '" is not a valid div ID. Div IDs start ' +
+          'with a letter, and have only letters, digits, underscores and ' +
+          'hyphens.');
+      return;
+    }
+    this.exit();
+    this.appController.exportSampleApplication(options);
+  }
+
+  /**
+   * Disposes of the preview workspaces and exits popup.
+   */
+  exit() {
+    this.disposePreview_();
+    super.exit();
+  }
+
+  /**
+   * Disposes of the preview workspaces.
+   * @private
+   */
+  disposePreview_() {
+    for (let workspace of this.previewWorkspaces) {
+      workspace.dispose();
+    }
+    this.previewWorkspaces = [];
+  }
+}
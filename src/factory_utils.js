@@ -39,11 +39,14 @@ goog.provide('FactoryUtils');
  * Get block definition code for the current block, given editor workspace.
  * @param {string} format 'JSON' or 'JavaScript'.
  * @param {!Blockly.Workspace} workspace Where the root block lives.
+ * @param {boolean=} opt_localize Whether a JSON definition refers to messages
+ *     instead of containing the text of the block.
  * @return {string} Block definition.
  */
-FactoryUtils.getBlockDefinition = function(format, workspace) {
+FactoryUtils.getBlockDefinition = function(format, workspace, opt_localize) {
   var rootBlock = FactoryUtils.getRootBlock(workspace);
-  return FactoryUtils.getBlockDefFromRoot_(format, rootBlock, workspace);
+  return FactoryUtils.getBlockDefFromRoot_(format, rootBlock, workspace,
+      opt_localize);
 };
 
 /**
@@ -65,14 +68,17 @@ FactoryUtils.getBlockDefFromXml = function(format, rootXml, workspace) {
  * @param {string} format 'JSON' or 'JavaScript'.
  * @param {!Blockly.Block} rootBlock The root block displayed on editor workspace.
  * @param {!Blockly.Workspace} workspace Where the root block is from.
+ * @param {boolean=} opt_localize Whether a JSON definition refers to messages
+ *     instead of containing the text of the block.
  * @return {string} Block definition.
  * @private
  */
-FactoryUtils.getBlockDefFromRoot_ = function(format, rootBlock, workspace) {
+FactoryUtils.getBlockDefFromRoot_ = function(format, rootBlock, workspace,
+    opt_localize) {
   const blockType = rootBlock.getFieldValue('NAME');
   switch (format) {
     case 'JSON':
-      var code = FactoryUtils.formatJson_(blockType, rootBlock);
+      var code = FactoryUtils.formatJson_(blockType, rootBlock, opt_localize);
       break;
     case 'JavaScript':
       var code = FactoryUtils.formatJavaScript_(blockType, rootBlock, workspace);
@@ -97,11 +103,43 @@ FactoryUtils.cleanBlockType = function(blockType) {
 };
 
 /**
- * Get the generator code for a given block.
+ * Syntax of each language that generators can be written for. Used to write
+ * generator stubs which assemble code that is valid in the target language.
+ *   comment: Starts a comment which runs to the end of the line.
+ *   nullValue: Literal for an absent value.
+ *   declaration: Example declaration of a local variable.
+ *   localVariable: Declaration of a local variable named %1 with the value %2.
+ *       The names given by the generator's variableDB_ include PHP's $.
+ *   assignmentOrder: Order constant of the generator for a value which is
+ *       assigned to a variable.
+ * @type {!Object<string, !Object<string, string>>}
+ */
+FactoryUtils.GENERATOR_SYNTAX = {
+  'JavaScript': {comment: '//', nullValue: 'null',
+      declaration: 'var name = value;', localVariable: 'var %1 = %2;',
+      assignmentOrder: 'ORDER_ASSIGNMENT'},
+  'Python': {comment: '#', nullValue: 'None', declaration: 'name = value',
+      localVariable: '%1 = %2', assignmentOrder: 'ORDER_NONE'},
+  'PHP': {comment: '//', nullValue: 'null', declaration: '$name = value;',
+      localVariable: '%1 = %2;', assignmentOrder: 'ORDER_ASSIGNMENT'},
+  'Lua': {comment: '--', nullValue: 'nil', declaration: 'local name = value',
+      localVariable: 'local %1 = %2', assignmentOrder: 'ORDER_NONE'},
+  'Dart': {comment: '//', nullValue: 'null', declaration: 'var name = value;',
+      localVariable: 'var %1 = %2;', assignmentOrder: 'ORDER_ASSIGNMENT'}
+};
+
+/**
+ * Get the generator code for a given block. The generator itself is always
+ * JavaScript, but the placeholder code it returns is valid in the target
+ * language, so that the stub works before it is filled in. The placeholder
+ * code of a statement block declares a variable in the target language for the
+ * value of each of its value inputs.
  * @param {!Blockly.Block} block Rendered block in preview workspace.
  * @param {string} generatorLanguage 'JavaScript', 'Python', 'PHP', 'Lua',
  *   'Dart'.
  * @return {string} Generator code for multiple blocks.
+ * @throws {Error} If generatorLanguage is not a key of
+ *     FactoryUtils.GENERATOR_SYNTAX.
  */
 FactoryUtils.getGeneratorStub = function(block, generatorLanguage) {
   function makeVar(root, name) {
@@ -110,9 +148,16 @@ FactoryUtils.getGeneratorStub = function(block, generatorLanguage) {
   }
   // The makevar function lives in the original update generator.
   var language = generatorLanguage;
+  var syntax = FactoryUtils.GENERATOR_SYNTAX[language];
+  if (!syntax) {
+    throw new Error('Unknown generator language: ' + language);
+  }
   var code = [];
   code.push("Blockly." + language + "['" + block.type +
             "'] = function(block) {");
+  // Declarations of the values of the inputs of a statement block, in the
+  // target language.
+  var declarations = [];
 
   // Generate getters for any fields or inputs.
   for (var i = 0, input; input = block.inputList[i]; i++) {
@@ -150,14 +195,30 @@ FactoryUtils.getGeneratorStub = function(block, generatorLanguage) {
       } else if (field instanceof Blockly.FieldTextInput) {
         code.push(makeVar('text', name) +
                   " = block.getFieldValue('" + name + "');");
+      } else if (field.EDITABLE) {
+        // Field of a custom type which extends Blockly.Field directly.
+        code.push(makeVar('field', name) +
+                  " = block.getFieldValue('" + name + "');");
       }
     }
     var name = input.name;
     if (name) {
-      if (input.type == Blockly.INPUT_VALUE) {
+      if (input.type == Blockly.INPUT_VALUE && block.outputConnection) {
         code.push(makeVar('value', name) +
                   " = Blockly." + language + ".valueToCode(block, '" + name +
                   "', Blockly." + language + ".ORDER_ATOMIC);");
+      } else if (input.type == Blockly.INPUT_VALUE) {
+        code.push(makeVar('value', name) +
+                  " = Blockly." + language + ".valueToCode(block, '" + name +
+                  "', Blockly." + language + "." + syntax.assignmentOrder +
+                  ") || '" + syntax.nullValue + "';");
+        var cleanName = name.toLowerCase().replace(/\W/g, '_');
+        var parts = syntax.localVariable.split(/%[12]/);
+        declarations.push("  code += " +
+            (parts[0] ? "'" + parts[0] + "' + " : "") +
+            "Blockly." + language + ".variableDB_.getDistinctName('" +
+            cleanName + "', Blockly.Variables.NAME_TYPE) + '" + parts[1] +
+            "' + value_" + cleanName + " + '" + parts[2] + "\\n';");
       } else if (input.type == Blockly.NEXT_STATEMENT) {
         code.push(makeVar('statements', name) +
                   " = Blockly." + language + ".statementToCode(block, '" +
@@ -165,20 +226,16 @@ FactoryUtils.getGeneratorStub = function(block, generatorLanguage) {
       }
     }
   }
-  // Most languages end lines with a semicolon.  Python does not.
-  var lineEnd = {
-    'JavaScript': ';',
-    'Python': '',
-    'PHP': ';',
-    'Dart': ';'
-  };
-  code.push("  // TODO: Assemble " + language + " into code variable.");
+  code.push("  // TODO: Assemble " + language + " into code variable, e.g. " +
+            "'" + syntax.declaration + "'.");
   if (block.outputConnection) {
-    code.push("  var code = '...';");
-    code.push("  // TODO: Change ORDER_NONE to the correct strength.");
-    code.push("  return [code, Blockly." + language + ".ORDER_NONE];");
+    code.push("  var code = '" + syntax.nullValue + "';");
+    code.push("  // TODO: Change ORDER_ATOMIC to the correct strength.");
+    code.push("  return [code, Blockly." + language + ".ORDER_ATOMIC];");
   } else {
-    code.push("  var code = '..." + (lineEnd[language] || '') + "\\n';");
+    code.push("  var code = '" + syntax.comment + " TODO: " +
+              block.type.replace(/[\\']/g, '\\$&') + "\\n';");
+    code.push.apply(code, declarations);
     code.push("  return code;");
   }
   code.push("};");
@@ -186,24 +243,115 @@ FactoryUtils.getGeneratorStub = function(block, generatorLanguage) {
   return code.join('\n');
 };
 
+/**
+ * Generates code from the blocks in a workspace, using the user-written
+ * generators of the given block definitions as well as the generators built
+ * into Blockly. The user-written generators are only installed while the code
+ * is generated. No code is generated if any block in the workspace does not
+ * have a generator.
+ * @param {!Blockly.Workspace} workspace Workspace to generate code from.
+ * @param {string} language The generator language, a key of
+ *     FactoryUtils.GENERATOR_SYNTAX.
+ * @param {!Object<string, !BlockDefinition>} blockDefs Map of block types to
+ *     the definitions whose generators should be used.
+ * @return {{code: ?string, missingBlocks: !Array.<!Blockly.Block>}} The
+ *     generated code, or null if there are blocks without a generator in
+ *     missingBlocks.
+ * @throws {Error} If the generator of the language is not loaded, or a
+ *     user-written generator throws.
+ */
+FactoryUtils.generateWorkspaceCode = function(workspace, language, blockDefs) {
+  const generator = Blockly[language];
+  if (!generator) {
+    throw new Error('The ' + language + ' generator is not loaded.');
+  }
+  const backupGenerators = Object.create(null);
+  for (let blockType in blockDefs) {
+    if (generator.hasOwnProperty(blockType)) {
+      backupGenerators[blockType] = generator[blockType];
+    }
+    delete generator[blockType];
+  }
+  try {
+    for (let blockType in blockDefs) {
+      const code = blockDefs[blockType].getGeneratorCode(language);
+      if (code) {
+        try {
+          new Function('Blockly', code)(Blockly);
+        } catch (e) {
+          throw new Error('The ' + language + ' generator of ' + blockType +
+              ' could not be run: ' + e.message);
+        }
+      }
+    }
+    const missingBlocks = workspace.getAllBlocks().filter((block) => {
+      return typeof generator[block.type] != 'function';
+    });
+    return {
+      code: missingBlocks.length ? null : generator.workspaceToCode(workspace),
+      missingBlocks: missingBlocks
+    };
+  } finally {
+    for (let blockType in blockDefs) {
+      delete generator[blockType];
+      if (backupGenerators[blockType]) {
+        generator[blockType] = backupGenerators[blockType];
+      }
+    }
+  }
+};
+
+/**
+ * Returns the user-written generator code of a block, or a generator stub if
+ * the user has not written any.
+ * @param {!BlockDefinition} blockDef The block definition.
+ * @param {string} language The generator language, a key of
+ *     FactoryUtils.GENERATOR_SYNTAX.
+ * @param {!Blockly.Workspace} workspace Hidden workspace used to create the
+ *     block when writing a stub. Cleared afterwards.
+ * @return {string} Generator code of the block.
+ */
+FactoryUtils.getGeneratorCode = function(blockDef, language, workspace) {
+  const code = blockDef.getGeneratorCode(language);
+  if (code) {
+    return code;
+  }
+  blockDef.define();
+  const block = FactoryUtils.getDefinedBlock(blockDef.type(), workspace);
+  const stub = FactoryUtils.getGeneratorStub(block, language);
+  workspace.clear();
+  return stub;
+};
+
 /**
  * Update the language code as JSON.
  * @param {string} blockType Name of block.
  * @param {!Blockly.Block} rootBlock Factory_base block.
+ * @param {boolean=} opt_localize Whether to refer to messages instead of
+ *     containing the text of the block, as FactoryUtils.localizeBlockJson
+ *     does.
  * @return {string} Generanted language code.
  * @private
  */
-FactoryUtils.formatJson_ = function(blockType, rootBlock) {
+FactoryUtils.formatJson_ = function(blockType, rootBlock, opt_localize) {
   var JS = {};
   // Type is not used by Blockly, but may be used by a loader.
   JS.type = blockType;
-  // Generate inputs.
+  // Generate inputs, either all in message0 or each in a message of its own,
+  // as in Blockly's own blocks.
+  var multipleMessages = rootBlock.getFieldValue('MESSAGES') == 'MULTI';
+  var messages = [];
   var message = [];
   var args = [];
   var contentsBlock = rootBlock.getInputTargetBlock('INPUTS');
   var lastInput = null;
   while (contentsBlock) {
     if (!contentsBlock.disabled && !contentsBlock.getInheritedDisabled()) {
+      if (multipleMessages && lastInput) {
+        messages.push({message: message, args: args, lastInput: lastInput});
+        message = [];
+        args = [];
+      }
       var fields = FactoryUtils.getFieldsJson_(
           contentsBlock.getInputTargetBlock('FIELDS'));
       for (var i = 0; i < fields.length; i++) {
@@ -236,21 +384,27 @@ FactoryUtils.formatJson_ = function(blockType, rootBlock) {
     contentsBlock = contentsBlock.nextConnection &&
         contentsBlock.nextConnection.targetBlock();
   }
-  // Remove last input if dummy and not empty.
-  if (lastInput && lastInput.type == 'input_dummy') {
-    var fields = lastInput.getInputTargetBlock('FIELDS');
-    if (fields && FactoryUtils.getFieldsJson_(fields).join('').trim() != '') {
-      var align = lastInput.getFieldValue('ALIGN');
-      if (align != 'LEFT') {
-        JS.lastDummyAlign0 = align;
+  messages.push({message: message, args: args, lastInput: lastInput});
+  for (var n = 0; n < messages.length; n++) {
+    message = messages[n].message;
+    args = messages[n].args;
+    lastInput = messages[n].lastInput;
+    // Remove last input if dummy and not empty.
+    if (lastInput && lastInput.type == 'input_dummy') {
+      var fields = lastInput.getInputTargetBlock('FIELDS');
+      if (fields && FactoryUtils.getFieldsJson_(fields).join('').trim() != '') {
+        var align = lastInput.getFieldValue('ALIGN');
+        if (align != 'LEFT') {
+          JS['lastDummyAlign' + n] = align;
+        }
+        args.pop();
+        message.pop();
       }
-      args.pop();
-      message.pop();
     }
-  }
-  JS.message0 = message.join(' ');
-  if (args.length) {
-    JS.args0 = args;
+    JS['message' + n] = message.join(' ');
+    if (args.length) {
+      JS['args' + n] = args;
+    }
   }
   // Generate inline/external switch.
   if (rootBlock.getFieldValue('INLINE') == 'EXT') {
@@ -293,6 +447,18 @@ FactoryUtils.formatJson_ = function(blockType, rootBlock) {
 
   JS.tooltip = FactoryUtils.getTooltipFromRootBlock_(rootBlock);
   JS.helpUrl = FactoryUtils.getHelpUrlFromRootBlock_(rootBlock);
+  var extensions = FactoryUtils.getExtensionNames(rootBlock);
+  if (extensions.length) {
+    JS.extensions = extensions;
+  }
+  // The mutator is registered by the code of FactoryUtils.getMutatorCode().
+  var mutator = FactoryUtils.getMutator(rootBlock);
+  if (mutator) {
+    JS.mutator = mutator.name;
+  }
+  if (opt_localize) {
+    JS = FactoryUtils.localizeBlockJson(JS, Object.create(null));
+  }
 
   return JSON.stringify(JS, null, '  ');
 };
@@ -307,6 +473,10 @@ FactoryUtils.formatJson_ = function(blockType, rootBlock) {
  */
 FactoryUtils.formatJavaScript_ = function(blockType, rootBlock, workspace) {
   var code = [];
+  var mutator = FactoryUtils.getMutator(rootBlock);
+  if (mutator) {
+    code = FactoryUtils.getMutatorBlocksJs_(mutator);
+  }
   code.push("Blockly.Blocks['" + blockType + "'] = {");
   code.push("  init: function() {");
   // Generate inputs.
@@ -381,7 +551,25 @@ FactoryUtils.formatJavaScript_ = function(blockType, rootBlock, workspace) {
   var helpUrl = FactoryUtils.getHelpUrlFromRootBlock_(rootBlock);
   code.push(' this.setTooltip(' + JSON.stringify(tooltip) + ');');
   code.push(' this.setHelpUrl(' + JSON.stringify(helpUrl) + ');');
-  code.push('  }');
+  var extensions = FactoryUtils.getExtensionNames(rootBlock);
+  for (var i = 0; i < extensions.length; i++) {
+    code.push('    Blockly.Extensions.apply(' + JSON.stringify(extensions[i]) +
+        ', this, false);');
+  }
+  if (mutator) {
+    var itemTypes = mutator.items.map(function(item) {
+      return item.blockType;
+    });
+    code.push('    this.setMutator(new Blockly.Mutator(' +
+        JSON.stringify(itemTypes) + '));');
+    for (var i = 0; i < mutator.items.length; i++) {
+      code.push('    this.' + mutator.items[i].property + ' = 0;');
+    }
+    code.push('  },');
+    code.push(FactoryUtils.getMutatorMethods_(mutator).join(',\n'));
+  } else {
+    code.push('  }');
+  }
   code.push('};');
   return code.join('\n');
 };
@@ -405,6 +593,732 @@ FactoryUtils.connectionLineJs_ = function(functionName, typeName, workspace) {
   return '    this.' + functionName + '(true' + type + ');';
 };
 
+/**
+ * Returns the names of the extensions attached to a factory_base block, in
+ * order. Disabled and unnamed extensions are left out, as are repeated ones.
+ * @param {!Blockly.Block} rootBlock Factory_base block.
+ * @return {!Array.<string>} Names of the extensions.
+ */
+FactoryUtils.getExtensionNames = function(rootBlock) {
+  const names = [];
+  let extensionBlock = rootBlock.getInputTargetBlock('EXTENSIONS');
+  while (extensionBlock) {
+    const name = extensionBlock.getFieldValue('NAME').trim();
+    if (!extensionBlock.disabled && !extensionBlock.getInheritedDisabled() &&
+        name && names.indexOf(name) == -1) {
+      names.push(name);
+    }
+    extensionBlock = extensionBlock.nextConnection &&
+        extensionBlock.nextConnection.targetBlock();
+  }
+  return names;
+};
+
+/**
+ * Returns whether the code of an extension defined in a project is a mixin,
+ * which is an object literal whose properties are added to blocks, rather
+ * than a function which is called on blocks.
+ * @param {string} code JavaScript source of the extension.
+ * @return {boolean} Whether the extension is a mixin.
+ */
+FactoryUtils.isMixinCode = function(code) {
+  return code.trim().charAt(0) == '{';
+};
+
+/**
+ * Returns the code which registers an extension defined in a project. Each
+ * library which uses the extension registers it, so it is only registered if
+ * no other library has done so. Like the code of custom field types (see
+ * FactoryUtils.getFieldTypeCode), the code targets the version of Blockly
+ * bundled with DevTools, which has no Blockly.Extensions.isRegistered(), and
+ * uses the function in later versions, which no longer have
+ * Blockly.Extensions.ALL_.
+ * @param {string} name Name of the extension.
+ * @param {string} code JavaScript source of the extension function, or of
+ *     the object literal of a mixin.
+ * @return {string} JavaScript code.
+ */
+FactoryUtils.getExtensionCode = function(name, code) {
+  const register = FactoryUtils.isMixinCode(code) ?
+      'registerMixin' : 'register';
+  return 'if (!(Blockly.Extensions.isRegistered ?\n' +
+      '    Blockly.Extensions.isRegistered(' + JSON.stringify(name) + ') :\n' +
+      '    Blockly.Extensions.ALL_[' + JSON.stringify(name) + '])) {\n' +
+      '  Blockly.Extensions.' + register + '(' + JSON.stringify(name) + ',\n' +
+      code.trim().replace(/^/gm, '      ') + ');\n' +
+      '}';
+};
+
+/**
+ * Registers an extension defined in a project, replacing any extension
+ * previously registered with the same name.
+ * @param {string} name Name of the extension.
+ * @param {string} code JavaScript source of the extension function, or of
+ *     the object literal of a mixin.
+ * @throws {Error} If the code does not evaluate to a function or an object.
+ */
+FactoryUtils.defineExtension = function(name, code) {
+  FactoryUtils.undefineExtension(name);
+  // TODO(#114): Remove use of eval() for security reasons.
+  eval(FactoryUtils.getExtensionCode(name, code));
+};
+
+/**
+ * Unregisters an extension, e.g. one which was removed from a project.
+ * @param {string} name Name of the extension.
+ */
+FactoryUtils.undefineExtension = function(name) {
+  // Blockly cannot unregister extensions, so remove the extension directly.
+  delete Blockly.Extensions.ALL_[name];
+};
+
+/**
+ * Types of the fields built into Blockly, which cannot be used as the type of
+ * a custom field.
+ * @type {!Array.<string>}
+ */
+FactoryUtils.BUILT_IN_FIELD_TYPES = ['field_label', 'field_input',
+    'field_number', 'field_angle', 'field_dropdown', 'field_checkbox',
+    'field_colour', 'field_date', 'field_variable', 'field_image',
+    'field_label_serializable', 'field_multilinetext'];
+
+/**
+ * Map of each custom field type registered with FactoryUtils.defineFieldType()
+ * to the default values of its JSON parameters and its field class.
+ * @type {!Object<string, {params: !Object, fieldClass: !Function}>}
+ * @private
+ */
+FactoryUtils.fieldTypes_ = Object.create(null);
+
+/**
+ * Whether Blockly has been made to create the fields of custom field types.
+ * @type {boolean}
+ * @private
+ */
+FactoryUtils.fieldTypesInstalled_ = false;
+
+/**
+ * Returns the code which registers a custom field type defined in a project.
+ * Like extensions, each library which uses the field type registers it, so it
+ * is only registered if no other library has done so. The code targets the
+ * version of Blockly bundled with DevTools, which has no field registry: as
+ * FactoryUtils.installFieldTypes_() does, it makes jsonInit() create the field
+ * in place of a label, keeping the field classes in
+ * Blockly.Block.customFieldTypes_. Versions of Blockly which have a field
+ * registry register the field class with it instead.
+ * @param {string} type Type of the field, e.g. 'field_slider'.
+ * @param {string} code JavaScript source of the field class.
+ * @return {string} The code.
+ */
+FactoryUtils.getFieldTypeCode = function(type, code) {
+  return `(function(type, fieldClass) {
+  if (Blockly.fieldRegistry) {
+    if (!Blockly.registry.hasItem(Blockly.registry.Type.FIELD, type)) {
+      Blockly.fieldRegistry.register(type, fieldClass);
+    }
+    return;
+  }
+  var fieldTypes = Blockly.Block.customFieldTypes_;
+  if (!fieldTypes) {
+    // Create the fields of custom field types in place of labels.
+    fieldTypes = Blockly.Block.customFieldTypes_ = Object.create(null);
+    var jsonInit = Blockly.Block.prototype.jsonInit;
+    Blockly.Block.prototype.jsonInit = function(json) {
+      var wrappedJson = Object.assign({}, json);
+      for (var i = 0; json['message' + i] !== undefined; i++) {
+        wrappedJson['args' + i] = (json['args' + i] || []).map(function(arg) {
+          return fieldTypes[arg.type] ?
+              {type: 'field_label', name: arg.name, customField: arg} : arg;
+        });
+      }
+      jsonInit.call(this, wrappedJson);
+    };
+    var newFieldLabelFromJson = Blockly.Block.newFieldLabelFromJson_;
+    Blockly.Block.newFieldLabelFromJson_ = function(options) {
+      var customField = options.customField;
+      return customField && fieldTypes[customField.type] ?
+          fieldTypes[customField.type].fromJson(customField) :
+          newFieldLabelFromJson(options);
+    };
+  }
+  if (!fieldTypes[type]) {
+    fieldTypes[type] = fieldClass;
+  }
+})(${JSON.stringify(type)},
+${code.trim().replace(/^/gm, '    ')});`;
+};
+
+/**
+ * Registers a custom field type defined in a project, replacing any field type
+ * previously registered with the same name, so that the blocks in the block
+ * editor can create fields of the type.
+ * @param {string} type Type of the field, e.g. 'field_slider'.
+ * @param {!Object} params Map of the name of each JSON parameter of the field
+ *     to its default value.
+ * @param {string} code JavaScript source of the field class, which creates a
+ *     field from its JSON definition with a static fromJson() function.
+ * @throws {Error} If the code does not evaluate to a class with a fromJson()
+ *     function.
+ */
+FactoryUtils.defineFieldType = function(type, params, code) {
+  // TODO(#114): Remove use of eval() for security reasons.
+  const fieldClass = eval('(' + code.trim() + ')');
+  if (typeof fieldClass != 'function' ||
+      typeof fieldClass.fromJson != 'function') {
+    throw new Error('The code does not evaluate to a class with a static ' +
+        'fromJson() function.');
+  }
+  FactoryUtils.installFieldTypes_();
+  FactoryUtils.fieldTypes_[type] = {params: params, fieldClass: fieldClass};
+};
+
+/**
+ * Unregisters a custom field type, e.g. one which was removed from a project.
+ * @param {string} type Type of the field.
+ */
+FactoryUtils.undefineFieldType = function(type) {
+  delete FactoryUtils.fieldTypes_[type];
+};
+
+/**
+ * Returns the custom field types which are registered.
+ * @return {!Array.<string>} The types, sorted.
+ */
+FactoryUtils.getFieldTypeNames = function() {
+  return Object.keys(FactoryUtils.fieldTypes_).sort();
+};
+
+/**
+ * Returns the default values of the JSON parameters of a custom field type.
+ * @param {string} type Type of the field.
+ * @return {Object} Map of the name of each parameter to its default value, or
+ *     null if the field type is not registered.
+ */
+FactoryUtils.getFieldTypeParams = function(type) {
+  const fieldType = FactoryUtils.fieldTypes_[type];
+  return fieldType ? fieldType.params : null;
+};
+
+/**
+ * Returns the types of the fields of a block definition, each listed once.
+ * @param {!Object} blockJson JSON block definition.
+ * @return {!Array.<string>} The field types.
+ */
+FactoryUtils.getFieldTypes = function(blockJson) {
+  const types = [];
+  for (let i = 0; blockJson['message' + i] !== undefined; i++) {
+    for (let arg of blockJson['args' + i] || []) {
+      const type = String(arg.type);
+      if (type.indexOf('field_') == 0 && types.indexOf(type) == -1) {
+        types.push(type);
+      }
+    }
+  }
+  return types;
+};
+
+/**
+ * Makes Blockly create the fields of registered custom field types from JSON
+ * block definitions. The version of Blockly bundled with DevTools has no field
+ * registry, so jsonInit() passes these fields on as labels, which are replaced
+ * by the custom field when the label would be created.
+ * @private
+ */
+FactoryUtils.installFieldTypes_ = function() {
+  if (FactoryUtils.fieldTypesInstalled_) {
+    return;
+  }
+  FactoryUtils.fieldTypesInstalled_ = true;
+
+  const jsonInit = Blockly.Block.prototype.jsonInit;
+  Blockly.Block.prototype.jsonInit = function(json) {
+    const wrappedJson = Object.assign({}, json);
+    for (let i = 0; json['message' + i] !== undefined; i++) {
+      wrappedJson['args' + i] = (json['args' + i] || []).map((arg) => {
+        if (!FactoryUtils.fieldTypes_[arg.type]) {
+          return arg;
+        }
+        return {type: 'field_label', name: arg.name, customField: arg};
+      });
+    }
+    jsonInit.call(this, wrappedJson);
+  };
+
+  const newFieldLabelFromJson = Blockly.Block.newFieldLabelFromJson_;
+  Blockly.Block.newFieldLabelFromJson_ = function(options) {
+    const fieldType =
+        options.customField && FactoryUtils.fieldTypes_[options.customField.type];
+    if (!fieldType) {
+      // Not a label, or the field of a type registered by other code.
+      return newFieldLabelFromJson(options);
+    }
+    return fieldType.fieldClass.fromJson(options.customField);
+  };
+};
+
+/**
+ * Returns the text of the field which holds the value of a parameter of a
+ * custom field in a field_custom block. Inverse of
+ * FactoryUtils.parseFieldParam_().
+ * @param {*} value Value of the parameter.
+ * @return {string} The text of the field.
+ * @private
+ */
+FactoryUtils.getFieldParamText_ = function(value) {
+  switch (typeof value) {
+    case 'boolean':
+      return value ? 'TRUE' : 'FALSE';
+    case 'number':
+      return String(value);
+    case 'string':
+      return value;
+    default:
+      return JSON.stringify(value);
+  }
+};
+
+/**
+ * Returns the value of a parameter of a custom field from the text of its
+ * field in a field_custom block. The value has the type of the parameter's
+ * default value; text which is not valid JSON for a parameter whose default
+ * is an object, array or null gives the default.
+ * @param {string} text The text of the field.
+ * @param {*} defaultValue Default value of the parameter.
+ * @return {*} The value of the parameter.
+ * @private
+ */
+FactoryUtils.parseFieldParam_ = function(text, defaultValue) {
+  switch (typeof defaultValue) {
+    case 'boolean':
+      return text == 'TRUE';
+    case 'number':
+      return Number(text);
+    case 'string':
+      return text;
+    default:
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        return defaultValue;
+      }
+  }
+};
+
+/**
+ * Returns the JSON definition, without the name, of the custom field which a
+ * field_custom block describes. Parameters which the block has no field for,
+ * e.g. because they were added to the field type after the block was created,
+ * are left out.
+ * @param {!Blockly.Block} block Field_custom block.
+ * @return {!Object} The JSON definition.
+ * @private
+ */
+FactoryUtils.getCustomFieldJson_ = function(block) {
+  const json = {type: block.fieldType_};
+  const params = FactoryUtils.getFieldTypeParams(block.fieldType_) || {};
+  for (let param in params) {
+    const text = block.getFieldValue('PARAM_' + param);
+    if (text !== null) {
+      json[param] = FactoryUtils.parseFieldParam_(text, params[param]);
+    }
+  }
+  return json;
+};
+
+/**
+ * Returns the mutator which the mutator block attached to a factory_base
+ * block describes. Disabled items are left out, as are items whose mutation
+ * attribute or input name is empty or already used by an earlier item.
+ * @param {!Blockly.Block} rootBlock Factory_base block.
+ * @return {Object} The mutator, or null if there is no mutator block. Has
+ *     the name the mutator is registered with, the type and label of the top
+ *     block of the mutator dialog, the hue of the block (or null), and the
+ *     items. Each item has the type and label of its block in the mutator
+ *     dialog, the mutation attribute which stores the number of items, the
+ *     variable name used for the item in the generated code and the block
+ *     property which holds the number of items, and the type, name prefix,
+ *     text and check (JavaScript source, or undefined) of the inputs it adds.
+ */
+FactoryUtils.getMutator = function(rootBlock) {
+  const mutatorBlock = rootBlock.getInputTargetBlock('MUTATOR');
+  if (!mutatorBlock || mutatorBlock.disabled) {
+    return null;
+  }
+  const name = rootBlock.getFieldValue('NAME') + '_mutator';
+  const colourBlock = rootBlock.getInputTargetBlock('COLOUR');
+  const hue = colourBlock && !colourBlock.disabled ?
+      parseInt(colourBlock.getFieldValue('HUE'), 10) : NaN;
+  const mutator = {
+    name: name,
+    containerType: name + '_container',
+    containerLabel: mutatorBlock.getFieldValue('LABEL'),
+    colour: isNaN(hue) ? null : hue,
+    items: []
+  };
+  const usedProperties = Object.create(null);
+  const usedInputNames = Object.create(null);
+  let itemBlock = mutatorBlock.getInputTargetBlock('ITEMS');
+  while (itemBlock) {
+    const attribute = itemBlock.getFieldValue('ATTRIBUTE').trim();
+    const variable = FactoryUtils.cleanBlockType(attribute);
+    const property = variable + 'Count_';
+    const inputName = itemBlock.getFieldValue('INPUTNAME').trim();
+    if (!itemBlock.disabled && attribute && inputName &&
+        !usedProperties[property] && !usedInputNames[inputName]) {
+      usedProperties[property] = true;
+      usedInputNames[inputName] = true;
+      mutator.items.push({
+        blockType: name + '_' + variable,
+        label: itemBlock.getFieldValue('LABEL'),
+        attribute: attribute,
+        variable: variable,
+        property: property,
+        inputType: itemBlock.getFieldValue('INPUTTYPE'),
+        inputName: inputName,
+        text: itemBlock.getFieldValue('TEXT'),
+        check: FactoryUtils.getOptTypesFrom(itemBlock, 'TYPE')
+      });
+    }
+    itemBlock = itemBlock.nextConnection &&
+        itemBlock.nextConnection.targetBlock();
+  }
+  return mutator;
+};
+
+/**
+ * Returns the mutator described by block editor XML, as returned by
+ * FactoryUtils.getMutator().
+ * @param {!Element} xml XML containing the factory_base block.
+ * @return {Object} The mutator, or null if the block has none.
+ */
+FactoryUtils.getMutatorFromXml = function(xml) {
+  // Most blocks have no mutator, so avoid creating their factory blocks.
+  const hasMutatorBlock = Array.from(xml.getElementsByTagName('block')).some(
+      (block) => block.getAttribute('type') == 'mutator_container');
+  if (!hasMutatorBlock) {
+    return null;
+  }
+  const workspace = new Blockly.Workspace();
+  Blockly.Events.disable();
+  try {
+    const rootBlock = Blockly.Xml.domToBlock(xml.firstElementChild, workspace);
+    return FactoryUtils.getMutator(rootBlock);
+  } finally {
+    Blockly.Events.enable();
+    workspace.dispose();
+  }
+};
+
+/**
+ * Returns the code which defines the blocks of the mutator dialog and
+ * registers the mutator, for blocks defined with JSON which name the mutator
+ * in their "mutator" property.
+ * @param {!Object} mutator The mutator, as returned by FactoryUtils.getMutator.
+ * @return {string} JavaScript code.
+ */
+FactoryUtils.getMutatorCode = function(mutator) {
+  const mixinName =
+      FactoryUtils.cleanBlockType(mutator.name).toUpperCase() + '_MIXIN';
+  const code = [];
+  code.push('Blockly.defineBlocksWithJsonArray(' +
+      JSON.stringify(FactoryUtils.getMutatorBlocksJson_(mutator), null, '  ') +
+      ');');
+  code.push('');
+  code.push('var ' + mixinName + ' = {');
+  code.push(FactoryUtils.getMutatorMethods_(mutator).join(',\n'));
+  code.push('};');
+  code.push('');
+  code.push('Blockly.Extensions.registerMutator(' +
+      JSON.stringify(mutator.name) + ', ' + mixinName + ',');
+  code.push('    function() {');
+  for (let item of mutator.items) {
+    code.push('      this.' + item.property + ' = 0;');
+  }
+  code.push('    },');
+  code.push('    [' + mutator.items.map(
+      (item) => JSON.stringify(item.blockType)).join(', ') + ']);');
+  return code.join('\n');
+};
+
+/**
+ * Registers a mutator so that blocks defined with JSON which name it can be
+ * created. Replaces any mutator previously registered with the same name.
+ * @param {!Object} mutator The mutator, as returned by FactoryUtils.getMutator.
+ */
+FactoryUtils.defineMutator = function(mutator) {
+  // Blockly cannot unregister extensions, so remove the old one directly.
+  delete Blockly.Extensions.ALL_[mutator.name];
+  // TODO(#114): Remove use of eval() for security reasons.
+  eval(FactoryUtils.getMutatorCode(mutator));
+};
+
+/**
+ * Returns the JSON definitions of the blocks of a mutator dialog: the top
+ * block, and a block for each item.
+ * @param {!Object} mutator The mutator, as returned by FactoryUtils.getMutator.
+ * @return {!Array.<!Object>} Block definition JSONs.
+ * @private
+ */
+FactoryUtils.getMutatorBlocksJson_ = function(mutator) {
+  const container = {
+    type: mutator.containerType,
+    message0: mutator.containerLabel.replace(/%/g, '%%') + ' %1 %2',
+    args0: [{type: 'input_dummy'}, {type: 'input_statement', name: 'STACK'}]
+  };
+  const blockJsons = [container];
+  for (let item of mutator.items) {
+    blockJsons.push({
+      type: item.blockType,
+      message0: item.label.replace(/%/g, '%%'),
+      previousStatement: null,
+      nextStatement: null
+    });
+  }
+  for (let blockJson of blockJsons) {
+    if (mutator.colour !== null) {
+      blockJson.colour = mutator.colour;
+    }
+    blockJson.enableContextMenu = false;
+  }
+  return blockJsons;
+};
+
+/**
+ * Returns the JavaScript definitions of the blocks of a mutator dialog.
+ * @param {!Object} mutator The mutator, as returned by FactoryUtils.getMutator.
+ * @return {!Array.<string>} Lines of code.
+ * @private
+ */
+FactoryUtils.getMutatorBlocksJs_ = function(mutator) {
+  const code = [];
+  for (let blockJson of FactoryUtils.getMutatorBlocksJson_(mutator)) {
+    const isContainer = blockJson.type == mutator.containerType;
+    const label = isContainer ? mutator.containerLabel :
+        blockJson.message0.replace(/%%/g, '%');
+    code.push("Blockly.Blocks['" + blockJson.type + "'] = {");
+    code.push('  init: function() {');
+    code.push('    this.appendDummyInput()');
+    code.push('        .appendField(' + JSON.stringify(label) + ');');
+    if (isContainer) {
+      code.push("    this.appendStatementInput('STACK');");
+    } else {
+      code.push('    this.setPreviousStatement(true);');
+      code.push('    this.setNextStatement(true);');
+    }
+    if (mutator.colour !== null) {
+      code.push('    this.setColour(' + mutator.colour + ');');
+    }
+    code.push('    this.contextMenu = false;');
+    code.push('  }');
+    code.push('};');
+    code.push('');
+  }
+  return code;
+};
+
+/**
+ * Returns the methods which save, restore and edit the mutation of a block:
+ * mutationToDom, domToMutation, decompose, compose, saveConnections and
+ * updateShape_. The inputs of each item are named with the item's input
+ * name and their index, and come after the other inputs of the block, in the
+ * order of the items.
+ * @param {!Object} mutator The mutator, as returned by FactoryUtils.getMutator.
+ * @return {!Array.<string>} Code of each method, indented to be a property of
+ *     an object literal, without the separating commas.
+ * @private
+ */
+FactoryUtils.getMutatorMethods_ = function(mutator) {
+  const items = mutator.items;
+  const nextItemBlock = [
+    '      itemBlock = itemBlock.nextConnection &&',
+    '          itemBlock.nextConnection.targetBlock();'
+  ];
+
+  const mutationToDom = [
+    '  /**',
+    '   * Create XML to represent the number of each item.',
+    '   * @return {!Element} XML storage element.',
+    '   * @this Blockly.Block',
+    '   */',
+    '  mutationToDom: function() {',
+    "    var container = document.createElement('mutation');"
+  ];
+  for (let item of items) {
+    mutationToDom.push('    container.setAttribute(' +
+        JSON.stringify(item.attribute) + ', this.' + item.property + ');');
+  }
+  mutationToDom.push('    return container;', '  }');
+
+  const domToMutation = [
+    '  /**',
+    '   * Parse XML to restore the items.',
+    '   * @param {!Element} xmlElement XML storage element.',
+    '   * @this Blockly.Block',
+    '   */',
+    '  domToMutation: function(xmlElement) {'
+  ];
+  for (let item of items) {
+    domToMutation.push('    this.' + item.property + ' = parseInt(' +
+        'xmlElement.getAttribute(' + JSON.stringify(item.attribute) +
+        '), 10) || 0;');
+  }
+  domToMutation.push('    this.updateShape_();', '  }');
+
+  const decompose = [
+    '  /**',
+    '   * Populate the mutator\'s dialog with this block\'s components.',
+    '   * @param {!Blockly.Workspace} workspace Mutator\'s workspace.',
+    '   * @return {!Blockly.Block} Root block in mutator.',
+    '   * @this Blockly.Block',
+    '   */',
+    '  decompose: function(workspace) {',
+    '    var containerBlock = workspace.newBlock(' +
+        JSON.stringify(mutator.containerType) + ');',
+    '    containerBlock.initSvg();',
+    "    var connection = containerBlock.getInput('STACK').connection;"
+  ];
+  for (let item of items) {
+    decompose.push(
+        '    for (var i = 0; i < this.' + item.property + '; i++) {',
+        '      var itemBlock = workspace.newBlock(' +
+            JSON.stringify(item.blockType) + ');',
+        '      itemBlock.initSvg();',
+        '      connection.connect(itemBlock.previousConnection);',
+        '      connection = itemBlock.nextConnection;',
+        '    }');
+  }
+  decompose.push('    return containerBlock;', '  }');
+
+  const compose = [
+    '  /**',
+    '   * Reconfigure this block based on the mutator dialog\'s components.',
+    '   * @param {!Blockly.Block} containerBlock Root block in mutator.',
+    '   * @this Blockly.Block',
+    '   */',
+    '  compose: function(containerBlock) {'
+  ];
+  for (let item of items) {
+    compose.push('    var ' + item.variable + 'Connections = [];');
+  }
+  compose.push(
+      "    var itemBlock = containerBlock.getInputTargetBlock('STACK');",
+      '    while (itemBlock) {',
+      '      switch (itemBlock.type) {');
+  for (let item of items) {
+    compose.push(
+        '        case ' + JSON.stringify(item.blockType) + ':',
+        '          ' + item.variable +
+            'Connections.push(itemBlock.valueConnection_);',
+        '          break;');
+  }
+  compose.push('      }', ...nextItemBlock, '    }');
+  compose.push('    // Disconnect any children that don\'t belong.');
+  for (let item of items) {
+    const inputName = JSON.stringify(item.inputName);
+    const connections = item.variable + 'Connections';
+    compose.push(
+        '    for (var i = 0; i < this.' + item.property + '; i++) {',
+        '      var connection =',
+        '          this.getInput(' + inputName + ' + i).connection' +
+            '.targetConnection;',
+        '      if (connection && ' + connections + '.indexOf(connection) == -1) {',
+        '        connection.disconnect();',
+        '      }',
+        '    }');
+  }
+  for (let item of items) {
+    compose.push('    this.' + item.property + ' = ' + item.variable +
+        'Connections.length;');
+  }
+  compose.push('    this.updateShape_();');
+  compose.push('    // Reconnect any child blocks.');
+  for (let item of items) {
+    compose.push(
+        '    for (var i = 0; i < this.' + item.property + '; i++) {',
+        '      Blockly.Mutator.reconnect(' + item.variable +
+            'Connections[i], this,',
+        '          ' + JSON.stringify(item.inputName) + ' + i);',
+        '    }');
+  }
+  compose.push('  }');
+
+  const saveConnections = [
+    '  /**',
+    '   * Store pointers to any connected child blocks.',
+    '   * @param {!Blockly.Block} containerBlock Root block in mutator.',
+    '   * @this Blockly.Block',
+    '   */',
+    '  saveConnections: function(containerBlock) {'
+  ];
+  for (let item of items) {
+    saveConnections.push('    var ' + item.variable + 'Index = 0;');
+  }
+  saveConnections.push(
+      "    var itemBlock = containerBlock.getInputTargetBlock('STACK');",
+      '    while (itemBlock) {',
+      '      switch (itemBlock.type) {');
+  for (let item of items) {
+    saveConnections.push(
+        '        case ' + JSON.stringify(item.blockType) + ':',
+        '          var input = this.getInput(' +
+            JSON.stringify(item.inputName) + ' + ' + item.variable +
+            'Index++);',
+        '          itemBlock.valueConnection_ =',
+        '              input && input.connection.targetConnection;',
+        '          break;');
+  }
+  saveConnections.push('      }', ...nextItemBlock, '    }', '  }');
+
+  const APPEND = {'input_value': 'appendValueInput',
+                  'input_statement': 'appendStatementInput'};
+  const updateShape = [
+    '  /**',
+    '   * Modify this block to have the correct number of inputs.',
+    '   * @private',
+    '   * @this Blockly.Block',
+    '   */',
+    '  updateShape_: function() {'
+  ];
+  for (let item of items) {
+    const inputName = JSON.stringify(item.inputName);
+    const append = ['        this.' + APPEND[item.inputType] + '(' +
+        inputName + ' + i)'];
+    if (item.check) {
+      append.push('            .setCheck(' + item.check + ')');
+    }
+    if (item.text) {
+      append.push('            .appendField(' + JSON.stringify(item.text) + ')');
+    }
+    append[append.length - 1] += ';';
+    updateShape.push(
+        '    // Add new ' + item.attribute + ' inputs.',
+        '    for (var i = 0; i < this.' + item.property + '; i++) {',
+        '      if (!this.getInput(' + inputName + ' + i)) {',
+        ...append,
+        '      }',
+        '    }',
+        '    // Remove deleted ' + item.attribute + ' inputs.',
+        '    for (var i = this.' + item.property + '; this.getInput(' +
+            inputName + ' + i); i++) {',
+        '      this.removeInput(' + inputName + ' + i);',
+        '    }');
+  }
+  if (items.length > 1) {
+    updateShape.push('    // Keep the inputs of each item in order.');
+    for (let item of items) {
+      updateShape.push(
+          '    for (var i = 0; i < this.' + item.property + '; i++) {',
+          '      this.moveInputBefore(' + JSON.stringify(item.inputName) +
+              ' + i, null);',
+          '    }');
+    }
+  }
+  updateShape.push('  }');
+
+  return [mutationToDom, domToMutation, decompose, compose, saveConnections,
+      updateShape].map((lines) => lines.join('\n'));
+};
+
 /**
  * Returns field strings and any config.
  * @param {!Blockly.Block} block Input block.
@@ -503,6 +1417,22 @@ FactoryUtils.getFieldsJs_ = function(block) {
           fields.push('new Blockly.FieldImage(' +
               src + ', ' + width + ', ' + height + ', ' + alt + ')');
           break;
+        case 'field_custom':
+          // Result: (Blockly.fieldRegistry ?
+          //     Blockly.fieldRegistry.fromJson({'type': 'field_slider'}) :
+          //     Blockly.Block.customFieldTypes_['field_slider'].fromJson(
+          //         {'type': 'field_slider'})), 'LEVEL'
+          // See FactoryUtils.getFieldTypeCode.
+          if (block.fieldType_) {
+            var fieldJson =
+                JSON.stringify(FactoryUtils.getCustomFieldJson_(block));
+            fields.push('(Blockly.fieldRegistry ?\n' +
+                '            Blockly.fieldRegistry.fromJson(' + fieldJson +
+                ') :\n            Blockly.Block.customFieldTypes_[' +
+                JSON.stringify(block.fieldType_) + '].fromJson(' + fieldJson +
+                ')), ' + JSON.stringify(block.getFieldValue('FIELDNAME')));
+          }
+          break;
       }
     }
     block = block.nextConnection && block.nextConnection.targetBlock();
@@ -610,6 +1540,12 @@ FactoryUtils.getFieldsJson_ = function(block) {
             alt: block.getFieldValue('ALT')
           });
           break;
+        case 'field_custom':
+          if (block.fieldType_) {
+            fields.push(Object.assign(FactoryUtils.getCustomFieldJson_(block),
+                {name: block.getFieldValue('FIELDNAME')}));
+          }
+          break;
       }
     }
     block = block.nextConnection && block.nextConnection.targetBlock();
@@ -743,6 +1679,78 @@ FactoryUtils.createAndDownloadFile = function(contents, filename, mimeType) {
   a.dispatchEvent(clickEvent);
 };
 
+/**
+ * Returns the blocks and shadow blocks of a type within XML.
+ * @param {!Element} xml The XML to search.
+ * @param {string} blockType The block type to find.
+ * @return {!Array.<!Element>} The <block> and <shadow> elements of the type.
+ */
+FactoryUtils.getBlocksOfType = function(xml, blockType) {
+  const blocks = [];
+  for (let tagName of ['block', 'shadow']) {
+    for (let block of xml.getElementsByTagName(tagName)) {
+      if (block.getAttribute('type') == blockType) {
+        blocks.push(block);
+      }
+    }
+  }
+  return blocks;
+};
+
+/**
+ * Returns the types of the blocks and shadow blocks within XML.
+ * @param {!Element} xml The XML to search.
+ * @return {!Array.<string>} The block types, each listed once.
+ */
+FactoryUtils.getBlockTypesInXml = function(xml) {
+  const blockTypes = [];
+  for (let tagName of ['block', 'shadow']) {
+    for (let block of xml.getElementsByTagName(tagName)) {
+      const blockType = block.getAttribute('type');
+      if (blockType && blockTypes.indexOf(blockType) == -1) {
+        blockTypes.push(blockType);
+      }
+    }
+  }
+  return blockTypes;
+};
+
+/**
+ * Returns a regular expression which matches a block type used as a key in
+ * code, e.g. Blockly.JavaScript['block_type']. The quote is captured.
+ * @param {string} blockType The block type to match.
+ * @return {!RegExp} Global regular expression matching the block type key.
+ * @private
+ */
+FactoryUtils.blockTypeKeyRegExp_ = function(blockType) {
+  const escaped = blockType.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp('\\[\\s*([\'"])' + escaped + '\\1\\s*\\]', 'g');
+};
+
+/**
+ * Returns whether code uses a block type as a key, as generator code does to
+ * define or call the generator of a block.
+ * @param {string} code The code to search.
+ * @param {string} blockType The block type to find.
+ * @return {boolean} Whether the code references the block type.
+ */
+FactoryUtils.codeReferencesBlockType = function(code, blockType) {
+  return FactoryUtils.blockTypeKeyRegExp_(blockType).test(code);
+};
+
+/**
+ * Replaces a block type used as a key in code, as in
+ * FactoryUtils.codeReferencesBlockType().
+ * @param {string} code The code to change.
+ * @param {string} oldType The block type to replace.
+ * @param {string} newType The block type to replace it with.
+ * @return {string} The changed code.
+ */
+FactoryUtils.renameBlockTypeInCode = function(code, oldType, newType) {
+  return code.replace(FactoryUtils.blockTypeKeyRegExp_(oldType),
+      (match, quote) => '[' + quote + newType + quote + ']');
+};
+
 /**
  * Get Blockly Block by rendering pre-defined block in workspace.
  * @param {string} blockType Type of block that has already been defined.
@@ -872,18 +1880,689 @@ FactoryUtils.defineAndGetBlockTypes = function(blockDefsString, format) {
 };
 
 /**
- * Inject code into a pre tag, with syntax highlighting.
- * Safe from HTML/script injection.
- * @param {string} code Lines of code.
- * @param {string} id ID of <pre> element to inject into.
+ * Parses the contents of an imported block definitions file into an array of
+ * block definition JSON objects. JSON files may contain a single definition, an
+ * array of definitions (as passed to Blockly.defineBlocksWithJsonArray) or
+ * several concatenated definitions. JavaScript files may contain
+ * Blockly.Blocks[...] definitions which call jsonInit, or calls to
+ * Blockly.defineBlocksWithJsonArray.
+ * @param {string} fileContents Contents of the block definitions file.
+ * @return {!Array.<!Object>} Array of block definition JSON objects.
+ * @throws {Error} If the file cannot be parsed, or a block is not defined
+ *     with JSON.
  */
-FactoryUtils.injectCode = function(code, id) {
-  var pre = document.getElementById(id);
-  pre.textContent = code;
-  code = pre.textContent;
-  code = PR.prettyPrintOne(code, 'js');
-  pre.innerHTML = code;
-};
+FactoryUtils.parseBlockDefinitionsFile = function(fileContents) {
+  if (fileContents.indexOf('Blockly.') == -1) {
+    return FactoryUtils.parseJsonBlockDefinitionsFile_(fileContents);
+  } else {
+    return FactoryUtils.parseJsBlockDefinitionsFile_(fileContents);
+  }
+};
+
+/**
+ * Parses the contents of a JSON block definitions file.
+ * @param {string} fileContents Contents of the block definitions file.
+ * @return {!Array.<!Object>} Array of block definition JSON objects.
+ * @private
+ */
+FactoryUtils.parseJsonBlockDefinitionsFile_ = function(fileContents) {
+  let json;
+  try {
+    json = JSON.parse(fileContents);
+  } catch (e) {
+    // Not a single JSON value, so expect concatenated definitions.
+    json = FactoryUtils.parseJsonBlockDefinitions(fileContents).map(
+        (blockDef) => JSON.parse(blockDef.replace(/^[\s,[]+/, '')));
+  }
+  return Array.isArray(json) ? json : [json];
+};
+
+/**
+ * Parses the contents of a JavaScript block definitions file. The file is not
+ * run, since it may come from anywhere: the JSON passed to each call to
+ * Blockly.defineBlocksWithJsonArray, and to jsonInit by each Blockly.Blocks
+ * definition, is read from its source instead. jsonInit may be passed the JSON
+ * directly or in a variable declared in the init function, as in the files
+ * written by DevTools. The blocks of the dialogs of mutators registered with
+ * Blockly.Extensions.registerMutator (see FactoryUtils.getMutatorCode) are
+ * left out.
+ * @param {string} fileContents Contents of the block definitions file.
+ * @return {!Array.<!Object>} Array of block definition JSON objects.
+ * @throws {Error} If a block is not defined with JSON, or its JSON is written
+ *     as JavaScript which is not valid JSON.
+ * @private
+ */
+FactoryUtils.parseJsBlockDefinitionsFile_ = function(fileContents) {
+  fileContents = FactoryUtils.blankComments_(fileContents);
+  const stringLiteral = `("(?:[^"\\\\]|\\\\.)*"|'(?:[^'\\\\]|\\\\.)*')`;
+  const blockJsons = [];
+  const arrayCalls = /Blockly\.defineBlocksWithJsonArray\s*\(/g;
+  let match;
+  while ((match = arrayCalls.exec(fileContents))) {
+    const jsonArray = FactoryUtils.parseJsonLiteral_(fileContents,
+        arrayCalls.lastIndex, 'Blockly.defineBlocksWithJsonArray()');
+    if (!Array.isArray(jsonArray)) {
+      throw new Error('Blockly.defineBlocksWithJsonArray() is not passed an ' +
+          'array.');
+    }
+    blockJsons.push.apply(blockJsons, jsonArray);
+  }
+
+  const definitions = new RegExp('Blockly\\.Blocks(?:\\s*\\[\\s*' +
+      stringLiteral + '\\s*\\]|\\.([A-Za-z_$][\\w$]*))\\s*=(?!=)\\s*', 'g');
+  while ((match = definitions.exec(fileContents))) {
+    const blockType = match[1] ?
+        FactoryUtils.parseStringLiteral_(match[1]) : match[2];
+    let blockJson = null;
+    if (fileContents[definitions.lastIndex] == '{') {
+      const end = FactoryUtils.findClosingBracket_(fileContents,
+          definitions.lastIndex);
+      const definition =
+          fileContents.substring(definitions.lastIndex, end + 1);
+      blockJson = FactoryUtils.getJsonInitArgument_(definition, blockType);
+      definitions.lastIndex = end + 1;
+    }
+    if (!blockJson) {
+      throw new Error('Block "' + blockType + '" is not defined with JSON. ' +
+          'Only blocks which call jsonInit can be imported.');
+    }
+    // The key in Blockly.Blocks is the type the block is used under.
+    blockJson = Object.assign({type: blockType}, blockJson);
+    blockJson.type = blockType;
+    blockJsons.push(blockJson);
+  }
+
+  const mutatorBlockTypes = Object.create(null);
+  const mutatorCalls = /Blockly\.Extensions\.registerMutator\s*\(/g;
+  while ((match = mutatorCalls.exec(fileContents))) {
+    const start = mutatorCalls.lastIndex - 1;
+    const end = FactoryUtils.findClosingBracket_(fileContents, start);
+    const args = fileContents.substring(start + 1, end).trim();
+    const name = new RegExp('^' + stringLiteral).exec(args);
+    if (name) {
+      mutatorBlockTypes[FactoryUtils.parseStringLiteral_(name[1]) +
+          '_container'] = true;
+    }
+    // The block list is the last argument.
+    const blockList = /\[([^[\]]*)\]$/.exec(args);
+    const itemLiterals = new RegExp(stringLiteral, 'g');
+    let item;
+    while (blockList && (item = itemLiterals.exec(blockList[1]))) {
+      mutatorBlockTypes[FactoryUtils.parseStringLiteral_(item[1])] = true;
+    }
+    mutatorCalls.lastIndex = end + 1;
+  }
+  return blockJsons.filter((blockJson) => !mutatorBlockTypes[blockJson.type]);
+};
+
+/**
+ * Returns the JSON passed to jsonInit by the source of a Blockly.Blocks
+ * definition, either directly or in a variable declared in the definition.
+ * @param {string} definition Source of the object literal defining the block,
+ *     without comments.
+ * @param {string} blockType Type of the block, used in error messages.
+ * @return {Object} The block definition JSON, or null if the block does not
+ *     call jsonInit.
+ * @throws {Error} If the JSON is written as JavaScript which is not valid JSON.
+ * @private
+ */
+FactoryUtils.getJsonInitArgument_ = function(definition, blockType) {
+  const description = 'The JSON of block "' + blockType + '"';
+  const call = /\.jsonInit\s*\(\s*/.exec(definition);
+  if (!call) {
+    return null;
+  }
+  const argumentStart = call.index + call[0].length;
+  if (definition[argumentStart] == '{') {
+    return FactoryUtils.parseJsonLiteral_(definition, argumentStart,
+        description);
+  }
+  const variable = /^[A-Za-z_$][\w$]*/.exec(definition.substring(argumentStart));
+  const declaration = variable && new RegExp('(?:var|let|const)\\s+' +
+      variable[0].replace(/\$/g, '\\$') + '\\s*=\\s*').exec(definition);
+  if (!declaration) {
+    throw new Error(description + ' is not an object literal, so it cannot ' +
+        'be read without running the file.');
+  }
+  return FactoryUtils.parseJsonLiteral_(definition,
+      declaration.index + declaration[0].length, description);
+};
+
+/**
+ * Parses the JSON object or array literal which starts at the given position
+ * of JavaScript source.
+ * @param {string} source The JavaScript source, without comments.
+ * @param {number} start Position of the literal, or of whitespace before it.
+ * @param {string} description Description of the literal, used in error
+ *     messages.
+ * @return {!Object|!Array} The parsed value.
+ * @throws {Error} If there is no object or array literal at the position, or
+ *     it is not valid JSON.
+ * @private
+ */
+FactoryUtils.parseJsonLiteral_ = function(source, start, description) {
+  while (/\s/.test(source[start])) {
+    start++;
+  }
+  if (source[start] != '{' && source[start] != '[') {
+    throw new Error(description + ' is not an object or array literal, so it ' +
+        'cannot be read without running the file.');
+  }
+  const end = FactoryUtils.findClosingBracket_(source, start);
+  try {
+    return JSON.parse(source.substring(start, end + 1));
+  } catch (e) {
+    throw new Error(description + ' is not valid JSON, so it cannot be read ' +
+        'without running the file: ' + e.message);
+  }
+};
+
+/**
+ * Returns the position of the end of the string literal which starts at the
+ * given position of JavaScript source.
+ * @param {string} source The JavaScript source.
+ * @param {number} start Position of the opening quote: ", ' or `.
+ * @return {number} Position of the closing quote, or the length of the source
+ *     if the string is not closed.
+ * @private
+ */
+FactoryUtils.findStringEnd_ = function(source, start) {
+  let i = start + 1;
+  for (; i < source.length && source[i] != source[start]; i++) {
+    if (source[i] == '\\') {
+      i++;
+    }
+  }
+  return i;
+};
+
+/**
+ * Replaces the comments of JavaScript source with spaces, so that code which
+ * is commented out is not read. Line breaks and the positions of the rest of
+ * the source are kept.
+ * @param {string} source The JavaScript source.
+ * @return {string} The source without comments.
+ * @private
+ */
+FactoryUtils.blankComments_ = function(source) {
+  let result = '';
+  let i = 0;
+  while (i < source.length) {
+    let end = i + 1;
+    if (source[i] == '"' || source[i] == '\'' || source[i] == '`') {
+      end = FactoryUtils.findStringEnd_(source, i) + 1;
+    } else if (source.startsWith('//', i) || source.startsWith('/*', i)) {
+      const close = source[i + 1] == '/' ? '\n' : '*/';
+      const commentEnd = source.indexOf(close, i + 2);
+      end = commentEnd == -1 ? source.length :
+          commentEnd + (close == '\n' ? 0 : close.length);
+      result += source.substring(i, end).replace(/[^\n]/g, ' ');
+      i = end;
+      continue;
+    }
+    result += source.substring(i, end);
+    i = end;
+  }
+  return result;
+};
+
+/**
+ * Finds the bracket which closes the bracket at the given position of
+ * JavaScript source without comments, skipping over strings.
+ * @param {string} source The JavaScript source, without comments.
+ * @param {number} start Position of the opening bracket: (, [ or {.
+ * @return {number} Position of the closing bracket.
+ * @throws {Error} If the bracket is not closed.
+ * @private
+ */
+FactoryUtils.findClosingBracket_ = function(source, start) {
+  const closing = {'(': ')', '[': ']', '{': '}'};
+  const stack = [];
+  for (let i = start; i < source.length; i++) {
+    const character = source[i];
+    if (character == '"' || character == '\'' || character == '`') {
+      i = FactoryUtils.findStringEnd_(source, i);
+    } else if (closing[character]) {
+      stack.push(closing[character]);
+    } else if (character == stack[stack.length - 1]) {
+      stack.pop();
+      if (!stack.length) {
+        return i;
+      }
+    }
+  }
+  throw new Error('Unbalanced brackets in block definitions file.');
+};
+
+/**
+ * Returns the value of a JavaScript string literal which has no line breaks.
+ * @param {string} literal The single- or double-quoted string literal.
+ * @return {string} The value of the string.
+ * @private
+ */
+FactoryUtils.parseStringLiteral_ = function(literal) {
+  // Rewrite the literal as a double-quoted JSON string.
+  const body = literal.substring(1, literal.length - 1).replace(/\\(.)|"/g,
+      (escape, escaped) => escaped == '\'' ? '\'' : escaped ? escape : '\\"');
+  return JSON.parse('"' + body + '"');
+};
+
+/**
+ * Builds the block editor XML (a factory_base block) for the given block
+ * definition JSON, so that blocks which only have a JSON definition, such as
+ * imported blocks, can be opened in the block editor. The block editor
+ * regenerates the same definition from the XML, except that a definition
+ * with several messages is regenerated with a message for each input, and
+ * colours which are not hues and mutators are dropped.
+ * @param {!Object} blockJson Block definition JSON.
+ * @return {!Element} XML containing the factory_base block.
+ * @throws {Error} If the definition uses an input or field type which the
+ *     block editor cannot represent.
+ */
+FactoryUtils.buildFactoryXmlFromJson = function(blockJson) {
+  const xml = goog.dom.createDom('xml');
+  const rootBlock = FactoryUtils.createBlockXml_('factory_base', xml);
+  rootBlock.setAttribute('deletable', 'false');
+  rootBlock.setAttribute('movable', 'false');
+
+  let connections = 'NONE';
+  if ('output' in blockJson) {
+    connections = 'LEFT';
+  } else if ('previousStatement' in blockJson && 'nextStatement' in blockJson) {
+    connections = 'BOTH';
+  } else if ('previousStatement' in blockJson) {
+    connections = 'TOP';
+  } else if ('nextStatement' in blockJson) {
+    connections = 'BOTTOM';
+  }
+  const mutation = goog.dom.createDom('mutation');
+  mutation.setAttribute('connections', connections);
+  rootBlock.appendChild(mutation);
+
+  let inline = 'AUTO';
+  if (blockJson.inputsInline === true) {
+    inline = 'INT';
+  } else if (blockJson.inputsInline === false) {
+    inline = 'EXT';
+  }
+  FactoryUtils.createFieldXml_('NAME', blockJson.type, rootBlock);
+  FactoryUtils.createFieldXml_('INLINE', inline, rootBlock);
+  FactoryUtils.createFieldXml_('MESSAGES',
+      'message1' in blockJson ? 'MULTI' : 'SINGLE', rootBlock);
+  FactoryUtils.createFieldXml_('CONNECTIONS', connections, rootBlock);
+
+  const inputs = FactoryUtils.buildInputsXml_(blockJson);
+  if (inputs.length) {
+    const statement = goog.dom.createDom('statement');
+    statement.setAttribute('name', 'INPUTS');
+    rootBlock.appendChild(statement);
+    FactoryUtils.appendBlockStackXml_(inputs, statement);
+  }
+
+  const typeInputs = {
+    'LEFT': [['OUTPUTTYPE', 'output']],
+    'BOTH': [['TOPTYPE', 'previousStatement'], ['BOTTOMTYPE', 'nextStatement']],
+    'TOP': [['TOPTYPE', 'previousStatement']],
+    'BOTTOM': [['BOTTOMTYPE', 'nextStatement']],
+    'NONE': []
+  };
+  for (let [inputName, property] of typeInputs[connections]) {
+    const value = FactoryUtils.createValueXml_(inputName, rootBlock);
+    FactoryUtils.createTypeXml_(blockJson[property], value);
+  }
+
+  for (let [inputName, text] of [['TOOLTIP', blockJson.tooltip],
+      ['HELPURL', blockJson.helpUrl]]) {
+    const value = FactoryUtils.createValueXml_(inputName, rootBlock);
+    const textBlock = FactoryUtils.createBlockXml_('text', value);
+    textBlock.setAttribute('deletable', 'false');
+    textBlock.setAttribute('movable', 'false');
+    FactoryUtils.createFieldXml_('TEXT', text || '', textBlock);
+  }
+
+  if (Array.isArray(blockJson.extensions) && blockJson.extensions.length) {
+    const statement = goog.dom.createDom('statement');
+    statement.setAttribute('name', 'EXTENSIONS');
+    rootBlock.appendChild(statement);
+    FactoryUtils.appendBlockStackXml_(blockJson.extensions.map((name) => {
+      const extensionBlock = FactoryUtils.createBlockXml_('extension', null);
+      FactoryUtils.createFieldXml_('NAME', name, extensionBlock);
+      return extensionBlock;
+    }), statement);
+  }
+
+  const hue = Number(blockJson.colour);
+  if (blockJson.colour !== null && blockJson.colour !== '' && !isNaN(hue)) {
+    const value = FactoryUtils.createValueXml_('COLOUR', rootBlock);
+    const colourBlock = FactoryUtils.createBlockXml_('colour_hue', value);
+    const colourMutation = goog.dom.createDom('mutation');
+    colourMutation.setAttribute('colour', Blockly.hueToRgb(hue));
+    colourBlock.appendChild(colourMutation);
+    FactoryUtils.createFieldXml_('HUE', String(hue), colourBlock);
+  }
+  return xml;
+};
+
+/**
+ * Builds the input blocks (input_value, input_statement and input_dummy) for
+ * the messages of a block definition, each holding the fields which precede
+ * it in its message. Fields left at the end of a message are given to a dummy
+ * input, as Blockly does.
+ * @param {!Object} blockJson Block definition JSON.
+ * @return {!Array.<!Element>} Input block elements, in order.
+ * @private
+ */
+FactoryUtils.buildInputsXml_ = function(blockJson) {
+  const inputs = [];
+  for (let n = 0; ('message' + n) in blockJson; n++) {
+    const args = blockJson['args' + n] || [];
+    let fields = [];
+    const tokens = FactoryUtils.tokenizeMessage_(String(blockJson['message' + n]));
+    for (let token of tokens) {
+      if (typeof token == 'string') {
+        token = token.trim();
+        if (token) {
+          fields.push(token);
+        }
+        continue;
+      }
+      const arg = args[token - 1];
+      if (!arg) {
+        throw new Error('message' + n + ' refers to %' + token +
+            ', which is not in args' + n + '.');
+      }
+      if (/^input_/.test(arg.type)) {
+        inputs.push(FactoryUtils.createInputXml_(arg, fields));
+        fields = [];
+      } else {
+        fields.push(arg);
+      }
+    }
+    if (fields.length) {
+      const lastDummy = {
+        type: 'input_dummy',
+        align: blockJson['lastDummyAlign' + n]
+      };
+      inputs.push(FactoryUtils.createInputXml_(lastDummy, fields));
+    }
+  }
+  return inputs;
+};
+
+/**
+ * Splits a block message into text and argument references. Escaped percent
+ * signs ('%%') are unescaped.
+ * @param {string} message Block message, e.g. 'set %1 to %2'.
+ * @return {!Array.<string|number>} Text, and the (1-based) indices of the
+ *     referenced arguments.
+ * @private
+ */
+FactoryUtils.tokenizeMessage_ = function(message) {
+  const tokens = [];
+  let text = '';
+  for (let i = 0; i < message.length; i++) {
+    const match = message.substring(i).match(/^%(%|\d+)/);
+    if (!match) {
+      text += message[i];
+    } else if (match[1] == '%') {
+      text += '%';
+      i++;
+    } else {
+      tokens.push(text);
+      text = '';
+      tokens.push(parseInt(match[1], 10));
+      i += match[0].length - 1;
+    }
+  }
+  tokens.push(text);
+  return tokens;
+};
+
+/**
+ * Creates the input block for an input argument of a block definition.
+ * @param {!Object} arg Input argument, e.g. {type: 'input_value', name: 'X'}.
+ * @param {!Array.<string|!Object>} fields Static text and field arguments
+ *     shown on the input.
+ * @return {!Element} The input block element.
+ * @private
+ */
+FactoryUtils.createInputXml_ = function(arg, fields) {
+  if (['input_value', 'input_statement', 'input_dummy'].indexOf(arg.type) ==
+      -1) {
+    throw new Error('Inputs of type "' + arg.type + '" are not supported.');
+  }
+  const input = FactoryUtils.createBlockXml_(arg.type, null);
+  if (arg.type != 'input_dummy') {
+    FactoryUtils.createFieldXml_('INPUTNAME', arg.name, input);
+  }
+  FactoryUtils.createFieldXml_('ALIGN', arg.align || 'LEFT', input);
+  if (fields.length) {
+    const statement = goog.dom.createDom('statement');
+    statement.setAttribute('name', 'FIELDS');
+    input.appendChild(statement);
+    FactoryUtils.appendBlockStackXml_(
+        fields.map(FactoryUtils.createFieldBlockXml_), statement);
+  }
+  if (arg.type != 'input_dummy') {
+    FactoryUtils.createTypeXml_(arg.check,
+        FactoryUtils.createValueXml_('TYPE', input));
+  }
+  return input;
+};
+
+/**
+ * Creates the field block (field_static, field_input, etc.) for static text or
+ * a field argument of a block definition. Inverse of
+ * FactoryUtils.getFieldsJson_().
+ * @param {string|!Object} field Static text or field argument.
+ * @return {!Element} The field block element.
+ * @private
+ */
+FactoryUtils.createFieldBlockXml_ = function(field) {
+  if (typeof field == 'string' || field.type == 'field_label') {
+    const label = FactoryUtils.createBlockXml_('field_static', null);
+    FactoryUtils.createFieldXml_(
+        'TEXT', typeof field == 'string' ? field : field.text || '', label);
+    return label;
+  }
+
+  const params = FactoryUtils.getFieldTypeParams(field.type);
+  if (params) {
+    const custom = FactoryUtils.createBlockXml_('field_custom', null);
+    const mutation = goog.dom.createDom('mutation');
+    mutation.setAttribute('type', field.type);
+    custom.appendChild(mutation);
+    for (let param in params) {
+      if (param in field) {
+        FactoryUtils.createFieldXml_('PARAM_' + param,
+            FactoryUtils.getFieldParamText_(field[param]), custom);
+      }
+    }
+    FactoryUtils.createFieldXml_('FIELDNAME', field.name, custom);
+    return custom;
+  }
+
+  const block = FactoryUtils.createBlockXml_(field.type, null);
+  switch (field.type) {
+    case 'field_input':
+      FactoryUtils.createFieldXml_('TEXT', field.text || '', block);
+      break;
+    case 'field_number':
+      FactoryUtils.createFieldXml_('VALUE', String(field.value || 0), block);
+      for (let [fieldName, property] of [['MIN', 'min'], ['MAX', 'max'],
+          ['PRECISION', 'precision']]) {
+        if (property in field) {
+          FactoryUtils.createFieldXml_(fieldName, String(field[property]), block);
+        }
+      }
+      break;
+    case 'field_angle':
+      FactoryUtils.createFieldXml_('ANGLE', String(field.angle || 0), block);
+      break;
+    case 'field_checkbox':
+      FactoryUtils.createFieldXml_(
+          'CHECKED', field.checked ? 'TRUE' : 'FALSE', block);
+      break;
+    case 'field_colour':
+      FactoryUtils.createFieldXml_('COLOUR', field.colour || '#ff0000', block);
+      break;
+    case 'field_date':
+      FactoryUtils.createFieldXml_('DATE', field.date || '', block);
+      break;
+    case 'field_variable':
+      FactoryUtils.createFieldXml_('TEXT', field.variable || '', block);
+      break;
+    case 'field_dropdown': {
+      const options = field.options || [];
+      const mutation = goog.dom.createDom('mutation');
+      mutation.setAttribute('options', JSON.stringify(options.map(
+          (option) => typeof option[0] == 'string' ? 'text' : 'image')));
+      block.appendChild(mutation);
+      options.forEach((option, i) => {
+        const userData = option[0];
+        if (typeof userData == 'string') {
+          FactoryUtils.createFieldXml_('USER' + i, userData, block);
+        } else {
+          FactoryUtils.createFieldXml_('SRC' + i, userData.src, block);
+          FactoryUtils.createFieldXml_('WIDTH' + i, String(userData.width), block);
+          FactoryUtils.createFieldXml_('HEIGHT' + i, String(userData.height),
+              block);
+          FactoryUtils.createFieldXml_('ALT' + i, userData.alt || '', block);
+        }
+        FactoryUtils.createFieldXml_('CPU' + i, option[1], block);
+      });
+      break;
+    }
+    case 'field_image':
+      FactoryUtils.createFieldXml_('SRC', field.src, block);
+      FactoryUtils.createFieldXml_('WIDTH', String(field.width), block);
+      FactoryUtils.createFieldXml_('HEIGHT', String(field.height), block);
+      FactoryUtils.createFieldXml_('ALT', field.alt || '', block);
+      return block;
+    default:
+      throw new Error('Fields of type "' + field.type + '" are not supported.');
+  }
+  FactoryUtils.createFieldXml_('FIELDNAME', field.name, block);
+  return block;
+};
+
+/**
+ * Creates the type block (type_null, type_number, type_group, etc.) for a
+ * connection check and appends it to the parent. Inverse of
+ * FactoryUtils.getOptTypesFrom().
+ * @param {string|Array.<string>|undefined} check Connection check.
+ * @param {!Element} parent Value element to append the type block to.
+ * @return {!Element} The type block element.
+ * @private
+ */
+FactoryUtils.createTypeXml_ = function(check, parent) {
+  if (Array.isArray(check) && check.length < 2) {
+    check = check.length ? check[0] : null;
+  }
+  if (check === null || check === undefined) {
+    return FactoryUtils.createBlockXml_('type_null', parent, true);
+  }
+  if (Array.isArray(check)) {
+    const group = FactoryUtils.createBlockXml_('type_group', parent);
+    const mutation = goog.dom.createDom('mutation');
+    mutation.setAttribute('types', String(check.length));
+    group.appendChild(mutation);
+    check.forEach((type, i) => {
+      FactoryUtils.createTypeXml_(type,
+          FactoryUtils.createValueXml_('TYPE' + i, group));
+    });
+    return group;
+  }
+  const typeBlocks = {
+    'Boolean': 'type_boolean',
+    'Number': 'type_number',
+    'String': 'type_string',
+    'Array': 'type_list'
+  };
+  if (typeBlocks[check]) {
+    return FactoryUtils.createBlockXml_(typeBlocks[check], parent);
+  }
+  const other = FactoryUtils.createBlockXml_('type_other', parent);
+  FactoryUtils.createFieldXml_('TYPE', check, other);
+  return other;
+};
+
+/**
+ * Appends blocks to the parent as a stack, each block connected to the next.
+ * @param {!Array.<!Element>} blocks Block elements, in order.
+ * @param {!Element} parent Statement element to append the stack to.
+ * @private
+ */
+FactoryUtils.appendBlockStackXml_ = function(blocks, parent) {
+  for (let i = 0; i < blocks.length; i++) {
+    if (i > 0) {
+      parent = goog.dom.createDom('next');
+      blocks[i - 1].appendChild(parent);
+    }
+    parent.appendChild(blocks[i]);
+  }
+};
+
+/**
+ * Creates a block (or shadow block) XML element and appends it to the parent.
+ * @param {string} type Type of the block.
+ * @param {Element} parent Element to append the block to, if any.
+ * @param {boolean=} opt_isShadow Whether to create a shadow block.
+ * @return {!Element} The new block element.
+ * @private
+ */
+FactoryUtils.createBlockXml_ = function(type, parent, opt_isShadow) {
+  const block = goog.dom.createDom(opt_isShadow ? 'shadow' : 'block');
+  block.setAttribute('type', type);
+  if (parent) {
+    parent.appendChild(block);
+  }
+  return block;
+};
+
+/**
+ * Creates a field XML element and appends it to the parent block.
+ * @param {string} name Name of the field.
+ * @param {string} text Value of the field.
+ * @param {!Element} parent Block element to append the field to.
+ * @return {!Element} The new field element.
+ * @private
+ */
+FactoryUtils.createFieldXml_ = function(name, text, parent) {
+  const field = goog.dom.createDom('field');
+  field.setAttribute('name', name);
+  field.textContent = text;
+  parent.appendChild(field);
+  return field;
+};
+
+/**
+ * Creates a value input XML element and appends it to the parent block.
+ * @param {string} name Name of the input.
+ * @param {!Element} parent Block element to append the value to.
+ * @return {!Element} The new value element.
+ * @private
+ */
+FactoryUtils.createValueXml_ = function(name, parent) {
+  const value = goog.dom.createDom('value');
+  value.setAttribute('name', name);
+  parent.appendChild(value);
+  return value;
+};
+
+/**
+ * Inject code into a pre tag, with syntax highlighting.
+ * Safe from HTML/script injection.
+ * @param {string} code Lines of code.
+ * @param {string} id ID of <pre> element to inject into.
+ */
+FactoryUtils.injectCode = function(code, id) {
+  var pre = document.getElementById(id);
+  pre.textContent = code;
+  code = pre.textContent;
+  code = PR.prettyPrintOne(code, 'js');
+  pre.innerHTML = code;
+};
 
 /**
  * Returns whether or not two blocks are the same based on their XML. Expects
@@ -1033,7 +2712,7 @@ FactoryUtils.concatenateXmlString = function(xmlString) {
         }
         newline = true;
       } else {
-        totalString += cursor;
+        totalString += FactoryUtils.addEscape(cursor);
       }
     } else {
       // If cursor is on a char that is between xml tags.
@@ -1068,6 +2747,111 @@ FactoryUtils.addEscape = function(string) {
   return string;
 };
 
+/**
+ * Escapes the characters of a string which are special in HTML, so that it can
+ * be written into the text or attribute values of a generated HTML file.
+ *
+ * @param {string} string String to escape.
+ * @return {string} The escaped string.
+ */
+FactoryUtils.escapeHtml = function(string) {
+  const entities = {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;',
+      '\'': '&#39;'};
+  return string.replace(/[&<>"']/g, (character) => entities[character]);
+};
+
+/**
+ * Returns a JavaScript string literal of a string, which can be written into
+ * an inline script of a generated HTML file without ending the script.
+ *
+ * @param {string} string String to quote.
+ * @return {string} The double-quoted string literal.
+ */
+FactoryUtils.toScriptString = function(string) {
+  return JSON.stringify(string).replace(/<\//g, '<\\/');
+};
+
+/**
+ * Extracts the XML string assigned within the marked assignment of a JS file
+ * generated by generateXmlAsJsFile(). Reverses the string concatenation
+ * produced by concatenateXmlString().
+ *
+ * @param {string} jsString Contents of a generated toolbox or workspace
+ *     contents JS file.
+ * @return {?string} The XML string, or null if the file does not contain a
+ *     marked assignment.
+ */
+FactoryUtils.extractXmlFromJsFile = function(jsString) {
+  const start = jsString.search(/\/\* BEGINNING \w+ ASSIGNMENT\./);
+  const end = jsString.search(/\/\* END \w+ ASSIGNMENT\./);
+  if (start < 0 || end < start) {
+    return null;
+  }
+  const assignment = jsString.substring(start, end);
+  const value = assignment.substring(assignment.indexOf('] =') + 3);
+
+  // Join each single-quoted string literal, removing its escapes.
+  const literalRegex = /'((?:[^'\\]|\\.)*)'/g;
+  let xmlString = '';
+  let match;
+  while ((match = literalRegex.exec(value))) {
+    xmlString += match[1].replace(/\\(.)/g, '$1');
+  }
+  return xmlString;
+};
+
+/**
+ * Extracts the name of the resource whose XML is assigned within the marked
+ * assignment of a JS file generated by generateXmlAsJsFile().
+ *
+ * @param {string} jsString Contents of a generated toolbox or workspace
+ *     contents JS file.
+ * @return {?string} The resource name, or null if the file does not contain
+ *     a marked assignment.
+ */
+FactoryUtils.extractResourceNameFromJsFile = function(jsString) {
+  const start = jsString.search(/\/\* BEGINNING \w+ ASSIGNMENT\./);
+  if (start < 0) {
+    return null;
+  }
+  const match = jsString.substring(start).match(
+      /\w+\['((?:[^'\\]|\\.)*)'\]\s*=/);
+  return match ? match[1].replace(/\\(.)/g, '$1') : null;
+};
+
+/**
+ * Removes blocks whose types are not defined in Blockly from the given XML, as
+ * they cannot be loaded into a workspace. The whole top-level block containing
+ * an undefined block is removed.
+ *
+ * @param {!Element} xml Toolbox or workspace XML.
+ * @return {!Array.<string>} The undefined block types which were removed.
+ */
+FactoryUtils.removeUndefinedBlocks = function(xml) {
+  const blockTags = ['block', 'shadow', 'value', 'statement', 'next'];
+  const undefinedTypes = [];
+  const blocks = Array.from(xml.getElementsByTagName('block')).concat(
+      Array.from(xml.getElementsByTagName('shadow')));
+  for (let block of blocks) {
+    const type = block.getAttribute('type');
+    if (Blockly.Blocks[type]) {
+      continue;
+    }
+    if (undefinedTypes.indexOf(type) == -1) {
+      undefinedTypes.push(type);
+    }
+    let topBlock = block;
+    while (topBlock.parentNode && topBlock.parentNode.tagName &&
+        blockTags.indexOf(topBlock.parentNode.tagName.toLowerCase()) != -1) {
+      topBlock = topBlock.parentNode;
+    }
+    if (topBlock.parentNode) {
+      topBlock.parentNode.removeChild(topBlock);
+    }
+  }
+  return undefinedTypes;
+};
+
 /**
  * Given the name of a category, determines whether it is the name of a standard
  * category (case insensitive).
@@ -1159,6 +2943,23 @@ FactoryUtils.isValidHex = function(hex) {
   return FactoryUtils.shortHexFormat.test(hex) || FactoryUtils.longHexFormat.test(hex);
 };
 
+/**
+ * Accepted format of the ID of a div to inject a workspace into, as RegEx.
+ * @type {!RegExp}
+ */
+FactoryUtils.divIdFormat = /^[A-Za-z][\w-]*$/;
+
+/**
+ * Checks whether a given ID of a div to inject a workspace into can be used in
+ * a generated application: it starts with a letter, and has only letters,
+ * digits, underscores and hyphens.
+ * @param {string} div ID of the div.
+ * @return {boolean} Whether given string is a valid div ID.
+ */
+FactoryUtils.isValidDivId = function(div) {
+  return FactoryUtils.divIdFormat.test(div);
+};
+
 /**
  * Used to bind a click to a certain DOM element (used for category tabs).
  * Taken directly from code.js
@@ -1267,7 +3068,7 @@ FactoryUtils.buildBlockEditorStarterXml = function(
     </block>
   </value>
 </block>
-</xml>`
+</xml>`;
 
   return customXmlStarter;
 };
@@ -1346,6 +3147,229 @@ FactoryUtils.isStandardBlock = function(blockType) {
   return StandardCategories.coreBlockTypes.indexOf(blockType) != -1;
 };
 
+/**
+ * Generates the contents of a TypeScript declaration (.d.ts) file for the
+ * blocks of a block library, so that generator code written in TypeScript
+ * gets compile-time checks on the names of the fields and inputs it uses.
+ * For each block, declares its fields with the types of their values, its
+ * inputs with the connection types they accept, and a block interface whose
+ * getFieldValue, getField, getInput and getInputTargetBlock only accept those
+ * names. The Blocks interface maps each block type to its block interface.
+ * @param {string} libraryName Name of the block library.
+ * @param {!Array.<!Object>} blockJsons JSON definitions of the blocks of the
+ *     library.
+ * @return {string} Contents of the declaration file.
+ */
+FactoryUtils.generateTypeDeclarations = function(libraryName, blockJsons) {
+  const declarations = [];
+  const blockEntries = [];
+  const usedNames = Object.create(null);
+  for (let blockJson of blockJsons) {
+    let name = FactoryUtils.getTypeDeclarationName_(blockJson.type);
+    while (usedNames[name]) {
+      name += '_';
+    }
+    usedNames[name] = true;
+
+    const fields = [];
+    const inputs = [];
+    for (let key in blockJson) {
+      if (!/^args\d+$/.test(key) || !Array.isArray(blockJson[key])) {
+        continue;
+      }
+      for (let arg of blockJson[key]) {
+        if (!arg || !arg.name) {
+          continue;
+        }
+        const argName = JSON.stringify(arg.name);
+        if (/^input_/.test(arg.type)) {
+          const kind = JSON.stringify(arg.type.substring('input_'.length));
+          inputs.push(`  ${argName}: {kind: ${kind}; ` +
+              `check: ${FactoryUtils.getCheckDeclaration_(arg.check)}};`);
+        } else {
+          fields.push(`  ${argName}: ` +
+              `${FactoryUtils.getFieldValueDeclaration_(arg)};`);
+        }
+      }
+    }
+    const type = JSON.stringify(blockJson.type);
+    declarations.push(`/** Value types of the fields of the ${type} block. */
+export interface ${name}Fields {
+${fields.map((line) => line + '\n').join('')}}
+
+/**
+ * Kinds of the inputs of the ${type} block, and the connection types they
+ * accept. A check of null accepts any type.
+ */
+export interface ${name}Inputs {
+${inputs.map((line) => line + '\n').join('')}}
+
+/** The ${type} block, as passed to its generator. */
+export interface ${name}Block {
+  type: ${type};
+  getFieldValue<K extends keyof ${name}Fields>(name: K): ${name}Fields[K];
+  getField(name: keyof ${name}Fields): any;
+  getInput(name: keyof ${name}Inputs): any;
+  getInputTargetBlock(name: keyof ${name}Inputs): any;
+}`);
+    blockEntries.push(`  ${type}: ${name}Block;`);
+  }
+
+  return `/**
+ * @fileoverview TypeScript declarations for the blocks of the ${libraryName}
+ * block library. Generated by Blockly DevTools; do not edit.
+ */
+
+${declarations.join('\n\n')}
+
+/** Block interfaces of the library, by block type. */
+export interface Blocks {
+${blockEntries.join('\n')}
+}
+
+/** Block types of the library. */
+export type BlockType = keyof Blocks;
+`;
+};
+
+/**
+ * Returns the name of the declarations of a block type: the block type in
+ * PascalCase, without characters which are not allowed in identifiers.
+ * @param {string} blockType The block type, e.g. 'set_item'.
+ * @return {string} The name, e.g. 'SetItem'.
+ * @private
+ */
+FactoryUtils.getTypeDeclarationName_ = function(blockType) {
+  const name = String(blockType).split(/[^A-Za-z0-9]+/).map(
+      (word) => word.charAt(0).toUpperCase() + word.substring(1)).join('');
+  return /^[A-Za-z]/.test(name) ? name : 'Block' + name;
+};
+
+/**
+ * Returns the TypeScript type of the value of a field.
+ * @param {!Object} arg JSON definition of the field.
+ * @return {string} The TypeScript type.
+ * @private
+ */
+FactoryUtils.getFieldValueDeclaration_ = function(arg) {
+  switch (arg.type) {
+    case 'field_number':
+    case 'field_angle':
+      return 'number';
+    case 'field_checkbox':
+      return '"TRUE" | "FALSE"';
+    case 'field_dropdown':
+      if (Array.isArray(arg.options) && arg.options.length) {
+        return arg.options.map(
+            (option) => JSON.stringify(String(option[1]))).join(' | ');
+      }
+      return 'string';
+    case 'field_input':
+    case 'field_variable':
+    case 'field_colour':
+    case 'field_date':
+    case 'field_label_serializable':
+    case 'field_multilinetext':
+      return 'string';
+    default:
+      return 'any';
+  }
+};
+
+/**
+ * Returns the TypeScript type of the connection types an input accepts.
+ * @param {?string|!Array.<string>|undefined} check The check of the input.
+ * @return {string} A union of the accepted types as string literal types, or
+ *     'null' if the input accepts any type.
+ * @private
+ */
+FactoryUtils.getCheckDeclaration_ = function(check) {
+  if (check === null || check === undefined) {
+    return 'null';
+  }
+  const types = Array.isArray(check) ? check : [check];
+  if (!types.length) {
+    return 'never';
+  }
+  return types.map((type) => JSON.stringify(String(type))).join(' | ');
+};
+
+/**
+ * Replaces the text of a block definition which users read with references to
+ * messages, so that the block can be translated: each message (message0,
+ * message1, ...) which has text besides its arguments, the tooltip, and the
+ * text options of dropdowns. Blockly looks up a reference such as
+ * '%{BKY_SET_ITEM_MESSAGE0}' in Blockly.Msg['SET_ITEM_MESSAGE0'] when the
+ * block is created.
+ * @param {!Object} blockJson Block definition JSON. Not modified.
+ * @param {!Object<string, string>} messages Map to add the key and text of
+ *     each message to.
+ * @return {!Object} Copy of the definition which refers to the messages.
+ */
+FactoryUtils.localizeBlockJson = function(blockJson, messages) {
+  const json = JSON.parse(JSON.stringify(blockJson));
+  const localize = (text, keyParts) => {
+    const key = FactoryUtils.getMessageKey_([json.type].concat(keyParts));
+    messages[key] = text;
+    return '%{BKY_' + key + '}';
+  };
+  for (let n = 0; json['message' + n] !== undefined; n++) {
+    const message = String(json['message' + n]);
+    if (message.replace(/%(\d+|%)/g, '').trim()) {
+      json['message' + n] = localize(message, ['MESSAGE' + n]);
+    }
+    for (let arg of json['args' + n] || []) {
+      if (!arg || arg.type != 'field_dropdown' || !Array.isArray(arg.options)) {
+        continue;
+      }
+      for (let option of arg.options) {
+        // Image options are left as they are.
+        if (typeof option[0] == 'string') {
+          option[0] = localize(option[0], [arg.name, option[1]]);
+        }
+      }
+    }
+  }
+  if (json.tooltip) {
+    json.tooltip = localize(json.tooltip, ['TOOLTIP']);
+  }
+  return json;
+};
+
+/**
+ * Returns the key of a message of a block.
+ * @param {!Array.<string>} parts Block type, followed by the parts which
+ *     identify the message within the block, e.g. ['set_item', 'TOOLTIP'].
+ * @return {string} Key of the message, e.g. 'SET_ITEM_TOOLTIP'.
+ * @private
+ */
+FactoryUtils.getMessageKey_ = function(parts) {
+  return parts.join('_').toUpperCase().replace(/[^A-Z0-9_]/g, '_');
+};
+
+/**
+ * Generates a message file for a locale, which sets the messages of blocks
+ * whose definitions were localized with FactoryUtils.localizeBlockJson. It
+ * has the format of Blockly's own message files, such as msg/js/en.js, and
+ * must be loaded before the blocks are created.
+ * @param {string} locale The locale, e.g. 'en'.
+ * @param {!Object<string, string>} messages Map of message keys to the text
+ *     of the messages in the locale.
+ * @return {string} Contents of the message file.
+ */
+FactoryUtils.generateMessagesFile = function(locale, messages) {
+  const lines = Object.keys(messages).sort().map((key) =>
+      'Blockly.Msg[' + JSON.stringify(key) + '] = ' +
+      JSON.stringify(messages[key]) + ';');
+  return `/**
+ * @fileoverview Messages of the blocks in the ${locale} locale. Generated by
+ * Blockly DevTools; do not edit.
+ */
+
+${lines.join('\n')}
+`;
+};
+
 /**
  * Generates JavaScript file contents for given resource object for user to
  * download. Used for Toolbox and WorkspaceContents, both of which save blocks
@@ -1374,6 +3398,266 @@ ${xmlStorageVariable}['${resource.name}'] =
   return jsFromXml;
 };
 
+/**
+ * Creates a string representation of the options, for use in making the string
+ * used to inject the workspace.
+ * @param {!Object} obj Object representing the options selected in the current
+ *     configuration.
+ * @param {string} indent String representation of an indent.
+ * @return {string} String representation of the workspace configuration's
+ *     options.
+ * @recursive
+ * @private
+ */
+FactoryUtils.stringifyOptions_ = function(obj, indent) {
+  // From wfactory_generator.js:addAttributes_(obj, tabChar)
+  if (!obj) {
+    return '{}\n';
+  }
+  var str = '';
+  for (var key in obj) {
+    if (key == 'grid' || key == 'zoom') {
+      var temp = indent + key + ' : {\n' +
+          FactoryUtils.stringifyOptions_(obj[key], indent + '\t') +
+          indent + '}, \n';
+    } else if (typeof obj[key] == 'string') {
+      var temp = indent + key + ' : \'' + obj[key] + '\', \n';
+    } else {
+      var temp = indent + key + ' : ' + obj[key] + ', \n';
+    }
+    str += temp;
+  }
+  var lastCommaIndex = str.lastIndexOf(',');
+  str = str.slice(0, lastCommaIndex) + '\n';
+  return str;
+};
+
+/**
+ * Parses the options of a workspace configuration from the string assigned to
+ * BLOCKLY_OPTIONS in its JS file. Reads the JSON written by DevTools, as well
+ * as the object literal written by FactoryUtils.stringifyOptions_() in earlier
+ * versions, which has unquoted keys and single-quoted strings, and at the top
+ * level no braces. The string is not run. The toolbox option, which referred
+ * to a toolbox to fill in, is left out, and an unlimited maxBlocks is read as
+ * null, as Infinity is not valid JSON.
+ * @param {string} string The options.
+ * @return {!Object} The options object.
+ * @throws {Error} If the string is not in either format.
+ */
+FactoryUtils.parseOptionsString = function(string) {
+  try {
+    return JSON.parse(string);
+  } catch (e) {
+    // Not JSON, so expect the object literal of earlier versions.
+  }
+  const source = FactoryUtils.blankComments_(string);
+  let pos = 0;
+  const fail = function(expected) {
+    throw new Error('Expected ' + expected + ' in workspace configuration ' +
+        'options at position ' + pos + '.');
+  };
+  const skipSpace = function() {
+    while (pos < source.length && /\s/.test(source[pos])) {
+      pos++;
+    }
+  };
+  // Parses the entries of an object; assigned below.
+  let parseEntries;
+  const parseValue = function() {
+    if (source[pos] == '{') {
+      pos++;
+      const value = parseEntries('}');
+      pos++;
+      return value;
+    }
+    if (source[pos] == '\'' || source[pos] == '"') {
+      const end = FactoryUtils.findStringEnd_(source, pos);
+      const literal = source.substring(pos, end + 1);
+      pos = end + 1;
+      // Earlier versions wrote strings without escaping them.
+      return literal[0] == '"' ? JSON.parse(literal) :
+          literal.substring(1, literal.length - 1);
+    }
+    const token = /^[^,{}]*/.exec(source.substring(pos))[0];
+    pos += token.length;
+    const literals = {'true': true, 'false': false, 'null': null,
+        'Infinity': null};
+    const text = token.trim();
+    if (text in literals) {
+      return literals[text];
+    }
+    if (text && !isNaN(text)) {
+      return Number(text);
+    }
+    return undefined;
+  };
+  // Parses the entries of an object up to the closing character, or to the
+  // end of the string if it is empty.
+  parseEntries = function(closing) {
+    const options = {};
+    skipSpace();
+    while (pos < source.length && source[pos] != closing) {
+      const key = /^(?:[A-Za-z_$][\w$]*|"(?:[^"\\]|\\.)*")/.exec(
+          source.substring(pos));
+      if (!key) {
+        fail('an option name');
+      }
+      pos += key[0].length;
+      skipSpace();
+      if (source[pos] != ':') {
+        fail('":"');
+      }
+      pos++;
+      skipSpace();
+      const name = key[0][0] == '"' ? JSON.parse(key[0]) : key[0];
+      const value = parseValue();
+      if (value === undefined && name != 'toolbox') {
+        fail('the value of ' + name);
+      }
+      if (name != 'toolbox') {
+        options[name] = value;
+      }
+      skipSpace();
+      if (source[pos] == ',') {
+        pos++;
+        skipSpace();
+      } else if (pos < source.length && source[pos] != closing) {
+        fail('","');
+      }
+    }
+    if (closing && source[pos] != closing) {
+      fail('"' + closing + '"');
+    }
+    return options;
+  };
+
+  skipSpace();
+  let options;
+  if (source[pos] == '{') {
+    pos++;
+    options = parseEntries('}');
+    pos++;
+  } else {
+    options = parseEntries('');
+  }
+  skipSpace();
+  if (pos < source.length) {
+    fail('the end of the options');
+  }
+  return options;
+};
+
+/**
+ * Generates JavaScript string representation of the inject file for a user's
+ * sample Blockly app.
+ * @param {!WorkspaceConfiguration} workspaceConfig The workspace configuration
+ *     which will contains the options for the inject call.
+ * @param {Object=} opt_custom Object which contains custom names for a given
+ *     Blockly application. May contain a field such as toolboxName, for the
+ *     name of the toolbox to render.
+ * @return {string} String representation of starter code for injecting.
+ */
+FactoryUtils.generateInjectFile = function(workspaceConfig, opt_custom) {
+  // From wfactory_generator.js
+  const target = FactoryUtils.getInjectTarget_(workspaceConfig, opt_custom);
+
+  // Initializing toolbox
+  let finalStr = `
+var BLOCKLY_OPTIONS = {
+  ${target.attributes}
+};
+
+window.onload = function() {
+  /* Inject your workspace */
+  /* TODO: Add or edit ID of div to inject Blockly into. */
+  var workspace = Blockly.inject(${target.div}, BLOCKLY_OPTIONS);
+  ${target.workspaceScript}
+};
+`;
+  return finalStr;
+};
+
+/**
+ * Generates JavaScript string representation of the inject file for a user's
+ * sample Blockly app with several workspaces, such as a main editor and a
+ * read-only reference. Each workspace is injected into its own div, and is
+ * stored by the ID of its div in BLOCKLY_WORKSPACES once the page has loaded.
+ * @param {!Array.<!Object>} targets The injection targets. Each has a
+ *     workspaceConfig field holding the WorkspaceConfiguration to inject with,
+ *     and div, toolboxName and workspaceName fields as for the opt_custom
+ *     parameter of generateInjectFile.
+ * @return {string} String representation of starter code for injecting.
+ */
+FactoryUtils.generateMultiInjectFile = function(targets) {
+  let optionsStr = '';
+  let injectStr = '';
+  for (let target of targets) {
+    const injectTarget = FactoryUtils.getInjectTarget_(target.workspaceConfig,
+        target);
+    optionsStr += `
+BLOCKLY_OPTIONS[${injectTarget.div}] = {
+  ${injectTarget.attributes}
+};
+`;
+    injectStr += `
+  workspace = Blockly.inject(${injectTarget.div},
+      BLOCKLY_OPTIONS[${injectTarget.div}]);
+  ${injectTarget.workspaceScript}
+  BLOCKLY_WORKSPACES[${injectTarget.div}] = workspace;
+`;
+  }
+
+  return `
+var BLOCKLY_OPTIONS = Object.create(null);
+${optionsStr}
+/* Injected workspaces, by the ID of the div they are injected into. */
+var BLOCKLY_WORKSPACES = Object.create(null);
+
+window.onload = function() {
+  /* Inject your workspaces */
+  var workspace;
+${injectStr}};
+`;
+};
+
+/**
+ * Returns the parts of the inject code for one workspace of a sample Blockly
+ * app.
+ * @param {!WorkspaceConfiguration} workspaceConfig The workspace configuration
+ *     which contains the options for the inject call.
+ * @param {Object=} opt_custom Custom names for the workspace, as for
+ *     generateInjectFile.
+ * @return {{div: string, attributes: string, workspaceScript: string}} The
+ *     quoted ID of the div to inject into, the injection options, and code
+ *     loading the workspace contents into the injected workspace.
+ * @private
+ */
+FactoryUtils.getInjectTarget_ = function(workspaceConfig, opt_custom) {
+  let div = 'null';
+  let toolboxName = '/* TODO: Insert name of toolbox to display here */';
+  if (opt_custom) {
+    div = opt_custom['div'] ? FactoryUtils.toScriptString(opt_custom['div']) :
+        div;
+    toolboxName = opt_custom['toolboxName'] ?
+        FactoryUtils.toScriptString(opt_custom['toolboxName']) : toolboxName;
+  }
+  let workspaceScript = '\n';
+  if (opt_custom && opt_custom['workspaceName']) {
+    const workspaceName =
+        FactoryUtils.toScriptString(opt_custom['workspaceName']);
+    workspaceScript = `var workspaceContents = Blockly.Xml.textToDom(BLOCKLY_WORKSPACE_XML[${workspaceName}]);
+  Blockly.Xml.domToWorkspace(workspaceContents, workspace);`;
+  }
+
+  delete workspaceConfig.options['toolbox'];
+  let attributes = FactoryUtils.stringifyOptions_(workspaceConfig.options, '\t');
+  if (!workspaceConfig.options['readOnly']) {
+    attributes = 'toolbox : BLOCKLY_TOOLBOX_XML[' + toolboxName +
+      '], \n' + attributes;
+  }
+  return {div: div, attributes: attributes, workspaceScript: workspaceScript};
+};
+
 /**
  * Given a file name and platform, makes sure that the given file name is safe
  * to download given the platform. Different platform have different file name
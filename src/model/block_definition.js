@@ -49,20 +49,45 @@ class BlockDefinition extends Resource {
      * @type {string}
      */
     this.json = opt_json || this.createStarterJson();
+
+    /**
+     * Map of generator language to the user-written generator code of the
+     * block in that language.
+     * @type {!Object<string, string>}
+     */
+    this.generators = Object.create(null);
   }
 
   /**
    * Defines block by adding it to the Blockly.Blocks map. Previous entry in
    * Blockly.Blocks map is overwritten if the block has already been defined before.
+   * Also registers the mutator of the block, if it has one. Extensions which
+   * are not registered are not applied.
+   * @param {boolean=} opt_localize Whether the text of the block is taken from
+   *     Blockly.Msg, as in exported definitions of projects which localize
+   *     blocks.
    * @throws If BlockDefinition object is unnamed.
    */
-  define() {
+  define(opt_localize) {
     if (!this.name) {
       throw 'Block definition does not have a valid name. Cannot be added to ' +
           'Blockly.Blocks map.';
       return;
     }
-    const json = JSON.parse(this.json);
+    let json = JSON.parse(this.json);
+    if (opt_localize) {
+      json = FactoryUtils.localizeBlockJson(json, Object.create(null));
+    }
+    if (json.extensions) {
+      // Applying an extension which is not registered throws, so leave out
+      // the ones which are unknown, e.g. while their name is being typed.
+      json.extensions = json.extensions.filter(
+          (name) => Blockly.Extensions.ALL_[name]);
+    }
+    const mutator = FactoryUtils.getMutatorFromXml(this.xml);
+    if (mutator) {
+      FactoryUtils.defineMutator(mutator);
+    }
     Blockly.Blocks[this.name] = {
       init: function() {
         this.jsonInit(json);
@@ -125,6 +150,41 @@ class BlockDefinition extends Resource {
     return this.json;
   }
 
+  /**
+   * Returns the code which registers the mutator of the block, which must run
+   * before the block is created from its JSON.
+   * @return {?string} The code, or null if the block has no mutator.
+   */
+  getMutatorCode() {
+    const mutator = FactoryUtils.getMutatorFromXml(this.xml);
+    return mutator ? FactoryUtils.getMutatorCode(mutator) : null;
+  }
+
+  /**
+   * Returns the user-written generator code of the block in a language.
+   * @param {string} language The generator language, a key of
+   *     FactoryUtils.GENERATOR_SYNTAX.
+   * @return {?string} The generator code, or null if none has been written.
+   */
+  getGeneratorCode(language) {
+    return this.generators[language] || null;
+  }
+
+  /**
+   * Sets the user-written generator code of the block in a language.
+   * @param {string} language The generator language, a key of
+   *     FactoryUtils.GENERATOR_SYNTAX.
+   * @param {?string} code The generator code. Removes the generator code of
+   *     the language if null or empty.
+   */
+  setGeneratorCode(language, code) {
+    if (code) {
+      this.generators[language] = code;
+    } else {
+      delete this.generators[language];
+    }
+  }
+
   /**
    * Saves XML of block editor blocks. Used for loading editing blocks when
    * switching blocks in the block editor.
@@ -116,7 +116,7 @@ class BlockLibrary extends Resource {
    */
   getBlockArrayJson() {
     let blockArrayJson = [];
-    for (let blockType in this.getBlockTypes()) {
+    for (let blockType of this.getBlockTypes()) {
       blockArrayJson.push(JSON.parse(this.blocks[blockType].json));
     }
     return blockArrayJson;
@@ -169,4 +169,19 @@ class BlockLibrary extends Resource {
   has(blockType) {
     return this.blocks[blockType] ? true : false;
   }
+
+  /**
+   * Gets the navigation tree-specific JSON object which represents the library
+   * and the blocks within it.
+   * @return {!Object} The tree-specific JSON representation of the library.
+   */
+  // TODO(#219): Move this code to NavigationTree and remove this method.
+  getNavTreeJson() {
+    const libraryJson = super.getNavTreeJson();
+    libraryJson['children'] = [];
+    for (let block of this.getAllBlockDefinitions()) {
+      libraryJson['children'].push(block.getNavTreeJson());
+    }
+    return libraryJson;
+  }
 }
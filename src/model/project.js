@@ -23,6 +23,7 @@
 goog.provide('Project');
 
 goog.require('BlockLibrarySet');
+goog.require('FactoryUtils');
 goog.require('Resource');
 goog.require('ToolboxSet');
 goog.require('WorkspaceContentsSet');
@@ -66,6 +67,170 @@ class Project extends Resource {
      * @type {!WorkspaceConfigurationSet}
      */
     this.workspaceConfigSet = new WorkspaceConfigurationSet('Configs', this.name);
+    /**
+     * The language that generator stubs are written for. A key of
+     * FactoryUtils.GENERATOR_SYNTAX.
+     * @type {string}
+     */
+    this.generatorLanguage = 'JavaScript';
+
+    /**
+     * Whether TypeScript declarations of the blocks of each library are
+     * written next to its JS file.
+     * @type {boolean}
+     */
+    this.typeDeclarations = false;
+
+    /**
+     * Map of the name of each extension defined in the project to the
+     * JavaScript source of its function, or of the object literal of a mixin.
+     * @type {!Object<string, string>}
+     */
+    this.extensions = Object.create(null);
+
+    /**
+     * Whether the text of blocks is exported as references to messages, with
+     * a message file for each locale, so that blocks can be translated.
+     * @type {boolean}
+     */
+    this.localizeBlocks = false;
+
+    /**
+     * Locale of the text in the block definitions of the project.
+     * @type {string}
+     */
+    this.defaultLocale = 'en';
+
+    /**
+     * Map of each other locale to its message table, which maps the key of
+     * each translated message to its text in the locale.
+     * @type {!Object<string, !Object<string, string>>}
+     */
+    this.translations = Object.create(null);
+
+    /**
+     * Map of each custom field type defined in the project, e.g.
+     * 'field_slider', to the default values of its JSON parameters and the
+     * JavaScript source of its field class.
+     * @type {!Object<string, {params: !Object, code: string}>}
+     */
+    this.fieldTypes = Object.create(null);
+  }
+
+  /**
+   * Returns the locales of the project.
+   * @return {!Array.<string>} The default locale, followed by the other
+   *     locales in alphabetical order.
+   */
+  getLocales() {
+    return [this.defaultLocale].concat(Object.keys(this.translations)
+        .filter((locale) => locale != this.defaultLocale).sort());
+  }
+
+  /**
+   * Returns the messages of the blocks of the project in a locale. Messages
+   * which have not been translated into the locale have the text of the
+   * default locale.
+   * @param {string} locale The locale.
+   * @return {!Object<string, string>} Map of the key of each message to its
+   *     text.
+   */
+  getMessages(locale) {
+    const messages = Object.create(null);
+    const blockDefs = this.getAllBlockDefinitionsMap();
+    for (let blockType in blockDefs) {
+      FactoryUtils.localizeBlockJson(JSON.parse(blockDefs[blockType].json),
+          messages);
+    }
+    const translations = locale == this.defaultLocale ?
+        null : this.translations[locale];
+    for (let key in translations) {
+      if (key in messages && translations[key]) {
+        messages[key] = translations[key];
+      }
+    }
+    return messages;
+  }
+
+  /**
+   * Returns the JSON definition of a block as it is exported: with references
+   * to messages instead of text if the project localizes blocks.
+   * @param {!BlockDefinition} blockDef The block.
+   * @return {string} The JSON definition.
+   */
+  getExportedBlockJson(blockDef) {
+    if (!this.localizeBlocks) {
+      return blockDef.json;
+    }
+    const json = FactoryUtils.localizeBlockJson(JSON.parse(blockDef.json),
+        Object.create(null));
+    return JSON.stringify(json, null, '  ');
+  }
+
+  /**
+   * Registers the extensions defined in the project with Blockly, so that the
+   * blocks which apply them can be created.
+   * @throws {Error} If the code of an extension is not valid.
+   */
+  defineExtensions() {
+    for (let name in this.extensions) {
+      FactoryUtils.defineExtension(name, this.extensions[name]);
+    }
+  }
+
+  /**
+   * Registers the custom field types defined in the project in place of any
+   * registered before, so that the blocks which have fields of these types
+   * can be created.
+   * @throws {Error} If the code of a field type is not valid.
+   */
+  defineFieldTypes() {
+    for (let type of FactoryUtils.getFieldTypeNames()) {
+      FactoryUtils.undefineFieldType(type);
+    }
+    for (let type in this.fieldTypes) {
+      const fieldType = this.fieldTypes[type];
+      FactoryUtils.defineFieldType(type, fieldType.params, fieldType.code);
+    }
+  }
+
+  /**
+   * Returns the code which registers the extensions that the given blocks
+   * need: the custom field types defined in the project which they use, the
+   * extensions defined in the project which they apply, and their mutators.
+   * It must run before the blocks are created.
+   * @param {!Array.<!BlockDefinition>} blockDefs The blocks.
+   * @return {string} The code, or an empty string if the blocks need no
+   *     extension.
+   */
+  getExtensionCode(blockDefs) {
+    const types = [];
+    const names = [];
+    for (let blockDef of blockDefs) {
+      const json = JSON.parse(blockDef.json);
+      for (let type of FactoryUtils.getFieldTypes(json)) {
+        if (this.fieldTypes[type] && types.indexOf(type) == -1) {
+          types.push(type);
+        }
+      }
+      for (let name of json.extensions || []) {
+        if (this.extensions[name] !== undefined && names.indexOf(name) == -1) {
+          names.push(name);
+        }
+      }
+    }
+    const code = types.map((type) =>
+        FactoryUtils.getFieldTypeCode(type, this.fieldTypes[type].code));
+    for (let name of names) {
+      code.push(FactoryUtils.getExtensionCode(name, this.extensions[name]));
+    }
+    for (let blockDef of blockDefs) {
+      const mutatorCode = blockDef.getMutatorCode();
+      if (mutatorCode) {
+        code.push(mutatorCode);
+      }
+    }
+    return code.join('\n\n');
   }
 
   /**
@@ -310,5 +475,21 @@ class Project extends Resource {
     delete obj.web;
     obj.resources = this.getFullResourceList();
     obj.platform = 'web';
+    obj.generatorLanguage = this.generatorLanguage;
+    obj.typeDeclarations = this.typeDeclarations;
+    obj.extensions = Object.assign({}, this.extensions);
+    obj.localizeBlocks = this.localizeBlocks;
+    obj.defaultLocale = this.defaultLocale;
+    obj.translations = {};
+    for (let locale in this.translations) {
+      obj.translations[locale] = Object.assign({}, this.translations[locale]);
+    }
+    obj.fieldTypes = {};
+    for (let type in this.fieldTypes) {
+      obj.fieldTypes[type] = {
+        params: Object.assign({}, this.fieldTypes[type].params),
+        code: this.fieldTypes[type].code
+      };
+    }
   }
 }
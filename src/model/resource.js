@@ -85,6 +85,8 @@ class Resource {
   // TODO(#219): Move this code to NavigationTree and remove this method.
   getNavTreeJson() {
     const resourceJson = {
+      'id': this.resourceType + '_' + this.name,
+      'type': this.resourceType,
       'text': this.name,
     };
     return resourceJson;
@@ -435,6 +435,57 @@ class Toolbox extends Resource {
     return this.hasProcedureCategory;
   }
 
+  /**
+   * Rebuilds the toolbox from toolbox XML, creating a ListElement for each
+   * category and separator. If the XML contains no categories, its blocks are
+   * stored in the single flyout.
+   * @param {!Element} xml XML of the toolbox to load.
+   */
+  loadFromXml(xml) {
+    this.clear();
+    this.setXml(xml);
+    for (let i = 0, child; child = xml.childNodes[i]; i++) {
+      if (!child.tagName) {
+        continue;
+      }
+      const tagName = child.tagName.toLowerCase();
+      if (tagName == 'category') {
+        const category = new ListElement(ListElement.TYPE_CATEGORY,
+            child.getAttribute('name'));
+        category.color = child.getAttribute('colour');
+        category.xml = this.getBlocksXml_(child);
+        this.addElement(category);
+        this.addCustomTag(category, child.getAttribute('custom'));
+      } else if (tagName == 'sep') {
+        this.addElement(new ListElement(ListElement.TYPE_SEPARATOR));
+      }
+    }
+
+    if (this.categoryList.length) {
+      this.selected = this.categoryList[0];
+    } else {
+      this.flyout.xml = this.getBlocksXml_(xml);
+    }
+  }
+
+  /**
+   * Copies the blocks that are direct children of the given element into a new
+   * XML element, in the form that ListElement stores them.
+   * @param {!Element} parent Toolbox or category element containing blocks.
+   * @return {!Element} XML element containing copies of the blocks.
+   * @private
+   */
+  getBlocksXml_(parent) {
+    const xml = Blockly.Xml.textToDom('<xml></xml>');
+    for (let i = 0, child; child = parent.childNodes[i]; i++) {
+      if (child.tagName && (child.tagName.toLowerCase() == 'block' ||
+          child.tagName.toLowerCase() == 'shadow')) {
+        xml.appendChild(child.cloneNode(true));
+      }
+    }
+    return xml;
+  }
+
   /**
    * Clears the toolbox and creates single empty flyout category.
    */
@@ -0,0 +1,611 @@
+/**
+ * @license
+ * Blockly Demos: Block Factory
+ *
+ * Copyright 2017 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview ProjectBuilder writes the files needed to use the resources
+ * of a saved project in a web app, without opening the project in the editor.
+ * It backs the headless command-line build:
+ *
+ *   nw . --build <project> --out <directory> [--format web|esm]
+ *
+ * where <project> is either the metadata file of a saved project or a project
+ * bundle exported by Export Project. The web format writes scripts which
+ * define globals, for loading with script tags. The esm format writes an ES
+ * module package, for importing into apps which use a bundler.
+ */
+
+'use strict';
+
+goog.provide('ProjectBuilder');
+
+goog.require('FactoryUtils');
+goog.require('ProjectValidator');
+goog.require('ReadWriteController');
+
+/**
+ * @class ProjectBuilder generates the block definitions, generators, toolbox
+ * and workspace contents JS files, and inject file of a project.
+ */
+class ProjectBuilder {
+  /**
+   * ProjectBuilder Class.
+   * @param {!Project} project The project to build.
+   * @param {!Blockly.Workspace} hiddenWorkspace Headless workspace used to
+   *     create blocks when writing generator stubs.
+   * @constructor
+   */
+  constructor(project, hiddenWorkspace) {
+    /**
+     * The project to build.
+     * @type {!Project}
+     */
+    this.project = project;
+
+    /**
+     * Headless workspace used to create blocks when writing generator stubs.
+     * @type {!Blockly.Workspace}
+     */
+    this.hiddenWorkspace = hiddenWorkspace;
+  }
+
+  /**
+   * Writes the files of the project to a directory, which is created if it
+   * does not exist. For each block library, writes its block definitions and
+   * its generators in the project's generator language, and its TypeScript
+   * declarations if the project has them enabled. If the project localizes
+   * blocks, writes a message file for each locale. For each toolbox and
+   * workspace contents, writes its XML as a JS file. Writes an inject file
+   * using the first workspace configuration, toolbox and workspace contents.
+   * @param {string} outDir The directory to write the files to.
+   * @return {!Array.<string>} Paths of the files written.
+   */
+  build(outDir) {
+    return ProjectBuilder.writeFiles_(outDir, this.getBuildFiles());
+  }
+
+  /**
+   * Returns the files of the project, as written by build(). Characters of
+   * resource names which are not safe in file names are replaced, and
+   * resources whose names then give the same file names, ignoring case, get
+   * files numbered from 2.
+   * @return {!Object.<string, string>} Contents of the files, by file name.
+   */
+  getBuildFiles() {
+    const files = Object.create(null);
+    // File names in lower case, to find the names which collide.
+    const usedFilenames = Object.create(null);
+    const project = this.project;
+    for (let name of project.getBlockLibraryNames()) {
+      const library = project.getBlockLibrary(name);
+      const suffixes = ['.js', '_generators.js'];
+      if (project.typeDeclarations) {
+        suffixes.push('.d.ts');
+      }
+      const base = ProjectBuilder.getUniqueBaseName_(
+          PREFIXES.LIBRARY + '_' + ProjectBuilder.getModuleName_(name),
+          suffixes, usedFilenames);
+      files[base + '.js'] = this.getBlockDefinitionsFile(library);
+      files[base + '_generators.js'] = this.getGeneratorsFile(library);
+      if (project.typeDeclarations) {
+        files[base + '.d.ts'] = FactoryUtils.generateTypeDeclarations(name,
+            library.getBlockArrayJson());
+      }
+    }
+    if (project.localizeBlocks) {
+      Object.assign(files, this.getMessageFiles_());
+    }
+    for (let name of project.getToolboxNames()) {
+      const base = ProjectBuilder.getUniqueBaseName_(
+          PREFIXES.TOOLBOX + '_' + ProjectBuilder.getModuleName_(name),
+          ['.js'], usedFilenames);
+      files[base + '.js'] =
+          FactoryUtils.generateXmlAsJsFile(project.getToolbox(name), 'TOOLBOX');
+    }
+    for (let name of project.getWorkspaceContentsNames()) {
+      const base = ProjectBuilder.getUniqueBaseName_(
+          PREFIXES.WORKSPACE_CONTENTS + '_' +
+              ProjectBuilder.getModuleName_(name),
+          ['.js'], usedFilenames);
+      files[base + '.js'] =
+          FactoryUtils.generateXmlAsJsFile(project.getWorkspaceContents(name),
+              'WORKSPACE');
+    }
+    const injectFile = this.getInjectFile();
+    if (injectFile) {
+      files['inject.js'] = injectFile;
+    }
+    return files;
+  }
+
+  /**
+   * Writes a message file for each locale of the project to a directory,
+   * which is created if it does not exist.
+   * @param {string} outDir The directory to write the files to.
+   * @return {!Array.<string>} Paths of the files written.
+   */
+  buildMessages(outDir) {
+    return ProjectBuilder.writeFiles_(outDir, this.getMessageFiles_());
+  }
+
+  /**
+   * Returns the message file of each locale of the project, named
+   * messages_<locale>.js.
+   * @return {!Object.<string, string>} Contents of the files, by file name.
+   * @private
+   */
+  getMessageFiles_() {
+    const files = Object.create(null);
+    for (let locale of this.project.getLocales()) {
+      files['messages_' + locale + '.js'] = FactoryUtils.generateMessagesFile(
+          locale, this.project.getMessages(locale));
+    }
+    return files;
+  }
+
+  /**
+   * Writes the project as an ES module package to a directory, which is
+   * created if it does not exist. Writes a module for each block library,
+   * exporting its block definitions and generators, and modules exporting the
+   * XML of each toolbox and workspace contents and the options of each
+   * workspace configuration, and, if the project localizes blocks, modules
+   * exporting the messages of each locale. An index module exports all of
+   * them, and a package.json file describes the package.
+   * @param {string} outDir The directory to write the package to.
+   * @return {!Array.<string>} Paths of the files written.
+   */
+  buildPackage(outDir) {
+    return ProjectBuilder.writeFiles_(outDir, this.getPackageFiles());
+  }
+
+  /**
+   * Returns the files of the ES module package of the project, as written by
+   * buildPackage(). Resources whose names give the same module file name, as
+   * they only differ in characters which are replaced or in case, which some
+   * file systems ignore, get module files numbered from 2.
+   * @return {!Object.<string, string>} Contents of the files, by path relative
+   *     to the package directory.
+   */
+  getPackageFiles() {
+    const files = Object.create(null);
+    // Module file names in lower case, to find the names which collide.
+    const usedFilenames = Object.create(null);
+    const project = this.project;
+    const imports = [];
+    const exports = {
+      blockLibraries: [],
+      toolboxes: [],
+      workspaceContents: [],
+      workspaceConfigurations: [],
+      messages: []
+    };
+    // Adds a module to the package, which the index module imports and
+    // exports in the given group of resources.
+    const addModule = (group, dir, name, contents, importStatement) => {
+      const filename = ProjectBuilder.getUniqueBaseName_(
+          dir + '/' + ProjectBuilder.getModuleName_(name), ['.js'],
+          usedFilenames) + '.js';
+      const variable = group + '_' + exports[group].length;
+      files[filename] = contents;
+      imports.push(importStatement.replace('%1', variable)
+          .replace('%2', './' + filename));
+      exports[group].push(`  ${JSON.stringify(name)}: ${variable}`);
+    };
+
+    for (let name of project.getBlockLibraryNames()) {
+      addModule('blockLibraries', 'blocks', name,
+          this.getBlockLibraryModule(project.getBlockLibrary(name)),
+          'import * as %1 from \'%2\';');
+    }
+    for (let name of project.getToolboxNames()) {
+      addModule('toolboxes', 'toolboxes', name,
+          ProjectBuilder.getXmlModule_(project.getToolbox(name), 'toolbox'),
+          'import %1 from \'%2\';');
+    }
+    for (let name of project.getWorkspaceContentsNames()) {
+      addModule('workspaceContents', 'workspace_contents', name,
+          ProjectBuilder.getXmlModule_(project.getWorkspaceContents(name),
+              'workspace contents'),
+          'import %1 from \'%2\';');
+    }
+    for (let name of project.getWorkspaceConfigurationNames()) {
+      addModule('workspaceConfigurations', 'workspace_configurations', name,
+          ProjectBuilder.getOptionsModule_(
+              project.getWorkspaceConfiguration(name)),
+          'import %1 from \'%2\';');
+    }
+    if (project.localizeBlocks) {
+      for (let locale of project.getLocales()) {
+        addModule('messages', 'messages', locale,
+            ProjectBuilder.getMessagesModule_(locale,
+                project.getMessages(locale)),
+            'import %1 from \'%2\';');
+      }
+    }
+
+    const exportStatements = Object.keys(exports).map((group) =>
+        `export const ${group} = {\n${exports[group].join(',\n')}\n};`);
+    files['index.js'] = `/**
+ * @fileoverview Blockly resources of the ${project.name} project, written by
+ * Blockly DevTools.
+ */
+
+${imports.join('\n')}
+
+${exportStatements.join('\n\n')}
+
+/**
+ * Defines the blocks and ${project.generatorLanguage} generators of every block
+ * library of the project.
+ * @param {!Object} Blockly The Blockly module.
+ */
+export function defineAll(Blockly) {
+  for (const name in blockLibraries) {
+    blockLibraries[name].defineBlocks(Blockly);
+    blockLibraries[name].defineGenerators(Blockly);
+  }
+}
+`;
+    files['package.json'] = JSON.stringify({
+      name: ProjectBuilder.getPackageName(project.name),
+      version: '1.0.0',
+      description: 'Blockly resources of the ' + project.name + ' project.',
+      type: 'module',
+      main: 'index.js',
+      module: 'index.js',
+      sideEffects: false,
+      peerDependencies: {blockly: '*'}
+    }, null, 2) + '\n';
+    return files;
+  }
+
+  /**
+   * Returns the ES module of a block library, which exports the JSON
+   * definitions of its blocks, and functions which define its blocks and
+   * generators given the Blockly module. Blocks without user-written generator
+   * code get a generator stub.
+   * @param {!BlockLibrary} library The library.
+   * @return {string} The module.
+   */
+  getBlockLibraryModule(library) {
+    const language = this.project.generatorLanguage;
+    const blockJsons = library.getAllBlockDefinitions().map(
+        (blockDef) => this.project.getExportedBlockJson(blockDef));
+    const generators = library.getAllBlockDefinitions().map(
+        (blockDef) => FactoryUtils.getGeneratorCode(blockDef, language,
+            this.hiddenWorkspace));
+    let extensionCode = this.project.getExtensionCode(
+        library.getAllBlockDefinitions());
+    if (extensionCode) {
+      // Indent the code which registers the extensions into defineBlocks().
+      extensionCode = '\n\n' + extensionCode.replace(/^(?=.)/gm, '  ');
+    }
+    return `/**
+ * @fileoverview Blocks and ${language} generators of the ${library.name} block
+ * library.
+ */
+
+/** JSON definitions of the blocks of the library. */
+export const blockDefinitions = [
+${blockJsons.join(',\n')}
+];
+
+/**
+ * Defines the blocks of the library, and registers the extensions they need.
+ * @param {!Object} Blockly The Blockly module.
+ */
+export function defineBlocks(Blockly) {
+  Blockly.defineBlocksWithJsonArray(blockDefinitions);${extensionCode}
+}
+
+/**
+ * Defines the ${language} generators of the blocks of the library.
+ * @param {!Object} Blockly The Blockly module, with its ${language} generator
+ *     loaded.
+ */
+export function defineGenerators(Blockly) {
+${generators.join('\n\n')}
+}
+`;
+  }
+
+  /**
+   * Returns the contents of the block definitions file of a block library.
+   * @param {!BlockLibrary} library The library.
+   * @return {string} JS file defining the blocks of the library and registering
+   *     the extensions they need.
+   */
+  getBlockDefinitionsFile(library) {
+    const blockJsons = library.getAllBlockDefinitions().map(
+        (blockDef) => this.project.getExportedBlockJson(blockDef));
+    let extensionCode = this.project.getExtensionCode(
+        library.getAllBlockDefinitions());
+    if (extensionCode) {
+      extensionCode = '\n' + extensionCode + '\n';
+    }
+    return `/**
+ * @fileoverview Block definitions for the ${library.name} block library.
+ */
+'use strict';
+
+Blockly.defineBlocksWithJsonArray([
+${blockJsons.join(',\n')}
+]);
+${extensionCode}`;
+  }
+
+  /**
+   * Returns the contents of the generators file of a block library, in the
+   * project's generator language. Blocks without user-written generator code
+   * get a generator stub.
+   * @param {!BlockLibrary} library The library.
+   * @return {string} JS file defining the generators of the library's blocks.
+   */
+  getGeneratorsFile(library) {
+    const language = this.project.generatorLanguage;
+    const generators = library.getAllBlockDefinitions().map(
+        (blockDef) => FactoryUtils.getGeneratorCode(blockDef, language,
+            this.hiddenWorkspace));
+    return `/**
+ * @fileoverview ${language} generators for the ${library.name} block library.
+ */
+'use strict';
+
+${generators.join('\n\n')}
+`;
+  }
+
+  /**
+   * Returns the contents of an inject file which injects a workspace with the
+   * first workspace configuration of the project, showing its first toolbox
+   * and loading its first workspace contents.
+   * @return {?string} The inject file, or null if the project has no workspace
+   *     configuration.
+   */
+  getInjectFile() {
+    const project = this.project;
+    const configName = project.getWorkspaceConfigurationNames()[0];
+    if (!configName) {
+      return null;
+    }
+    return FactoryUtils.generateInjectFile(
+        project.getWorkspaceConfiguration(configName), {
+          div: 'blocklyWorkspace',
+          toolboxName: project.getToolboxNames()[0],
+          workspaceName: project.getWorkspaceContentsNames()[0]
+        });
+  }
+
+  /**
+   * Returns the ES module of a toolbox or workspace contents, which exports its
+   * XML as its default export.
+   * @param {!Resource} resource The toolbox or workspace contents.
+   * @param {string} description Description of the kind of resource.
+   * @return {string} The module.
+   * @private
+   */
+  static getXmlModule_(resource, description) {
+    return `/**
+ * @fileoverview XML of the ${resource.name} ${description}.
+ */
+
+export default ${JSON.stringify(Blockly.Xml.domToText(resource.getExportData()))};
+`;
+  }
+
+  /**
+   * Returns the ES module of a workspace configuration, which exports its
+   * injection options as its default export. The options do not include a
+   * toolbox, which is passed to Blockly.inject separately.
+   * @param {!WorkspaceConfiguration} workspaceConfig The workspace
+   *     configuration.
+   * @return {string} The module.
+   * @private
+   */
+  static getOptionsModule_(workspaceConfig) {
+    const options = Object.assign({}, workspaceConfig.options);
+    delete options['toolbox'];
+    return `/**
+ * @fileoverview Injection options of the ${workspaceConfig.name} workspace
+ * configuration.
+ */
+
+export default ${JSON.stringify(options, null, 2)};
+`;
+  }
+
+  /**
+   * Returns the ES module of the messages of the blocks in a locale, which
+   * exports the message table as its default export. It must be merged into
+   * Blockly.Msg before the blocks are created.
+   * @param {string} locale The locale.
+   * @param {!Object<string, string>} messages Map of message keys to the text
+   *     of the messages in the locale.
+   * @return {string} The module.
+   * @private
+   */
+  static getMessagesModule_(locale, messages) {
+    const sorted = {};
+    for (let key of Object.keys(messages).sort()) {
+      sorted[key] = messages[key];
+    }
+    return `/**
+ * @fileoverview Messages of the blocks in the ${locale} locale. Merge them
+ * into Blockly.Msg before creating the blocks.
+ */
+
+export default ${JSON.stringify(sorted, null, 2)};
+`;
+  }
+
+  /**
+   * Returns the base name of the module file of a resource, with characters
+   * which are not safe in file names and import paths replaced.
+   * @param {string} name Name of the resource.
+   * @return {string} Base name of the module file.
+   * @private
+   */
+  static getModuleName_(name) {
+    return name.replace(/[^\w.-]/g, '_');
+  }
+
+  /**
+   * Returns a base name for the files of a resource, numbered from 2 if any of
+   * its files would have the same name as a file already used, ignoring case,
+   * which some file systems ignore. Marks the files of the resource as used.
+   * @param {string} base Base name of the files of the resource.
+   * @param {!Array.<string>} suffixes Endings of the names of the files of the
+   *     resource, added to the base name.
+   * @param {!Object.<string, boolean>} usedFilenames Names of the files
+   *     already used, in lower case.
+   * @return {string} Base name of the files of the resource.
+   * @private
+   */
+  static getUniqueBaseName_(base, suffixes, usedFilenames) {
+    const isUsed = (name) => suffixes.some((suffix) =>
+        usedFilenames[(name + suffix).toLowerCase()]);
+    let uniqueBase = base;
+    for (let i = 2; isUsed(uniqueBase); i++) {
+      uniqueBase = base + '_' + i;
+    }
+    for (let suffix of suffixes) {
+      usedFilenames[(uniqueBase + suffix).toLowerCase()] = true;
+    }
+    return uniqueBase;
+  }
+
+  /**
+   * Returns the npm package name of a project: its name in lower case, with
+   * characters which npm does not allow replaced.
+   * @param {string} projectName Name of the project.
+   * @return {string} The package name.
+   */
+  static getPackageName(projectName) {
+    return projectName.toLowerCase().replace(/[^a-z0-9._-]/g, '-')
+        .replace(/^[._]+/, '') || 'blockly-project';
+  }
+
+  /**
+   * Writes files to a directory, creating it and the subdirectories of the
+   * files if they do not exist.
+   * @param {string} outDir The directory to write to.
+   * @param {!Object.<string, string>} files Contents of the files, by path
+   *     relative to outDir.
+   * @return {!Array.<string>} Paths of the files written.
+   * @private
+   */
+  static writeFiles_(outDir, files) {
+    if (!fs.existsSync(outDir)) {
+      fs.mkdirSync(outDir, {recursive: true});
+    }
+    const filepaths = [];
+    for (let filename in files) {
+      const filepath = path.join(outDir, filename);
+      if (!fs.existsSync(path.dirname(filepath))) {
+        fs.mkdirSync(path.dirname(filepath), {recursive: true});
+      }
+      fs.writeFileSync(filepath, files[filename]);
+      filepaths.push(filepath);
+    }
+    return filepaths;
+  }
+
+  /**
+   * Reads a saved project from the file system.
+   * @param {string} projectPath Path of the project's metadata file, or of a
+   *     project bundle.
+   * @return {!Project} The project.
+   * @throws If the project cannot be read or is invalid.
+   */
+  static readProject(projectPath) {
+    projectPath = path.resolve(projectPath);
+    // Only the construct methods are used, which do not need an AppController.
+    const readWriteController = new ReadWriteController(null);
+    if (path.basename(projectPath) == 'metadata') {
+      return readWriteController.constructProject(projectPath, 'web');
+    }
+    return readWriteController.constructProjectFromBundle(projectPath);
+  }
+
+  /**
+   * Reads the project, output directory and output format from command-line
+   * arguments.
+   * @param {!Array.<string>} argv The arguments, e.g.
+   *     ['--build', 'project.json', '--out', 'build', '--format', 'esm'].
+   * @return {{projectPath: string, outDir: string, format: string}} The paths
+   *     given, and the format, which is 'web' unless given.
+   * @throws {Error} If the project or output directory is missing, or the
+   *     format is unknown.
+   */
+  static parseArgs(argv) {
+    const usage = '. Usage: --build <project metadata or bundle> ' +
+        '--out <directory> [--format web|esm]';
+    const getValue = (flag, opt_default) => {
+      const index = argv.indexOf(flag);
+      if (index == -1 && opt_default) {
+        return opt_default;
+      }
+      const value = index == -1 ? undefined : argv[index + 1];
+      if (!value || value.indexOf('--') == 0) {
+        throw new Error('Missing value for ' + flag + usage);
+      }
+      return value;
+    };
+    const format = getValue('--format', 'web');
+    if (format != 'web' && format != 'esm') {
+      throw new Error('Unknown format ' + format + usage);
+    }
+    return {
+      projectPath: getValue('--build'),
+      outDir: getValue('--out'),
+      format: format
+    };
+  }
+
+  /**
+   * Builds the project given by command-line arguments, reports the files
+   * written and any problems ProjectValidator finds in the project, then exits
+   * the application. Exits with status 1 if the build fails.
+   * @param {!Array.<string>} argv The command-line arguments.
+   */
+  static runFromCommandLine(argv) {
+    let status = 0;
+    try {
+      const args = ProjectBuilder.parseArgs(argv);
+      const project = ProjectBuilder.readProject(args.projectPath);
+      // The blocks are created to write their generator stubs, so the field
+      // types they use and the extensions they apply must be registered first.
+      project.defineFieldTypes();
+      project.defineExtensions();
+      for (let issue of ProjectValidator.validate(project)) {
+        process.stderr.write('Warning: ' + issue.message + '\n');
+      }
+      const builder = new ProjectBuilder(project, new Blockly.Workspace());
+      const filepaths = args.format == 'esm' ?
+          builder.buildPackage(args.outDir) : builder.build(args.outDir);
+      for (let filepath of filepaths) {
+        process.stdout.write('Wrote ' + filepath + '\n');
+      }
+    } catch (e) {
+      process.stderr.write('Build failed: ' + (e.message || e) + '\n');
+      status = 1;
+    }
+    process.exit(status);
+  }
+}
@@ -0,0 +1,667 @@
+/**
+ * @license
+ * Blockly Demos: Block Factory
+ *
+ * Copyright 2017 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview ProjectFormat defines the versioned format in which DevTools
+ * stores projects, validates project data against it, and migrates project
+ * data saved in older versions of the format to the current version.
+ *
+ * A saved project consists of a metadata file (named "metadata") and one JSON
+ * data file per resource. The metadata file contains:
+ *
+ *   {
+ *     "formatVersion": 8,
+ *     "name": <string>,          Name of the project.
+ *     "platform": "web",
+ *     "generatorLanguage": "JavaScript" | "Python" | "PHP" | "Lua" | "Dart",
+ *                                Language that generator stubs are written for.
+ *     "typeDeclarations": <boolean>,  Whether TypeScript declarations are
+ *                                written next to the JS files of libraries.
+ *     "extensions": {            Extensions defined in the project, which
+ *       <name>: <string>, ...    blocks can apply. Maps each name to the
+ *     },                         JavaScript source of the extension function,
+ *                                or of the object literal of a mixin.
+ *     "localizeBlocks": <boolean>,  Whether the text of blocks is exported as
+ *                                references to messages, for translation.
+ *     "defaultLocale": <string>, Locale of the text in block definitions,
+ *                                e.g. "en".
+ *     "translations": {          Message tables of the other locales.
+ *       <locale>: {              Maps the key of each translated message to
+ *         <key>: <string>, ...   its text in the locale.
+ *       }, ...
+ *     },
+ *     "fieldTypes": {            Custom field types defined in the project.
+ *       <type>: {                Type of the field, e.g. "field_slider".
+ *         "params": <Object>,    Maps each JSON parameter of the field to its
+ *                                default value.
+ *         "code": <string>       JavaScript source of the field class.
+ *       }, ...
+ *     },
+ *     "resources": [             One entry per resource in the project.
+ *       {
+ *         "name": <string>,      Unique among resources of the same type.
+ *         "resourceType": "BlockLibrary" | "Toolbox" | "WorkspaceContents" |
+ *             "WorkspaceConfiguration",
+ *         "file": <string>,      Path to the resource's data file, relative to
+ *                                the directory of the metadata file.
+ *         "web": {               JS file generated for use in web apps.
+ *           "export": <boolean>,
+ *           "filepath": <string>
+ *         }
+ *       }, ...
+ *     ]
+ *   }
+ *
+ * Each data file contains "formatVersion", "name", "resourceType" and "web"
+ * as above, plus the data of the resource:
+ *
+ *   BlockLibrary:            "blocks": [{
+ *                               "type": <string>,
+ *                               "json": <Object>,  JSON block definition.
+ *                               "xml": <?string>,  Block editor XML, null if
+ *                                                  unknown.
+ *                               "generators": {    User-written generator code
+ *                                 <language>: <string>, ...  by language.
+ *                               }
+ *                             }, ...]
+ *   Toolbox:                 "xml": <string>  Toolbox XML.
+ *   WorkspaceContents:       "xml": <string>  Workspace XML.
+ *   WorkspaceConfiguration:  "options": <Object>  Options passed to
+ *                            Blockly.inject(). An unlimited "maxBlocks" is
+ *                            stored as null.
+ *
+ * When read, the metadata and data files are combined into a single project
+ * document, in which each entry of "resources" also holds the data of its
+ * resource. Validation and migrations operate on project documents. A project
+ * exported as a bundle is a project document stored in a single JSON file,
+ * without "file" entries and with empty "web.filepath" entries.
+ *
+ * Version 1 projects have no "formatVersion". Their resources were stored only
+ * as generated JS files, which ReadWriteController reads into a version 1
+ * project document.
+ *
+ * @author sagev (Sage Vouse)
+ */
+
+'use strict';
+
+goog.provide('ProjectFormat');
+
+goog.require('FactoryUtils');
+
+/**
+ * The version of the project format written by this version of DevTools.
+ * Increment when making a change to the format, and add a migration from the
+ * previous version to ProjectFormat.MIGRATIONS.
+ * @type {number}
+ */
+ProjectFormat.CURRENT_VERSION = 8;
+
+/**
+ * Format of the locales of a project, such as "en" or "pt-br".
+ * @type {!RegExp}
+ */
+ProjectFormat.LOCALE_FORMAT = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Format of the types of custom fields, such as "field_slider". Blockly only
+ * treats arguments whose type starts with "field_" as fields.
+ * @type {!RegExp}
+ */
+ProjectFormat.FIELD_TYPE_FORMAT = /^field_[A-Za-z0-9_]+$/;
+
+/**
+ * Map of format version to a function which converts a project document of
+ * that version into a project document of the next version.
+ * @type {!Object<number, function(!Object): !Object>}
+ */
+ProjectFormat.MIGRATIONS = Object.create(null);
+
+/**
+ * Version 1 to 2: Resources gain a "file" referencing their JSON data file,
+ * and blocks saved without block editor XML have it set to null.
+ * @param {!Object} doc Version 1 project document.
+ * @return {!Object} Version 2 project document.
+ */
+ProjectFormat.MIGRATIONS[1] = function(doc) {
+  for (let resource of doc.resources || []) {
+    if (!resource.file && resource.resourceType && resource.name) {
+      resource.file = resource.resourceType + '_' + resource.name + '.json';
+    }
+    for (let block of resource.blocks || []) {
+      if (block.xml === undefined) {
+        block.xml = null;
+      }
+    }
+  }
+  return doc;
+};
+
+/**
+ * Version 2 to 3: Projects gain a "generatorLanguage". Generator stubs used to
+ * be written for JavaScript.
+ * @param {!Object} doc Version 2 project document.
+ * @return {!Object} Version 3 project document.
+ */
+ProjectFormat.MIGRATIONS[2] = function(doc) {
+  if (doc.generatorLanguage === undefined) {
+    doc.generatorLanguage = 'JavaScript';
+  }
+  return doc;
+};
+
+/**
+ * Version 3 to 4: Blocks gain "generators", holding user-written generator
+ * code. Generator code used to be discarded.
+ * @param {!Object} doc Version 3 project document.
+ * @return {!Object} Version 4 project document.
+ */
+ProjectFormat.MIGRATIONS[3] = function(doc) {
+  for (let resource of doc.resources || []) {
+    for (let block of resource.blocks || []) {
+      if (ProjectFormat.isObject_(block) && block.generators === undefined) {
+        block.generators = {};
+      }
+    }
+  }
+  return doc;
+};
+
+/**
+ * Version 4 to 5: Projects gain "typeDeclarations". TypeScript declarations
+ * used not to be written.
+ * @param {!Object} doc Version 4 project document.
+ * @return {!Object} Version 5 project document.
+ */
+ProjectFormat.MIGRATIONS[4] = function(doc) {
+  if (doc.typeDeclarations === undefined) {
+    doc.typeDeclarations = false;
+  }
+  return doc;
+};
+
+/**
+ * Version 5 to 6: Projects gain "extensions". Extensions used not to be
+ * defined in projects.
+ * @param {!Object} doc Version 5 project document.
+ * @return {!Object} Version 6 project document.
+ */
+ProjectFormat.MIGRATIONS[5] = function(doc) {
+  if (doc.extensions === undefined) {
+    doc.extensions = {};
+  }
+  return doc;
+};
+
+/**
+ * Version 6 to 7: Projects gain "localizeBlocks", "defaultLocale" and
+ * "translations". Block text used to be exported as it is, in English.
+ * @param {!Object} doc Version 6 project document.
+ * @return {!Object} Version 7 project document.
+ */
+ProjectFormat.MIGRATIONS[6] = function(doc) {
+  if (doc.localizeBlocks === undefined) {
+    doc.localizeBlocks = false;
+  }
+  if (doc.defaultLocale === undefined) {
+    doc.defaultLocale = 'en';
+  }
+  if (doc.translations === undefined) {
+    doc.translations = {};
+  }
+  return doc;
+};
+
+/**
+ * Version 7 to 8: Projects gain "fieldTypes". Blocks used to be limited to the
+ * fields built into Blockly.
+ * @param {!Object} doc Version 7 project document.
+ * @return {!Object} Version 8 project document.
+ */
+ProjectFormat.MIGRATIONS[7] = function(doc) {
+  if (doc.fieldTypes === undefined) {
+    doc.fieldTypes = {};
+  }
+  return doc;
+};
+
+/**
+ * Returns the format version of project metadata or a project document.
+ * Projects saved before the format was versioned are version 1.
+ * @param {!Object} doc Project metadata or project document.
+ * @return {number} The format version.
+ */
+ProjectFormat.getVersion = function(doc) {
+  return doc.formatVersion === undefined ? 1 : doc.formatVersion;
+};
+
+/**
+ * Checks that the format version of project metadata or a project document is
+ * supported by this version of DevTools.
+ * @param {!Object} doc Project metadata or project document.
+ * @throws If the version is invalid or newer than the current version, or doc
+ *     is not an object.
+ */
+ProjectFormat.checkVersion = function(doc) {
+  if (!ProjectFormat.isObject_(doc)) {
+    throw 'Project: expected an object but found ' +
+        ProjectFormat.describe_(doc) + '.';
+  }
+  const version = ProjectFormat.getVersion(doc);
+  if (typeof version != 'number' || version % 1 != 0 || version < 1) {
+    throw 'formatVersion: expected a positive integer but found ' +
+        ProjectFormat.describe_(version) + '.';
+  }
+  if (version > ProjectFormat.CURRENT_VERSION) {
+    throw 'This project was saved in format version ' + version + ', but ' +
+        'this version of DevTools only supports versions up to ' +
+        ProjectFormat.CURRENT_VERSION + '. Please update DevTools.';
+  }
+};
+
+/**
+ * Migrates a project document to the current format version, applying each
+ * migration between its version and the current version in order.
+ * @param {!Object} doc Project document of any supported version. Modified in
+ *     place.
+ * @return {!Object} Project document of the current version.
+ * @throws If the document's version is invalid or newer than the current
+ *     version.
+ */
+ProjectFormat.migrate = function(doc) {
+  ProjectFormat.checkVersion(doc);
+  let version = ProjectFormat.getVersion(doc);
+  while (version < ProjectFormat.CURRENT_VERSION) {
+    doc = ProjectFormat.MIGRATIONS[version](doc);
+    version++;
+    doc.formatVersion = version;
+  }
+  return doc;
+};
+
+/**
+ * Gets the data of a resource, in the format of a resource data file.
+ * @param {!Resource} resource The resource to get the data of.
+ * @return {!Object} The data of the resource.
+ */
+ProjectFormat.getResourceData = function(resource) {
+  let data = Object.create(null);
+  data.formatVersion = ProjectFormat.CURRENT_VERSION;
+  resource.buildMetadata(data);
+  if (resource.resourceType == PREFIXES.LIBRARY) {
+    data.blocks = [];
+    for (let block of resource.getAllBlockDefinitions()) {
+      data.blocks.push({
+        type: block.type(),
+        json: JSON.parse(block.json),
+        xml: Blockly.Xml.domToText(block.getXml()),
+        generators: Object.assign({}, block.generators)
+      });
+    }
+  } else if (resource.resourceType == PREFIXES.TOOLBOX ||
+      resource.resourceType == PREFIXES.WORKSPACE_CONTENTS) {
+    data.xml = Blockly.Xml.domToText(resource.getExportData());
+  } else if (resource.resourceType == PREFIXES.WORKSPACE_CONFIG) {
+    // JSON.stringify() stores an unlimited maxBlocks (Infinity) as null.
+    data.options = resource.options;
+  }
+  return data;
+};
+
+/**
+ * Gets a project bundle: a self-contained project document holding the data of
+ * every resource in the project. Paths specific to the developer's file system
+ * are left empty, so that the bundle can be imported on any machine.
+ * @param {!Project} project The project to bundle.
+ * @return {!Object} The project document.
+ */
+ProjectFormat.getProjectBundle = function(project) {
+  let doc = Object.create(null);
+  doc.formatVersion = ProjectFormat.CURRENT_VERSION;
+  project.buildMetadata(doc);
+  doc.resources = [];
+  const resourceSets = [project.librarySet, project.toolboxSet,
+      project.workspaceContentsSet, project.workspaceConfigSet];
+  for (let resourceSet of resourceSets) {
+    for (let name of resourceSet.getNames()) {
+      let data = ProjectFormat.getResourceData(resourceSet.get(name));
+      delete data.formatVersion;
+      data.web.filepath = '';
+      doc.resources.push(data);
+    }
+  }
+  return doc;
+};
+
+/**
+ * Validates a project document of the current format version.
+ * @param {!Object} doc Project document to validate.
+ * @return {!Array.<string>} Description of each problem found, prefixed by the
+ *     path of the offending value (e.g. "resources[2].blocks[0].type"). Empty
+ *     if the document is valid.
+ */
+ProjectFormat.validate = function(doc) {
+  const errors = [];
+  if (!ProjectFormat.isObject_(doc)) {
+    errors.push('Project: expected an object but found ' +
+        ProjectFormat.describe_(doc) + '.');
+    return errors;
+  }
+  if (doc.formatVersion !== ProjectFormat.CURRENT_VERSION) {
+    errors.push('formatVersion: expected ' + ProjectFormat.CURRENT_VERSION +
+        ' but found ' + ProjectFormat.describe_(doc.formatVersion) + '.');
+  }
+  ProjectFormat.checkName_(doc.name, 'name', errors);
+  if (typeof doc.platform != 'string') {
+    errors.push('platform: expected a string but found ' +
+        ProjectFormat.describe_(doc.platform) + '.');
+  }
+  const languages = Object.keys(FactoryUtils.GENERATOR_SYNTAX);
+  if (languages.indexOf(doc.generatorLanguage) == -1) {
+    errors.push('generatorLanguage: expected one of ' + languages.join(', ') +
+        ' but found ' + ProjectFormat.describe_(doc.generatorLanguage) + '.');
+  }
+  if (typeof doc.typeDeclarations != 'boolean') {
+    errors.push('typeDeclarations: expected a boolean but found ' +
+        ProjectFormat.describe_(doc.typeDeclarations) + '.');
+  }
+  if (!ProjectFormat.isObject_(doc.extensions)) {
+    errors.push('extensions: expected an object but found ' +
+        ProjectFormat.describe_(doc.extensions) + '.');
+  } else {
+    for (let name in doc.extensions) {
+      ProjectFormat.checkName_(name, 'extensions', errors);
+      if (typeof doc.extensions[name] != 'string') {
+        errors.push('extensions.' + name + ': expected a string but found ' +
+            ProjectFormat.describe_(doc.extensions[name]) + '.');
+      }
+    }
+  }
+  if (typeof doc.localizeBlocks != 'boolean') {
+    errors.push('localizeBlocks: expected a boolean but found ' +
+        ProjectFormat.describe_(doc.localizeBlocks) + '.');
+  }
+  ProjectFormat.checkLocale_(doc.defaultLocale, 'defaultLocale', errors);
+  if (!ProjectFormat.isObject_(doc.translations)) {
+    errors.push('translations: expected an object but found ' +
+        ProjectFormat.describe_(doc.translations) + '.');
+  } else {
+    for (let locale in doc.translations) {
+      const location = 'translations.' + locale;
+      ProjectFormat.checkLocale_(locale, 'translations', errors);
+      const messages = doc.translations[locale];
+      if (!ProjectFormat.isObject_(messages)) {
+        errors.push(location + ': expected an object but found ' +
+            ProjectFormat.describe_(messages) + '.');
+        continue;
+      }
+      for (let key in messages) {
+        if (typeof messages[key] != 'string') {
+          errors.push(location + '.' + key + ': expected a string but found ' +
+              ProjectFormat.describe_(messages[key]) + '.');
+        }
+      }
+    }
+  }
+  if (!ProjectFormat.isObject_(doc.fieldTypes)) {
+    errors.push('fieldTypes: expected an object but found ' +
+        ProjectFormat.describe_(doc.fieldTypes) + '.');
+  } else {
+    for (let type in doc.fieldTypes) {
+      const location = 'fieldTypes.' + type;
+      if (!ProjectFormat.FIELD_TYPE_FORMAT.test(type) ||
+          FactoryUtils.BUILT_IN_FIELD_TYPES.indexOf(type) != -1) {
+        errors.push('fieldTypes: expected a custom field type such as ' +
+            '"field_slider" but found ' + ProjectFormat.describe_(type) + '.');
+      }
+      const fieldType = doc.fieldTypes[type];
+      if (!ProjectFormat.isObject_(fieldType)) {
+        errors.push(location + ': expected an object but found ' +
+            ProjectFormat.describe_(fieldType) + '.');
+        continue;
+      }
+      if (!ProjectFormat.isObject_(fieldType.params)) {
+        errors.push(location + '.params: expected an object but found ' +
+            ProjectFormat.describe_(fieldType.params) + '.');
+      }
+      if (typeof fieldType.code != 'string') {
+        errors.push(location + '.code: expected a string but found ' +
+            ProjectFormat.describe_(fieldType.code) + '.');
+      }
+    }
+  }
+  if (!Array.isArray(doc.resources)) {
+    errors.push('resources: expected an array but found ' +
+        ProjectFormat.describe_(doc.resources) + '.');
+    return errors;
+  }
+
+  const resourceNames = Object.create(null);
+  const blockTypes = Object.create(null);
+  doc.resources.forEach((resource, i) => {
+    ProjectFormat.validateResource_(resource, 'resources[' + i + ']', errors,
+        resourceNames, blockTypes);
+  });
+  return errors;
+};
+
+/**
+ * Validates a resource within a project document.
+ * @param {*} resource The resource to validate.
+ * @param {string} location Path of the resource within the project document.
+ * @param {!Array.<string>} errors Array to add errors to.
+ * @param {!Object<string, string>} resourceNames Map of "type_name" keys of
+ *     resources already validated to their locations. Used to find duplicates.
+ * @param {!Object<string, string>} blockTypes Map of block types already
+ *     validated to their locations. Used to find duplicates.
+ * @private
+ */
+ProjectFormat.validateResource_ = function(resource, location, errors,
+    resourceNames, blockTypes) {
+  if (!ProjectFormat.isObject_(resource)) {
+    errors.push(location + ': expected an object but found ' +
+        ProjectFormat.describe_(resource) + '.');
+    return;
+  }
+  ProjectFormat.checkName_(resource.name, location + '.name', errors);
+
+  const resourceTypes = [PREFIXES.LIBRARY, PREFIXES.TOOLBOX,
+      PREFIXES.WORKSPACE_CONTENTS, PREFIXES.WORKSPACE_CONFIG];
+  const type = resource.resourceType;
+  if (resourceTypes.indexOf(type) == -1) {
+    errors.push(location + '.resourceType: expected one of ' +
+        resourceTypes.join(', ') + ' but found ' +
+        ProjectFormat.describe_(type) + '.');
+    return;
+  }
+
+  const key = type + '_' + resource.name;
+  if (resourceNames[key]) {
+    errors.push(location + '.name: ' + type + ' "' + resource.name +
+        '" is already defined at ' + resourceNames[key] + '.');
+  } else {
+    resourceNames[key] = location;
+  }
+
+  if (!ProjectFormat.isObject_(resource.web)) {
+    errors.push(location + '.web: expected an object but found ' +
+        ProjectFormat.describe_(resource.web) + '.');
+  } else if (typeof resource.web.filepath != 'string') {
+    errors.push(location + '.web.filepath: expected a string but found ' +
+        ProjectFormat.describe_(resource.web.filepath) + '.');
+  }
+
+  if (type == PREFIXES.LIBRARY) {
+    if (!Array.isArray(resource.blocks)) {
+      errors.push(location + '.blocks: expected an array but found ' +
+          ProjectFormat.describe_(resource.blocks) + '.');
+      return;
+    }
+    resource.blocks.forEach((block, i) => {
+      ProjectFormat.validateBlock_(block, location + '.blocks[' + i + ']',
+          errors, blockTypes);
+    });
+  } else if (type == PREFIXES.WORKSPACE_CONFIG) {
+    if (!ProjectFormat.isObject_(resource.options)) {
+      errors.push(location + '.options: expected an object but found ' +
+          ProjectFormat.describe_(resource.options) + '.');
+    }
+  } else {
+    ProjectFormat.checkXml_(resource.xml, location + '.xml', errors);
+  }
+};
+
+/**
+ * Validates a block within a block library of a project document.
+ * @param {*} block The block to validate.
+ * @param {string} location Path of the block within the project document.
+ * @param {!Array.<string>} errors Array to add errors to.
+ * @param {!Object<string, string>} blockTypes Map of block types already
+ *     validated to their locations. Used to find duplicates.
+ * @private
+ */
+ProjectFormat.validateBlock_ = function(block, location, errors, blockTypes) {
+  if (!ProjectFormat.isObject_(block)) {
+    errors.push(location + ': expected an object but found ' +
+        ProjectFormat.describe_(block) + '.');
+    return;
+  }
+  ProjectFormat.checkName_(block.type, location + '.type', errors);
+  if (blockTypes[block.type]) {
+    errors.push(location + '.type: block "' + block.type +
+        '" is already defined at ' + blockTypes[block.type] + '.');
+  } else {
+    blockTypes[block.type] = location;
+  }
+
+  if (!ProjectFormat.isObject_(block.json)) {
+    errors.push(location + '.json: expected an object but found ' +
+        ProjectFormat.describe_(block.json) + '.');
+  } else if (block.json.type !== block.type) {
+    errors.push(location + '.json.type: expected ' +
+        JSON.stringify(block.type) + ' but found ' +
+        ProjectFormat.describe_(block.json.type) + '.');
+  }
+
+  if (block.xml !== null) {
+    ProjectFormat.checkXml_(block.xml, location + '.xml', errors);
+  }
+
+  if (!ProjectFormat.isObject_(block.generators)) {
+    errors.push(location + '.generators: expected an object but found ' +
+        ProjectFormat.describe_(block.generators) + '.');
+    return;
+  }
+  const languages = Object.keys(FactoryUtils.GENERATOR_SYNTAX);
+  for (let language in block.generators) {
+    if (languages.indexOf(language) == -1) {
+      errors.push(location + '.generators: expected keys among ' +
+          languages.join(', ') + ' but found ' + JSON.stringify(language) +
+          '.');
+    } else if (typeof block.generators[language] != 'string') {
+      errors.push(location + '.generators.' + language + ': expected a ' +
+          'string but found ' +
+          ProjectFormat.describe_(block.generators[language]) + '.');
+    }
+  }
+};
+
+/**
+ * Checks that a value is a non-empty string.
+ * @param {*} name Value to check.
+ * @param {string} location Path of the value within the project document.
+ * @param {!Array.<string>} errors Array to add errors to.
+ * @private
+ */
+ProjectFormat.checkName_ = function(name, location, errors) {
+  if (typeof name != 'string' || !name.trim()) {
+    errors.push(location + ': expected a non-empty string but found ' +
+        ProjectFormat.describe_(name) + '.');
+  }
+};
+
+/**
+ * Checks that a value is a locale, such as "en" or "pt-br". Locales name the
+ * message files of a project, so they are limited to letters, digits, hyphens
+ * and underscores.
+ * @param {*} locale Value to check.
+ * @param {string} location Path of the value within the project document.
+ * @param {!Array.<string>} errors Array to add errors to.
+ * @private
+ */
+ProjectFormat.checkLocale_ = function(locale, location, errors) {
+  if (typeof locale != 'string' || !ProjectFormat.LOCALE_FORMAT.test(locale)) {
+    errors.push(location + ': expected a locale such as "en" but found ' +
+        ProjectFormat.describe_(locale) + '.');
+  }
+};
+
+/**
+ * Checks that a value is a string of well-formed XML with an <xml> root.
+ * @param {*} xmlString Value to check.
+ * @param {string} location Path of the value within the project document.
+ * @param {!Array.<string>} errors Array to add errors to.
+ * @private
+ */
+ProjectFormat.checkXml_ = function(xmlString, location, errors) {
+  if (typeof xmlString != 'string') {
+    errors.push(location + ': expected an XML string but found ' +
+        ProjectFormat.describe_(xmlString) + '.');
+    return;
+  }
+  const dom = new DOMParser().parseFromString(xmlString, 'text/xml');
+  const parserErrors = dom.getElementsByTagName('parsererror');
+  if (parserErrors.length) {
+    errors.push(location + ': XML is not well-formed: ' +
+        parserErrors[0].textContent.trim());
+  } else if (dom.documentElement.nodeName.toLowerCase() != 'xml') {
+    errors.push(location + ': expected an <xml> root element but found <' +
+        dom.documentElement.nodeName + '>.');
+  }
+};
+
+/**
+ * Returns whether a value is a non-array, non-null object.
+ * @param {*} value Value to check.
+ * @return {boolean} True if the value is an object.
+ * @private
+ */
+ProjectFormat.isObject_ = function(value) {
+  return typeof value == 'object' && value !== null && !Array.isArray(value);
+};
+
+/**
+ * Describes a value found in a project document, for use in error messages.
+ * @param {*} value Value to describe.
+ * @return {string} Description of the value.
+ * @private
+ */
+ProjectFormat.describe_ = function(value) {
+  if (value === undefined) {
+    return 'nothing';
+  } else if (Array.isArray(value)) {
+    return 'an array';
+  } else if (value === null) {
+    return 'null';
+  } else if (typeof value == 'object') {
+    return 'an object';
+  }
+  return typeof value + ' ' + JSON.stringify(value);
+};
@@ -0,0 +1,168 @@
+/**
+ * @license
+ * Blockly Demos: Block Factory
+ *
+ * Copyright 2017 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview ProjectHistory records project-level operations (creating,
+ * removing and renaming resources) so that they can be undone and redone.
+ * Changes within a single editor workspace are undone by Blockly instead.
+ */
+
+'use strict';
+
+goog.provide('ProjectHistory');
+
+/**
+ * @class ProjectHistory is a stack of commands. A command is an object with a
+ *     label describing the operation, and undo and redo functions which
+ *     reverse and reapply it. Both functions return the navtree node ID of the
+ *     resource to show once they have run, or null if there is none.
+ */
+class ProjectHistory {
+  /**
+   * ProjectHistory Class.
+   * @constructor
+   */
+  constructor() {
+    /**
+     * Commands which can be undone, most recent last.
+     * @type {!Array.<!Object>}
+     * @private
+     */
+    this.undoStack_ = [];
+
+    /**
+     * Commands which have been undone and can be redone, most recently undone
+     * last.
+     * @type {!Array.<!Object>}
+     * @private
+     */
+    this.redoStack_ = [];
+  }
+
+  /**
+   * Records an operation which has just been done. Clears the commands which
+   * could be redone.
+   * @param {string} label Description of the operation, e.g. 'Remove block'.
+   * @param {function(): ?string} undo Reverses the operation.
+   * @param {function(): ?string} redo Applies the operation again.
+   */
+  record(label, undo, redo) {
+    this.undoStack_.push({label: label, undo: undo, redo: redo});
+    this.redoStack_ = [];
+  }
+
+  /**
+   * Adds an operation which has just been done to the most recently recorded
+   * command, so that both are undone and redone in a single step. Used for
+   * operations which are part of another, such as updating the references to
+   * a renamed block.
+   * @param {function(): ?string} undo Reverses the operation. Runs before the
+   *     command is reversed.
+   * @param {function(): ?string} redo Applies the operation again. Runs after
+   *     the command is reapplied.
+   * @throws {Error} If there is no command to add to.
+   */
+  extendLast(undo, redo) {
+    const last = this.undoStack_[this.undoStack_.length - 1];
+    if (!last || this.redoStack_.length) {
+      throw new Error('There is no recorded command to extend.');
+    }
+    const lastUndo = last.undo;
+    const lastRedo = last.redo;
+    last.undo = () => {
+      const nodeId = undo();
+      return lastUndo() || nodeId;
+    };
+    last.redo = () => {
+      const nodeId = lastRedo();
+      return redo() || nodeId;
+    };
+  }
+
+  /**
+   * Undoes the most recent command.
+   * @return {?string} The navtree node ID of the resource to show, or null if
+   *     there is none or there was nothing to undo.
+   */
+  undo() {
+    const command = this.undoStack_.pop();
+    if (!command) {
+      return null;
+    }
+    this.redoStack_.push(command);
+    return command.undo();
+  }
+
+  /**
+   * Redoes the most recently undone command.
+   * @return {?string} The navtree node ID of the resource to show, or null if
+   *     there is none or there was nothing to redo.
+   */
+  redo() {
+    const command = this.redoStack_.pop();
+    if (!command) {
+      return null;
+    }
+    this.undoStack_.push(command);
+    return command.redo();
+  }
+
+  /**
+   * Returns whether there is a command to undo.
+   * @return {boolean} Whether there is a command to undo.
+   */
+  canUndo() {
+    return this.undoStack_.length > 0;
+  }
+
+  /**
+   * Returns whether there is a command to redo.
+   * @return {boolean} Whether there is a command to redo.
+   */
+  canRedo() {
+    return this.redoStack_.length > 0;
+  }
+
+  /**
+   * Returns the label of the command which would be undone next.
+   * @return {?string} The label, or null if there is nothing to undo.
+   */
+  getUndoLabel() {
+    return this.canUndo() ?
+        this.undoStack_[this.undoStack_.length - 1].label : null;
+  }
+
+  /**
+   * Returns the label of the command which would be redone next.
+   * @return {?string} The label, or null if there is nothing to redo.
+   */
+  getRedoLabel() {
+    return this.canRedo() ?
+        this.redoStack_[this.redoStack_.length - 1].label : null;
+  }
+
+  /**
+   * Forgets all commands. Used when a different project is loaded.
+   */
+  clear() {
+    this.undoStack_ = [];
+    this.redoStack_ = [];
+  }
+}
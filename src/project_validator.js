@@ -0,0 +1,276 @@
+/**
+ * @license
+ * Blockly Demos: Block Factory
+ *
+ * Copyright 2017 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview ProjectValidator checks a project for problems which do not
+ * stop it from being saved, but which are likely mistakes: blocks which are
+ * undefined, unused, duplicated or incompletely defined, empty or invalid
+ * toolbox categories, and workspace configurations which contradict
+ * themselves. Each problem is reported with the navtree node of the resource
+ * it was found in.
+ */
+
+'use strict';
+
+goog.provide('ProjectValidator');
+
+goog.require('FactoryUtils');
+goog.require('ListElement');
+
+/**
+ * A problem found in a project.
+ * @typedef {{
+ *   nodeId: string,
+ *   categoryId: ?string,
+ *   message: string
+ * }}
+ *     nodeId: Navtree node ID of the resource with the problem.
+ *     categoryId: ID of the toolbox category with the problem, if any.
+ *     message: Description of the problem, for showing to the user.
+ */
+ProjectValidator.Issue;
+
+/**
+ * Options of a workspace configuration which only apply to workspaces with a
+ * toolbox, and so contradict read-only mode.
+ * @type {!Array.<string>}
+ */
+ProjectValidator.TOOLBOX_OPTIONS = ['toolbox', 'toolboxPosition',
+    'horizontalLayout', 'trashcan', 'maxBlocks'];
+
+/**
+ * Checks a project for problems.
+ * @param {!Project} project The project to check.
+ * @return {!Array.<!ProjectValidator.Issue>} The problems found, grouped by
+ *     resource. Empty if there are none.
+ */
+ProjectValidator.validate = function(project) {
+  const issues = [];
+  // Map of each block type used in a toolbox or workspace contents to true.
+  const usedTypes = Object.create(null);
+  for (let name of project.getToolboxNames()) {
+    ProjectValidator.checkToolbox_(project, project.getToolbox(name), issues,
+        usedTypes);
+  }
+  for (let name of project.getWorkspaceContentsNames()) {
+    ProjectValidator.checkWorkspaceContents_(project,
+        project.getWorkspaceContents(name), issues, usedTypes);
+  }
+  for (let name of project.getWorkspaceConfigurationNames()) {
+    ProjectValidator.checkWorkspaceConfiguration_(
+        project.getWorkspaceConfiguration(name), issues);
+  }
+  // Map of each block type already checked to the name of its library.
+  const libraryNames = Object.create(null);
+  for (let name of project.getBlockLibraryNames()) {
+    for (let blockDef of project.getBlockLibrary(name).getAllBlockDefinitions()) {
+      ProjectValidator.checkBlockDefinition_(blockDef, name, issues, usedTypes,
+          libraryNames);
+    }
+  }
+  return issues;
+};
+
+/**
+ * Checks the categories or single flyout of a toolbox.
+ * @param {!Project} project The project containing the toolbox.
+ * @param {!Toolbox} toolbox The toolbox to check.
+ * @param {!Array.<!ProjectValidator.Issue>} issues Array to add problems to.
+ * @param {!Object<string, boolean>} usedTypes Map to add the block types used
+ *     in the toolbox to.
+ * @private
+ */
+ProjectValidator.checkToolbox_ = function(project, toolbox, issues,
+    usedTypes) {
+  const nodeId = PREFIXES.TOOLBOX + '_' + toolbox.name;
+  const elements = toolbox.flyout ? [toolbox.flyout] : toolbox.categoryList;
+  for (let element of elements) {
+    const isCategory = element.type == ListElement.TYPE_CATEGORY;
+    if (!isCategory && element.type != ListElement.TYPE_FLYOUT) {
+      continue;
+    }
+    const location = 'Toolbox "' + toolbox.name + '"' +
+        (isCategory ? ', category "' + element.name + '"' : '');
+    const categoryId = isCategory ? element.id : null;
+    const blockTypes = FactoryUtils.getBlockTypesInXml(element.xml);
+    ProjectValidator.checkBlockTypes_(project, blockTypes, location, nodeId,
+        categoryId, issues, usedTypes);
+    if (!isCategory) {
+      continue;
+    }
+    // Custom categories are filled by Blockly, so are empty in the project.
+    if (!blockTypes.length && !element.custom) {
+      issues.push({nodeId: nodeId, categoryId: categoryId,
+          message: location + ' is empty.'});
+    }
+    if (element.color && !ProjectValidator.isValidColour_(element.color)) {
+      issues.push({nodeId: nodeId, categoryId: categoryId,
+          message: location + ' has an invalid colour "' + element.color +
+              '".'});
+    }
+  }
+};
+
+/**
+ * Checks the blocks of workspace contents.
+ * @param {!Project} project The project containing the workspace contents.
+ * @param {!WorkspaceContents} contents The workspace contents to check.
+ * @param {!Array.<!ProjectValidator.Issue>} issues Array to add problems to.
+ * @param {!Object<string, boolean>} usedTypes Map to add the block types used
+ *     in the workspace contents to.
+ * @private
+ */
+ProjectValidator.checkWorkspaceContents_ = function(project, contents, issues,
+    usedTypes) {
+  ProjectValidator.checkBlockTypes_(project,
+      FactoryUtils.getBlockTypesInXml(contents.xml),
+      'Workspace contents "' + contents.name + '"',
+      PREFIXES.WORKSPACE_CONTENTS + '_' + contents.name, null, issues,
+      usedTypes);
+};
+
+/**
+ * Reports the block types used in a resource which are neither standard
+ * blocks nor defined in the project, and records the block types as used.
+ * @param {!Project} project The project containing the resource.
+ * @param {!Array.<string>} blockTypes The block types used in the resource.
+ * @param {string} location Description of the resource.
+ * @param {string} nodeId Navtree node ID of the resource.
+ * @param {?string} categoryId ID of the toolbox category, if any.
+ * @param {!Array.<!ProjectValidator.Issue>} issues Array to add problems to.
+ * @param {!Object<string, boolean>} usedTypes Map to add the block types to.
+ * @private
+ */
+ProjectValidator.checkBlockTypes_ = function(project, blockTypes, location,
+    nodeId, categoryId, issues, usedTypes) {
+  for (let blockType of blockTypes) {
+    usedTypes[blockType] = true;
+    if (!project.hasBlockDefinition(blockType) &&
+        !FactoryUtils.isStandardBlock(blockType)) {
+      issues.push({nodeId: nodeId, categoryId: categoryId,
+          message: location + ' uses the undefined block type "' + blockType +
+              '".'});
+    }
+  }
+};
+
+/**
+ * Checks that a read-only workspace configuration does not set options which
+ * only apply to workspaces with a toolbox.
+ * @param {!WorkspaceConfiguration} config The configuration to check.
+ * @param {!Array.<!ProjectValidator.Issue>} issues Array to add problems to.
+ * @private
+ */
+ProjectValidator.checkWorkspaceConfiguration_ = function(config, issues) {
+  if (!config.options['readOnly']) {
+    return;
+  }
+  const conflicts = ProjectValidator.TOOLBOX_OPTIONS.filter(
+      (option) => config.options[option] !== undefined);
+  if (conflicts.length) {
+    issues.push({nodeId: PREFIXES.WORKSPACE_CONFIG + '_' + config.name,
+        categoryId: null,
+        message: 'Workspace configuration "' + config.name + '" is read-only, ' +
+            'so has no toolbox, but sets the toolbox options ' +
+            conflicts.join(', ') + '.'});
+  }
+};
+
+/**
+ * Checks a block definition.
+ * @param {!BlockDefinition} blockDef The block definition to check.
+ * @param {string} libraryName Name of the library containing the block.
+ * @param {!Array.<!ProjectValidator.Issue>} issues Array to add problems to.
+ * @param {!Object<string, boolean>} usedTypes Map of the block types used in
+ *     toolboxes and workspace contents.
+ * @param {!Object<string, string>} libraryNames Map of the block types
+ *     already checked to the names of their libraries. Used to find
+ *     duplicates.
+ * @private
+ */
+ProjectValidator.checkBlockDefinition_ = function(blockDef, libraryName,
+    issues, usedTypes, libraryNames) {
+  const blockType = blockDef.type();
+  const location = 'Block "' + blockType + '"';
+  const report = (message) => {
+    issues.push({nodeId: PREFIXES.BLOCK + '_' + blockType, categoryId: null,
+        message: location + ' ' + message});
+  };
+
+  if (libraryNames[blockType]) {
+    report('is defined in both library "' + libraryNames[blockType] +
+        '" and library "' + libraryName + '".');
+  } else {
+    libraryNames[blockType] = libraryName;
+  }
+  if (!usedTypes[blockType]) {
+    report('is not used in any toolbox or workspace contents.');
+  }
+
+  let json;
+  try {
+    json = JSON.parse(blockDef.json);
+  } catch (e) {
+    report('has a definition which is not valid JSON.');
+    return;
+  }
+  if (!json.tooltip) {
+    report('has an empty tooltip.');
+  }
+  if (!json.helpUrl) {
+    report('has an empty help URL.');
+  }
+  if (json.colour !== undefined &&
+      !ProjectValidator.isValidColour_(json.colour)) {
+    report('has an invalid colour "' + json.colour + '".');
+  }
+  // Map of each field name to the number of fields with that name.
+  const fieldCounts = Object.create(null);
+  for (let i = 0; json['message' + i] !== undefined; i++) {
+    for (let arg of json['args' + i] || []) {
+      if (!arg.name || String(arg.type).indexOf('field_') != 0) {
+        continue;
+      }
+      fieldCounts[arg.name] = (fieldCounts[arg.name] || 0) + 1;
+      if (fieldCounts[arg.name] == 2) {
+        report('has more than one field named "' + arg.name + '".');
+      }
+    }
+  }
+};
+
+/**
+ * Returns whether a colour can be used for a block or toolbox category: a hue
+ * from 0 to 360, a hex colour, or a reference to a message such as
+ * '%{BKY_LOGIC_HUE}'.
+ * @param {number|string} colour The colour to check.
+ * @return {boolean} Whether the colour is valid.
+ * @private
+ */
+ProjectValidator.isValidColour_ = function(colour) {
+  if (typeof colour == 'number') {
+    return colour >= 0 && colour <= 360;
+  }
+  colour = String(colour).trim();
+  if (/^\d+(\.\d+)?$/.test(colour)) {
+    return Number(colour) <= 360;
+  }
+  return FactoryUtils.isValidHex(colour) || /^%\{BKY_\w+\}$/.test(colour);
+};
@@ -85,7 +85,17 @@ class AppView {
         ]],
         ['Open Project', () => { this.openProject(); }],
         ['Save All', () => { this.appController.saveProject(); }],
+        ['Validate Project', () => { this.appController.validateProject(); }],
+        ['Write TypeScript Declarations', () => {
+            this.appController.setTypeDeclarations(
+                this.menuItems['Write TypeScript Declarations'].checked);
+          }, {type: 'checkbox'}],
+        ['Localize Block Text', () => {
+            this.appController.setLocalizeBlocks(
+                this.menuItems['Localize Block Text'].checked);
+          }, {type: 'checkbox'}],
         ['Import', [
+          ['Project', () => { this.importProject(); }],
           ['Blocks', () => { this.importBlocks(); }],
           ['Library', () => { this.importLibrary(); }],
           ['Toolbox', () => { this.importToolbox(); }],
@@ -93,6 +103,8 @@ class AppView {
         ]],
         ['Export', [
           ['Project', () => { this.exportProject(); }],
+          ['ES Module Package', () => { this.exportPackage(); }],
+          ['Messages', () => { this.exportMessages(); }],
           ['Current', [
             ['Library', () => { this.exportCurrentLibrary(); }],
             ['Toolbox', () => { this.exportCurrentToolbox(); }],
@@ -105,11 +117,26 @@ class AppView {
         ['Create Application for Web', () => { this.createWeb(); }]
       ]],
       ['Edit', [
+        ['Undo', () => {
+            this.appController.undo();
+          }],
+        ['Redo', () => {
+            this.appController.redo();
+          }],
         ['Delete', () => {
             this.appController.editorController.delete();
           }],
         ['Rename', () => {
             this.appController.editorController.rename();
+          }],
+        ['Extensions', () => {
+            this.appController.showExtensions();
+          }],
+        ['Field Types', () => {
+            this.appController.showFieldTypes();
+          }],
+        ['Translations', () => {
+            this.appController.showTranslations();
           }]
       ]]
     ];
@@ -139,6 +166,8 @@ class AppView {
      * @type {!HtmlElement}
      */
     this.win.menu = this.mainMenu;
+    this.updateTypeDeclarationsItem();
+    this.updateLocalizeBlocksItem();
 
     /**
      * Keeps track of which view is currently active.
@@ -197,37 +226,59 @@ class AppView {
     this.appController.readWriteController.openProject();
   }
 
+  /**
+   * Action taken when importing a project bundle.
+   */
+  importProject() {
+    this.appController.importProject();
+  }
+
   /**
    * Action taken when importing blocks.
    */
   importBlocks() {
-     // TODO #228: Fill in action.
-     console.warn('unimplemented: importBlocks');
+    this.appController.importBlockLibrary(true);
   }
 
   /**
    * Action taken when importing library.
    */
   importLibrary() {
-     // TODO #228: Fill in action.
-     console.warn('unimplemented: importLibrary');
+    this.appController.importBlockLibrary(false);
   }
 
   /**
    * Action taken when importing toolbox.
    */
   importToolbox() {
-    // TODO #228: Fill in action.
-    console.warn('unimplemented: importToolbox');
+    this.appController.importToolbox();
   }
 
   /**
    * Action taken when importing workspace.
    */
   importWorkspace() {
-     // TODO #228: Fill in action.
-     console.warn('unimplemented: importWorkspace');
+    this.appController.importWorkspaceContents();
   }
+
+  /**
+   * Checks the Write TypeScript Declarations menu item if the project has
+   * type declarations enabled, and unchecks it otherwise.
+   */
+  updateTypeDeclarationsItem() {
+    this.menuItems['Write TypeScript Declarations'].checked =
+        this.appController.project.typeDeclarations;
+  }
+
+  /**
+   * Checks the Localize Block Text menu item if the project localizes blocks,
+   * and unchecks it otherwise.
+   */
+  updateLocalizeBlocksItem() {
+    this.menuItems['Localize Block Text'].checked =
+        this.appController.project.localizeBlocks;
+  }
+
   /**
    * Action taken when creating sample Blockly web application.
    */
@@ -239,14 +290,28 @@ class AppView {
    * Calls response to selecting export project in menu.
    */
   exportProject() {
-    console.warn('unimplemented: AppView.exportProject()');
+    this.appController.exportProject();
+  }
+
+  /**
+   * Calls response to selecting export ES module package in menu.
+   */
+  exportPackage() {
+    this.appController.exportPackage();
+  }
+
+  /**
+   * Calls response to selecting export messages in menu.
+   */
+  exportMessages() {
+    this.appController.exportMessages();
   }
 
   /**
    * Calls response to selecting export current library in menu.
    */
   exportCurrentLibrary() {
-    console.warn('unimplemented: AppView.exportCurrentLibrary()');
+    this.appController.exportCurrentLibrary();
   }
 
   /**
@@ -276,11 +341,14 @@ class AppView {
    *
    * @param {!nw.Menu} menu Menu to add nodes to.
    * @param {Array} tree An array of name/value pairs for each child
-   *                     (each represented as a length 2 array).
+   *                     (each represented as a length 2 array). Leaf nodes
+   *                     may have a third element of extra nw.MenuItem
+   *                     options, e.g. {type: 'checkbox'}.
    */
   initMenuTree(menu, tree) {
     tree.forEach((pair) => {
-      if (pair.length != 2) {
+      if (pair.length != 2 && !(pair.length == 3 &&
+          typeof pair[1] === 'function')) {
         throw `Invalid name/value pair in menu tree: ${pair}`;
       }
       let label = pair[0];
@@ -293,7 +361,7 @@ class AppView {
         // When the child node is a function, no subMenu is necessary.
         // Replace node with MenuItem.
         this.menuItems[label] = this.addMenuItem(
-            menu, label, /* submenu */ null, /* callback */ pair[1]);
+            menu, label, /* submenu */ null, /* callback */ pair[1], pair[2]);
       }
     });
   }
@@ -340,14 +408,16 @@ class AppView {
    *      also have its own sub-dropdown. Optional (if unused, will be null).
    * @param {function} onclick Function defining what actions to take upon click.
    *      Optional (if unused, will be null).
+   * @param {Object=} opt_details Extra nw.MenuItem options, e.g.
+   *      {type: 'checkbox'}.
    *
    * @returns {!nw.MenuItem} MenuItem created by method.
    */
-  addMenuItem(menu, name, subMenu, onclick) {
-    let menuDetails = {
+  addMenuItem(menu, name, subMenu, onclick, opt_details) {
+    let menuDetails = Object.assign({
       label: name,
       enabled: true
-    }
+    }, opt_details);
     if (onclick !== null) {
       menuDetails.click = onclick;
     }
@@ -30,6 +30,7 @@
 goog.provide('BlockEditorView');
 
 goog.require('BlockDefinition');
+goog.require('FactoryUtils');
 
 goog.require('goog.dom');
 goog.require('goog.dom.classlist');
@@ -86,6 +87,17 @@ class BlockEditorView {
         media: 'media/'
       });
 
+    // List a field block for each custom field type of the project.
+    this.editorWorkspace.registerToolboxCategoryCallback('CUSTOM_FIELD',
+        () => FactoryUtils.getFieldTypeNames().map((type) => {
+          const block = goog.dom.createDom('block');
+          block.setAttribute('type', 'field_custom');
+          const mutation = goog.dom.createDom('mutation');
+          mutation.setAttribute('type', type);
+          block.appendChild(mutation);
+          return block;
+        }));
+
     // Initialize preview workspace.
     this.previewWorkspace = Blockly.inject('preview',
       {
@@ -151,6 +163,11 @@ class BlockEditorView {
       controller.updatePreview_();
     });
 
+    // Locale of the text of the preview block.
+    $('#previewLocale').change(() => {
+      controller.updatePreview_();
+    });
+
     // JSON <-> JS for Block Definition
     $('#format').change(() => {
       controller.changeFormat();
@@ -163,7 +180,12 @@ class BlockEditorView {
 
     // Update code generator
     $('#language').change(() => {
-      controller.updateGenerator_();
+      controller.setGeneratorLanguage($('#language').val());
+    });
+
+    // Save generator code as user edits it.
+    $('#generatorTA').on('input', () => {
+      controller.setGeneratorCode($('#generatorTA').val());
     });
   }
 
@@ -223,12 +245,15 @@ class BlockEditorView {
   }
 
   /**
-   * Updates the generator stub textarea preview.
-   * @param {string} genStubCode String representation of JavaScript generator
-   *     stub for block that is currently being edited in the view.
+   * Updates the generator textarea. Left untouched if it already shows the
+   * code, so that the cursor is kept while the user edits it.
+   * @param {string} generatorCode String representation of the JavaScript
+   *     generator for block that is currently being edited in the view.
    */
-  updateGenStub(genStubCode) {
-    FactoryUtils.injectCode(genStubCode, 'generatorPre');
+  updateGeneratorView(generatorCode) {
+    if ($('#generatorTA').val() != generatorCode) {
+      $('#generatorTA').val(generatorCode);
+    }
   }
 
   /**
@@ -298,6 +323,30 @@ class BlockEditorView {
     }
     this.previewWorkspace.clear();
   }
+
+  /**
+   * Lists the locales in which the preview block can be shown, keeping the
+   * chosen locale if it is still listed. Hides the list if there are none.
+   * @param {!Array.<string>} locales The locales, e.g. ['en', 'fr'].
+   */
+  updateLocales(locales) {
+    const select = $('#previewLocale');
+    const selected = select.val();
+    select.empty();
+    for (let locale of locales) {
+      select.append($('<option></option>').val(locale).text(locale));
+    }
+    select.val(locales.indexOf(selected) != -1 ? selected : locales[0]);
+    select.toggle(locales.length > 0);
+  }
+
+  /**
+   * Returns the locale chosen for the preview block.
+   * @return {?string} The locale, or null if none is listed.
+   */
+  getPreviewLocale() {
+    return $('#previewLocale').val() || null;
+  }
 }
 
 /**
@@ -321,6 +370,7 @@ BlockEditorView.html = `
                 <option value="ltr">LTR</option>
                 <option value="rtl">RTL</option>
               </select>
+              <select id="previewLocale"></select>
             </h3>
           </td>
         </tr>
@@ -348,7 +398,7 @@ BlockEditorView.html = `
         </tr>
         <tr>
           <td height="5%">
-            <h3>Generator stub:
+            <h3>Generator:
               <select id="language">
                 <option value="JavaScript">JavaScript</option>
                 <option value="Python">Python</option>
@@ -361,7 +411,7 @@ BlockEditorView.html = `
         </tr>
         <tr>
           <td height="25%">
-            <pre id="generatorPre"></pre>
+            <textarea id="generatorTA" spellcheck="false"></textarea>
           </td>
         </tr>
       </table>
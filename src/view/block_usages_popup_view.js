@@ -0,0 +1,70 @@
+/**
+ * @license
+ * Blockly Demos: Block Factory
+ *
+ * Copyright 2017 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+goog.provide('BlockUsagesPopupView');
+
+goog.require('PopupView');
+
+/**
+ * @fileoverview BlockUsagesPopupView lists the toolbox categories and
+ * workspace contents which use a block type.
+ */
+class BlockUsagesPopupView extends PopupView {
+  /**
+   * Manages visual elements of block usages popup.
+   * @param {!BlockUsagesPopupController} controller Controller which manages
+   *     user interaction with popup.
+   * @param {string} blockType The block type whose usages are listed.
+   * @param {!Array.<{description: string}>} usages The usages to list.
+   * @constructor
+   */
+  constructor(controller, blockType, usages) {
+    super(controller);
+    super.injectPopupContents(BlockUsagesPopupView.html);
+
+    $('#block_usages_header').text('Usages of "' + blockType + '"');
+    if (!usages.length) {
+      $('#block_usages_summary').text('This block is not used in any ' +
+          'toolbox or workspace contents.');
+      return;
+    }
+    $('#block_usages_summary').text('Select a usage to open it.');
+    usages.forEach((usage, index) => {
+      const link = $('<a href="#"></a>').text(usage.description);
+      link.click((event) => {
+        event.preventDefault();
+        this.controller.openUsage(index);
+      });
+      $('#block_usages_list').append($('<li></li>').append(link));
+    });
+  }
+}
+
+/**
+ * HTML to go within popup.
+ * @type {string}
+ */
+BlockUsagesPopupView.html = `
+<header id="block_usages_header"></header>
+<p id="block_usages_summary"></p>
+<ul id="block_usages_list"></ul>
+`;
@@ -0,0 +1,130 @@
+/**
+ * @license
+ * Blockly Demos: Block Factory
+ *
+ * Copyright 2017 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+goog.provide('ExtensionsPopupView');
+
+goog.require('PopupView');
+
+/**
+ * @fileoverview ExtensionsPopupView deals with the UI for editing the
+ * extensions defined in a project.
+ */
+class ExtensionsPopupView extends PopupView {
+  /**
+   * Manages visual elements of extensions popup.
+   * @param {!ExtensionsPopupController} controller Controller which manages
+   *     user interaction with popup.
+   * @constructor
+   */
+  constructor(controller) {
+    super(controller);
+    super.injectPopupContents(ExtensionsPopupView.html);
+
+    $('#extension_list').change(() => {
+      this.controller.selectExtension($('#extension_list').val());
+    });
+
+    $('#button_saveExtension').click((event) => {
+      event.preventDefault();
+      this.controller.saveExtensionIfValid();
+    });
+
+    $('#button_deleteExtension').click((event) => {
+      event.preventDefault();
+      this.controller.deleteExtension();
+    });
+  }
+
+  /**
+   * Lists the extensions to choose from, after an option for a new extension,
+   * and selects one of them.
+   * @param {!Array.<string>} names Names of the extensions.
+   * @param {string} selected Name of the extension to select, or an empty
+   *     string for a new extension.
+   */
+  showExtensionList(names, selected) {
+    const list = $('#extension_list').empty();
+    list.append($('<option value=""></option>').text('New Extension'));
+    for (let name of names) {
+      list.append($('<option></option>').val(name).text(name));
+    }
+    list.val(selected);
+  }
+
+  /**
+   * Shows an extension in the editing form.
+   * @param {string} name Name of the extension.
+   * @param {string} code JavaScript source of the extension.
+   * @param {boolean} isNew Whether the extension is not saved yet, in which
+   *     case it cannot be deleted.
+   */
+  showExtension(name, code, isNew) {
+    $('#extension_name').val(name);
+    $('#extension_code').val(code);
+    $('#button_deleteExtension').prop('disabled', isNew);
+    this.setWarning('');
+  }
+
+  /**
+   * Returns the name entered in the form.
+   * @return {string} The name, without surrounding whitespace.
+   */
+  getName() {
+    return $('#extension_name').val().trim();
+  }
+
+  /**
+   * Returns the code entered in the form.
+   * @return {string} JavaScript source of the extension.
+   */
+  getCode() {
+    return $('#extension_code').val();
+  }
+
+  /**
+   * Shows a warning about the extension being edited.
+   * @param {string} warning The warning, or an empty string to clear it.
+   */
+  setWarning(warning) {
+    $('#extension_warning').text(warning);
+  }
+}
+
+/**
+ * HTML to go within popup.
+ * @type {string}
+ */
+ExtensionsPopupView.html = `
+<header>Extensions</header>
+<p>An extension is a function which is called on each block that applies it,
+or an object literal whose properties are mixed into the block. Apply an
+extension by adding it to a block in the block editor.</p>
+<form>
+  <select id="extension_list"></select><br>
+  <input type="text" id="extension_name" placeholder="Extension Name"></input><br>
+  <textarea id="extension_code" rows="12" spellcheck="false"></textarea><br>
+  <span id="extension_warning" class="red"></span><br>
+  <button id="button_deleteExtension">Delete Extension</button>
+  <button class="create" id="button_saveExtension" style="float: right;">Save Extension</button>
+</form>
+`;
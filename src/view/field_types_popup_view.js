@@ -0,0 +1,144 @@
+/**
+ * @license
+ * Blockly Demos: Block Factory
+ *
+ * Copyright 2017 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+goog.provide('FieldTypesPopupView');
+
+goog.require('PopupView');
+
+/**
+ * @fileoverview FieldTypesPopupView deals with the UI for editing the custom
+ * field types defined in a project.
+ */
+class FieldTypesPopupView extends PopupView {
+  /**
+   * Manages visual elements of field types popup.
+   * @param {!FieldTypesPopupController} controller Controller which manages
+   *     user interaction with popup.
+   * @constructor
+   */
+  constructor(controller) {
+    super(controller);
+    super.injectPopupContents(FieldTypesPopupView.html);
+
+    $('#field_type_list').change(() => {
+      this.controller.selectFieldType($('#field_type_list').val());
+    });
+
+    $('#button_saveFieldType').click((event) => {
+      event.preventDefault();
+      this.controller.saveFieldTypeIfValid();
+    });
+
+    $('#button_deleteFieldType').click((event) => {
+      event.preventDefault();
+      this.controller.deleteFieldType();
+    });
+  }
+
+  /**
+   * Lists the field types to choose from, after an option for a new field
+   * type, and selects one of them.
+   * @param {!Array.<string>} types The field types.
+   * @param {string} selected The field type to select, or an empty string for
+   *     a new field type.
+   */
+  showFieldTypeList(types, selected) {
+    const list = $('#field_type_list').empty();
+    list.append($('<option value=""></option>').text('New Field Type'));
+    for (let type of types) {
+      list.append($('<option></option>').val(type).text(type));
+    }
+    list.val(selected);
+  }
+
+  /**
+   * Shows a field type in the editing form.
+   * @param {string} type The field type.
+   * @param {string} params JSON object of the default value of each parameter
+   *     of the field type.
+   * @param {string} code JavaScript source of the field class.
+   * @param {boolean} isNew Whether the field type is not saved yet, in which
+   *     case it cannot be deleted.
+   */
+  showFieldType(type, params, code, isNew) {
+    $('#field_type_name').val(type);
+    $('#field_type_params').val(params);
+    $('#field_type_code').val(code);
+    $('#button_deleteFieldType').prop('disabled', isNew);
+    this.setWarning('');
+  }
+
+  /**
+   * Returns the field type entered in the form.
+   * @return {string} The field type, without surrounding whitespace.
+   */
+  getType() {
+    return $('#field_type_name').val().trim();
+  }
+
+  /**
+   * Returns the parameters entered in the form.
+   * @return {string} JSON object of the default value of each parameter.
+   */
+  getParams() {
+    return $('#field_type_params').val();
+  }
+
+  /**
+   * Returns the code entered in the form.
+   * @return {string} JavaScript source of the field class.
+   */
+  getCode() {
+    return $('#field_type_code').val();
+  }
+
+  /**
+   * Shows a warning about the field type being edited.
+   * @param {string} warning The warning, or an empty string to clear it.
+   */
+  setWarning(warning) {
+    $('#field_type_warning').text(warning);
+  }
+}
+
+/**
+ * HTML to go within popup.
+ * @type {string}
+ */
+FieldTypesPopupView.html = `
+<header>Field Types</header>
+<p>A custom field type is a field class which is created from the JSON
+parameters of the field with its static fromJson() function. Add a field of the
+type to a block from the Custom Field category of the block editor.</p>
+<form>
+  <select id="field_type_list"></select><br>
+  <input type="text" id="field_type_name" placeholder="field_slider"></input><br>
+  <label for="field_type_params">Parameters and their default values:</label><br>
+  <textarea id="field_type_params" class="field_type_code" rows="4" spellcheck="false"></textarea><br>
+  <label for="field_type_code">Field class:</label><br>
+  <textarea id="field_type_code" class="field_type_code" rows="10" spellcheck="false"></textarea><br>
+  <span id="field_type_warning" class="red"></span><br>
+  <button id="button_deleteFieldType">Delete Field Type</button>
+  <button class="create" id="button_saveFieldType" style="float: right;">Save Field Type</button>
+</form>
+`;
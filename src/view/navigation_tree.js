@@ -63,29 +63,10 @@ class NavigationTree {
         'check_callback': true,
         'data': data
       },
-      'plugins': [ 'contextmenu', 'dnd', 'crrm'],
+      'plugins': ['contextmenu', 'types'],
       'contextmenu': {
-        'items': {
-          'create': {
-            'label': 'Add',
-            'action': function (obj) {
-              $('#navigationTree').jstree().create_node(
-                '#',
-                { 'id': 'ajason5', 'text': 'new_block' },
-                'last',
-                null
-                );
-            },
-          },
-          'delete': {
-            'label': 'Delete Block',
-            'action': function(obj) {
-              $('#navigationTree').jstree().delete_node('#nodeId');
-            }
-          }
-        }
+        'items': (node) => this.createMenu_(node)
       },
-      'plugins' : ['types'],
       'types': Object.create(null)  // See below.
      };
 
@@ -246,10 +227,17 @@ class NavigationTree {
   }
 
   /**
-   * Clears the tree.
+   * Clears the tree and rebuilds it from the current project.
+   * @param {function=} opt_onReady Function to execute when the rebuilt tree is
+   *     finished loading.
    */
-  clear() {
+  clear(opt_onReady) {
     $('#navigationTree').jstree('destroy');
+    // Destroying the tree unbinds its event handlers, so the ready handler must
+    // be registered afterwards.
+    if (opt_onReady) {
+      this.ready(opt_onReady);
+    }
     this.makeTree_();
   }
 
@@ -324,35 +312,23 @@ class NavigationTree {
 
   /**
    * Creates menu for right click functionality.
-   * @return {!Object} The right click menu for the nodes in the tree.
+   * @param {!Object} node The jstree node which was right clicked.
+   * @return {!Object} The right click menu for the node. Empty if there are no
+   *     actions for the node.
    * @private
    */
-   createMenu_() {
-    // TODO(#210): add right click functionality to tree
-    const items = {
-      renameElement : {
-        label: 'Rename',
-        action: () => {
-          // TODO: add function for renaming node and associated element
-          console.warn('Action undefined');
-        }
-      },
-      deleteElement : {
-        label: 'Delete',
+  createMenu_(node) {
+    // TODO(#210): Add renaming, deleting and exporting the resource of a node.
+    const items = {};
+    const prefix = node.id.split(/_(.+)/)[0];
+    if (prefix === PREFIXES.BLOCK) {
+      items.findUsages = {
+        label: 'Find usages',
         action: () => {
-          // TODO: add function for deleting node and associated element
-          console.warn('Action undefined');
+          this.appController.showBlockUsages(NavigationTree.getName(node.id));
         }
-      },
-      exportElement : {
-        label: 'Export',
-        action: () => {
-          // TODO: add function for exporting associated element
-          console.warn('Action undefined');
-        }
-      }
-    };
-    //TOOD: Add if statements for type-specfic options (as needed).
+      };
+    }
     return items;
   }
 
@@ -0,0 +1,126 @@
+/**
+ * @license
+ * Blockly Demos: Block Factory
+ *
+ * Copyright 2017 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+goog.provide('TranslationsPopupView');
+
+goog.require('PopupView');
+
+/**
+ * @fileoverview TranslationsPopupView shows the messages of the blocks of a
+ * project in a grid, with a column for each locale in which they can be
+ * translated.
+ */
+class TranslationsPopupView extends PopupView {
+  /**
+   * Manages visual elements of translations popup.
+   * @param {!TranslationsPopupController} controller Controller which manages
+   *     user interaction with popup.
+   * @constructor
+   */
+  constructor(controller) {
+    super(controller);
+    super.injectPopupContents(TranslationsPopupView.html);
+
+    $('#button_addLocale').click((event) => {
+      event.preventDefault();
+      this.controller.addLocaleIfValid($('#new_locale').val());
+    });
+
+    // Resets warning on locale.
+    $('#new_locale').change(() => {
+      this.setWarning('');
+    });
+  }
+
+  /**
+   * Shows the messages in a grid, with a row for each message. The text in
+   * the default locale is read-only; the other locales have a text box for
+   * the translation of each message.
+   * @param {string} defaultLocale The default locale.
+   * @param {!Object<string, string>} messages Map of the key of each message
+   *     to its text in the default locale.
+   * @param {!Object<string, !Object<string, string>>} translations Map of the
+   *     other locales to their translated messages.
+   */
+  showGrid(defaultLocale, messages, translations) {
+    const grid = $('#translations_grid').empty();
+    const locales = Object.keys(translations).sort();
+    const header = $('<tr></tr>').appendTo(grid);
+    header.append($('<th></th>').text('Key'));
+    header.append($('<th></th>').text(defaultLocale));
+    for (let locale of locales) {
+      const remove = $('<a href="#" title="Remove locale">x</a>');
+      remove.click((event) => {
+        event.preventDefault();
+        this.controller.removeLocale(locale);
+      });
+      header.append($('<th></th>').text(locale + ' ').append(remove));
+    }
+
+    for (let key of Object.keys(messages).sort()) {
+      const row = $('<tr></tr>').appendTo(grid);
+      row.append($('<td></td>').text(key));
+      row.append($('<td></td>').text(messages[key]));
+      for (let locale of locales) {
+        const input = $('<input type="text">')
+            .val(translations[locale][key] || '')
+            .attr('placeholder', messages[key]);
+        input.change(() => {
+          this.controller.setTranslation(locale, key, input.val());
+        });
+        row.append($('<td></td>').append(input));
+      }
+    }
+  }
+
+  /**
+   * Shows a description of the translations above the grid.
+   * @param {string} summary The description.
+   */
+  setSummary(summary) {
+    $('#translations_summary').text(summary);
+  }
+
+  /**
+   * Shows a warning about the locale being added.
+   * @param {string} warning The warning, or an empty string to clear it.
+   */
+  setWarning(warning) {
+    $('#translations_warning').text(warning);
+  }
+}
+
+/**
+ * HTML to go within popup.
+ * @type {string}
+ */
+TranslationsPopupView.html = `
+<header>Translations</header>
+<p id="translations_summary"></p>
+<form>
+  <input type="text" id="new_locale" placeholder="Locale, e.g. fr"></input>
+  <button id="button_addLocale">Add Locale</button><br>
+  <span id="translations_warning" class="red"></span>
+</form>
+<table id="translations_grid"></table>
+`;
@@ -0,0 +1,69 @@
+/**
+ * @license
+ * Blockly Demos: Block Factory
+ *
+ * Copyright 2017 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+goog.provide('ValidationPopupView');
+
+goog.require('PopupView');
+
+/**
+ * @fileoverview ValidationPopupView shows the problems found when validating
+ * a project.
+ */
+class ValidationPopupView extends PopupView {
+  /**
+   * Manages visual elements of validation popup.
+   * @param {!ValidationPopupController} controller Controller which manages
+   *     user interaction with popup.
+   * @param {!Array.<!ProjectValidator.Issue>} issues The problems to list.
+   * @constructor
+   */
+  constructor(controller, issues) {
+    super(controller);
+    super.injectPopupContents(ValidationPopupView.html);
+
+    if (!issues.length) {
+      $('#validation_summary').text('No problems were found.');
+      return;
+    }
+    $('#validation_summary').text(issues.length +
+        (issues.length == 1 ? ' problem was' : ' problems were') +
+        ' found. Select a problem to open the resource it is in.');
+    issues.forEach((issue, index) => {
+      const link = $('<a href="#"></a>').text(issue.message);
+      link.click((event) => {
+        event.preventDefault();
+        this.controller.openIssue(index);
+      });
+      $('#validation_issues').append($('<li></li>').append(link));
+    });
+  }
+}
+
+/**
+ * HTML to go within popup.
+ * @type {string}
+ */
+ValidationPopupView.html = `
+<header>Validate Project</header>
+<p id="validation_summary"></p>
+<ul id="validation_issues"></ul>
+`;
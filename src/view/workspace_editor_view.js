@@ -413,6 +413,18 @@ class WorkspaceEditorView {
     this.removeShadowButton.style.display = show ? 'inline-block' : 'none';
   }
 
+  /**
+   * Shows code generated from the workspace preview in the generated code
+   * panel.
+   * @param {string} text The generated code, or a description of why code
+   *     could not be generated.
+   * @param {boolean} isError Whether code could not be generated.
+   */
+  showGeneratedCode(text, isError) {
+    $('#workspaceGeneratedCode').text(text);
+    $('#workspaceGeneratedCode').toggleClass('generatorError', isError);
+  }
+
   /**
    * Refreshes any information in the view (such as the name of the currently
    * edited workspace contents) to match any changes in the WorkspaceContents
@@ -506,6 +518,11 @@ WorkspaceEditorView.html = `
       <p>This is what your custom workspace will look like without your toolbox.</p>
     </div>
     <div id="workspacePreview" class="content"></div>
+    <div id="generatedCodeHelp">
+      <h3>Generated Code</h3>
+      <p>This is the code your project's generators produce for the preview.</p>
+    </div>
+    <pre id="workspaceGeneratedCode"></pre>
   </div>
 </aside>
 `;
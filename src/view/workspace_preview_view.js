@@ -18,12 +18,14 @@
  * limitations under the License.
  */
 
+
 /**
  * @fileoverview WorkspacePreviewView is the view of the preview workspace popup. This popup
  * is presented to the user when they want to test the combinations of their Blockly
  * elements in a complete workspace. Users can choose a Toolbox, WorkspaceContents,
- * and WorkspaceConfig and preview it as a Blockly.Workspace in this window, and
- * export it as a sample application if they like.
+ * and WorkspaceConfig for each workspace of the application and preview them as
+ * Blockly.Workspaces in this window, and export it as a sample application if
+ * they like.
  *
  * @authors sagev@google.com (Sage Vouse), celinechoo (Celine Choo)
  */
@@ -32,28 +34,178 @@
 
 goog.provide('WorkspacePreviewView');
 
+goog.require('PopupView');
+
 class WorkspacePreviewView extends PopupView {
   /**
    * @constructor Creates Preview for sample Blockly application before export.
+   * @param {!WorkspacePreviewController} controller Controller which manages
+   *     user interaction with popup.
+   * @param {!Project} project The project whose resources can be chosen.
+   * @param {!Object} options The resources chosen initially, as returned by
+   *     ProjectController.getDefaultSampleAppOptions().
    */
-  constructor() {
-    super();
+  constructor(controller, project, options) {
+    super(controller);
 
     /**
-     * HTML contents of what is inside popup window. Does not include the popup
-     * window itself.
-     * @type {string}
+     * The project whose resources can be chosen.
+     * @type {!Project}
      */
-    this.htmlContents = `
-<div class="sample"></div>
-`;
+    this.project = project;
+
+    super.injectPopupContents(WorkspacePreviewView.html);
 
-    super.injectPopupContents(this.htmlContents);
-    // TODO: Show popup.
+    for (let libraryName of project.getBlockLibraryNames()) {
+      const checkbox = $('<input type="checkbox">').val(libraryName)
+          .prop('checked', options.libraryNames.indexOf(libraryName) != -1);
+      $('#sample_libraries').append($('<label></label>').append(checkbox)
+          .append(document.createTextNode(' ' + libraryName))).append('<br>');
+    }
+    $('#sample_libraries input').change(() => {
+      this.controller.updatePreview();
+    });
+    this.showTargets(options.targets);
+
+    $('#sample_addTarget').click((event) => {
+      event.preventDefault();
+      this.controller.addTarget();
+    });
+    $('#sample_export').click((event) => {
+      event.preventDefault();
+      this.controller.exportApplication();
+    });
+  }
+
+  /**
+   * Shows the injection targets of the application, each with the resources
+   * chosen for it and the div its preview is injected into.
+   * @param {!Array.<!Object>} targets The injection targets, as described in
+   *     ProjectController.generateInjectString.
+   */
+  showTargets(targets) {
+    $('#sample_targets').empty();
+    targets.forEach((target, index) => {
+      const fieldset = $(WorkspacePreviewView.targetHtml);
+      fieldset.find('.sample_div').val(target.div);
+      WorkspacePreviewView.addOptions_(fieldset.find('.sample_toolbox'),
+          [''].concat(this.project.getToolboxNames()),
+          target.toolboxName || '');
+      WorkspacePreviewView.addOptions_(
+          fieldset.find('.sample_workspaceContents'),
+          [''].concat(this.project.getWorkspaceContentsNames()),
+          target.workspaceContentsName || '');
+      WorkspacePreviewView.addOptions_(fieldset.find('.sample_workspaceConfig'),
+          this.project.getWorkspaceConfigurationNames(),
+          target.workspaceConfigName);
+      fieldset.find('.sample_preview').attr('id',
+          WorkspacePreviewView.getPreviewId(index));
+      fieldset.find('select').change(() => {
+        this.controller.updatePreview();
+      });
+      if (targets.length > 1) {
+        fieldset.find('.sample_removeTarget').click((event) => {
+          event.preventDefault();
+          this.controller.removeTarget(index);
+        });
+      } else {
+        fieldset.find('.sample_removeTarget').hide();
+      }
+      $('#sample_targets').append(fieldset);
+    });
+  }
 
-    // TODO: Set up event listener for when popup is exited.
+  /**
+   * Returns the ID of the div in which the preview of an injection target is
+   * shown.
+   * @param {number} index Index of the injection target.
+   * @return {string} ID of the div.
+   */
+  static getPreviewId(index) {
+    return 'sample_preview_' + index;
+  }
 
-    // TODO: Set up event listener for submitting information. Pass it on
-    //       to project_controller.js to export.
+  /**
+   * Adds an option for each resource name to a select element.
+   * @param {!jQuery} select The select element.
+   * @param {!Array.<string>} names Names of the resources. An empty name is
+   *     shown as "None".
+   * @param {?string} selected Name of the resource to select.
+   * @private
+   */
+  static addOptions_(select, names, selected) {
+    for (let name of names) {
+      select.append($('<option></option>').val(name)
+          .text(name || 'None').prop('selected', name === selected));
+    }
+  }
+
+  /**
+   * Returns the resources chosen by the user.
+   * @return {!Object} Options for the sample application, as described in
+   *     ProjectController.generateInjectString.
+   */
+  getOptions() {
+    return {
+      libraryNames: $('#sample_libraries input:checked').map(
+          (index, checkbox) => checkbox.value).get(),
+      targets: $('#sample_targets fieldset').map((index, fieldset) => {
+        fieldset = $(fieldset);
+        return {
+          div: fieldset.find('.sample_div').val().trim(),
+          toolboxName: fieldset.find('.sample_toolbox').val() || null,
+          workspaceContentsName:
+              fieldset.find('.sample_workspaceContents').val() || null,
+          workspaceConfigName:
+              fieldset.find('.sample_workspaceConfig').val() || null
+        };
+      }).get()
+    };
+  }
+
+  /**
+   * Shows a warning above the export button, or hides it.
+   * @param {string} warning The warning, or an empty string to hide it.
+   */
+  setWarning(warning) {
+    $('#sample_warning').text(warning).toggle(!!warning);
   }
 }
+
+/**
+ * HTML contents of what is inside popup window. Does not include the popup
+ * window itself.
+ * @type {string}
+ */
+WorkspacePreviewView.html = `
+<header>Sample Application</header>
+<form>
+  Block libraries<br>
+  <div id="sample_libraries"></div><br>
+  <div id="sample_targets"></div>
+  <button id="sample_addTarget">Add workspace</button><br><br>
+  <p id="sample_warning" class="red"></p>
+  <span style="float: right;">
+  <button type="submit" id="sample_export" class="action">Export</button>
+  </span>
+</form>
+`;
+
+/**
+ * HTML for the resources and preview of one injection target.
+ * @type {string}
+ */
+WorkspacePreviewView.targetHtml = `
+<fieldset>
+  ID of the div to inject into<br>
+  <input type="text" class="sample_div" style="width:100%"></input><br><br>
+  Toolbox<br>
+  <select class="sample_toolbox" style="width:100%"></select><br><br>
+  Workspace contents<br>
+  <select class="sample_workspaceContents" style="width:100%"></select><br><br>
+  Workspace configuration<br>
+  <select class="sample_workspaceConfig" style="width:100%"></select><br><br>
+  <div class="sample_preview"></div><br>
+  <button class="sample_removeTarget">Remove workspace</button>
+</fieldset>
+`;
@@ -0,0 +1,57 @@
+/**
+ * @license
+ * Blockly Demos: Block Factory
+ *
+ * Copyright 2017 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for building projects outside of the editor.
+ */
+
+'use strict';
+
+function test_getPackageFiles_collidingModuleNames() {
+  const project = new Project('MyProject');
+  for (let name of ['My Toolbox', 'My_Toolbox', 'my toolbox']) {
+    project.addToolbox(new Toolbox(name));
+  }
+  const files = new ProjectBuilder(project, null).getPackageFiles();
+  const toolboxFiles = Object.keys(files).filter(
+      (filename) => filename.indexOf('toolboxes/') == 0);
+  assertEquals('toolboxes/My_Toolbox.js,toolboxes/My_Toolbox_2.js,' +
+      'toolboxes/my_toolbox_3.js', toolboxFiles.join(','));
+  assertTrue(files['toolboxes/My_Toolbox_2.js'].indexOf(
+      'XML of the My_Toolbox toolbox.') != -1);
+  assertTrue(files['index.js'].indexOf(
+      'import toolboxes_2 from \'./toolboxes/my_toolbox_3.js\';') != -1);
+  assertTrue(files['index.js'].indexOf('  "my toolbox": toolboxes_2') != -1);
+}
+
+function test_getBuildFiles_unsafeAndCollidingNames() {
+  const project = new Project('MyProject');
+  for (let name of ['../../evil', 'My Toolbox', 'my_toolbox']) {
+    project.addToolbox(new Toolbox(name));
+  }
+  const files = new ProjectBuilder(project, null).getBuildFiles();
+  const toolboxFiles = Object.keys(files).filter(
+      (filename) => filename.indexOf(PREFIXES.TOOLBOX + '_') == 0);
+  assertEquals([
+    PREFIXES.TOOLBOX + '_.._.._evil.js',
+    PREFIXES.TOOLBOX + '_My_Toolbox.js',
+    PREFIXES.TOOLBOX + '_my_toolbox_2.js'
+  ].join(','), toolboxFiles.join(','));
+}
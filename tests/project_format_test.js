@@ -0,0 +1,226 @@
+/**
+ * @license
+ * Blockly Demos: Block Factory
+ *
+ * Copyright 2017 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for validating and migrating DevTools project documents.
+ * @author sagev (Sage Vouse)
+ */
+
+'use strict';
+
+/**
+ * Returns a valid project document of the current format version.
+ * @return {!Object} Project document.
+ */
+function makeProjectDocument() {
+  return {
+    formatVersion: ProjectFormat.CURRENT_VERSION,
+    name: 'MyProject',
+    platform: 'web',
+    generatorLanguage: 'JavaScript',
+    typeDeclarations: false,
+    extensions: {
+      'red_warning': 'function() {\n  this.setWarningText(\'Red\');\n}'
+    },
+    localizeBlocks: true,
+    defaultLocale: 'en',
+    translations: {
+      'pt-br': {'MY_BLOCK_MESSAGE0': 'meu bloco'}
+    },
+    fieldTypes: {
+      'field_slider': {
+        params: {value: 50, min: 0, max: 100},
+        code: 'class extends Blockly.FieldNumber {\n  static fromJson(options) ' +
+            '{\n    return new this(options.value);\n  }\n}'
+      }
+    },
+    resources: [
+      {
+        name: 'MyLibrary',
+        resourceType: 'BlockLibrary',
+        file: 'BlockLibrary_MyLibrary.json',
+        web: {export: true, filepath: '/project/BlockLibrary_MyLibrary.js'},
+        blocks: [{
+          type: 'my_block',
+          json: {type: 'my_block', message0: 'my block'},
+          xml: '<xml><block type="factory_base"></block></xml>',
+          generators: {JavaScript: 'Blockly.JavaScript[\'my_block\'] = ' +
+              'function(block) {\n  return \'\';\n};'}
+        }]
+      },
+      {
+        name: 'MyToolbox',
+        resourceType: 'Toolbox',
+        file: 'Toolbox_MyToolbox.json',
+        web: {export: true, filepath: '/project/Toolbox_MyToolbox.js'},
+        xml: '<xml><category name="Blocks"><block type="my_block"></block>' +
+            '</category></xml>'
+      },
+      {
+        name: 'MyConfig',
+        resourceType: 'WorkspaceConfiguration',
+        file: 'WorkspaceConfiguration_MyConfig.json',
+        web: {export: true, filepath: '/project/WorkspaceConfiguration_MyConfig.js'},
+        options: {maxBlocks: null, trashcan: true}
+      }
+    ]
+  };
+}
+
+function test_validate_validDocument() {
+  assertEquals(0, ProjectFormat.validate(makeProjectDocument()).length);
+}
+
+function test_validate_reportsPaths() {
+  const doc = makeProjectDocument();
+  doc.name = '';
+  doc.resources[0].blocks[0].json.type = 'other_block';
+  doc.resources[1].xml = '<xml><category></xml>';
+  doc.resources[2].resourceType = 'Workspace';
+  const errors = ProjectFormat.validate(doc);
+  assertEquals(4, errors.length);
+  assertEquals(0, errors[0].indexOf('name:'));
+  assertEquals(0, errors[1].indexOf('resources[0].blocks[0].json.type:'));
+  assertEquals(0, errors[2].indexOf('resources[1].xml: XML is not well-formed'));
+  assertEquals(0, errors[3].indexOf('resources[2].resourceType:'));
+}
+
+function test_validate_translations() {
+  const doc = makeProjectDocument();
+  doc.defaultLocale = 'en/us';
+  doc.translations['fr'] = {'MY_BLOCK_MESSAGE0': null};
+  const errors = ProjectFormat.validate(doc);
+  assertEquals(2, errors.length);
+  assertEquals(0, errors[0].indexOf('defaultLocale: expected a locale'));
+  assertEquals('translations.fr.MY_BLOCK_MESSAGE0: expected a string but ' +
+      'found null.', errors[1]);
+}
+
+function test_validate_fieldTypes() {
+  const doc = makeProjectDocument();
+  doc.fieldTypes['field_number'] = {params: {}, code: 'class {}'};
+  doc.fieldTypes['slider'] = {params: [], code: 'class {}'};
+  const errors = ProjectFormat.validate(doc);
+  assertEquals(3, errors.length);
+  assertEquals('fieldTypes: expected a custom field type such as ' +
+      '"field_slider" but found string "field_number".', errors[0]);
+  assertEquals('fieldTypes: expected a custom field type such as ' +
+      '"field_slider" but found string "slider".', errors[1]);
+  assertEquals('fieldTypes.slider.params: expected an object but found an ' +
+      'array.', errors[2]);
+}
+
+function test_validate_duplicateBlockTypes() {
+  const doc = makeProjectDocument();
+  const library = doc.resources[0];
+  library.blocks.push(JSON.parse(JSON.stringify(library.blocks[0])));
+  const errors = ProjectFormat.validate(doc);
+  assertEquals(1, errors.length);
+  assertEquals('resources[0].blocks[1].type: block "my_block" is already ' +
+      'defined at resources[0].blocks[0].', errors[0]);
+}
+
+function test_migrate_version1() {
+  const doc = makeProjectDocument();
+  delete doc.formatVersion;
+  delete doc.generatorLanguage;
+  delete doc.typeDeclarations;
+  delete doc.extensions;
+  delete doc.localizeBlocks;
+  delete doc.defaultLocale;
+  delete doc.translations;
+  delete doc.fieldTypes;
+  for (let resource of doc.resources) {
+    delete resource.file;
+  }
+  delete doc.resources[0].blocks[0].xml;
+  delete doc.resources[0].blocks[0].generators;
+
+  const migrated = ProjectFormat.migrate(doc);
+  assertEquals(ProjectFormat.CURRENT_VERSION, migrated.formatVersion);
+  assertEquals('Toolbox_MyToolbox.json', migrated.resources[1].file);
+  assertEquals(null, migrated.resources[0].blocks[0].xml);
+  assertEquals('JavaScript', migrated.generatorLanguage);
+  assertEquals(false, migrated.typeDeclarations);
+  assertEquals(0, Object.keys(migrated.extensions).length);
+  assertEquals(false, migrated.localizeBlocks);
+  assertEquals('en', migrated.defaultLocale);
+  assertEquals(0, Object.keys(migrated.translations).length);
+  assertEquals(0, Object.keys(migrated.fieldTypes).length);
+  assertEquals(0,
+      Object.keys(migrated.resources[0].blocks[0].generators).length);
+  assertEquals(0, ProjectFormat.validate(migrated).length);
+}
+
+function test_migrate_versions2To7() {
+  // Properties of the project document added by each format version.
+  const addedProperties = {
+    3: ['generatorLanguage'],
+    5: ['typeDeclarations'],
+    6: ['extensions'],
+    7: ['localizeBlocks', 'defaultLocale', 'translations'],
+    8: ['fieldTypes']
+  };
+  for (let version = 2; version < ProjectFormat.CURRENT_VERSION; version++) {
+    const doc = makeProjectDocument();
+    doc.formatVersion = version;
+    for (let addedIn in addedProperties) {
+      if (addedIn > version) {
+        for (let property of addedProperties[addedIn]) {
+          delete doc[property];
+        }
+      }
+    }
+
+    // The blocks already have generators, which are kept.
+    const migrated = ProjectFormat.migrate(doc);
+    assertEquals(ProjectFormat.CURRENT_VERSION, migrated.formatVersion);
+    assertEquals(1,
+        Object.keys(migrated.resources[0].blocks[0].generators).length);
+    assertEquals(0, ProjectFormat.validate(migrated).length);
+  }
+}
+
+function test_migrate_newerVersion() {
+  const doc = makeProjectDocument();
+  doc.formatVersion = ProjectFormat.CURRENT_VERSION + 1;
+  try {
+    ProjectFormat.migrate(doc);
+  } catch (e) {
+    return;
+  }
+  fail('Migrating a document from a newer format version should throw.');
+}
+
+function test_getProjectBundle_isValidDocument() {
+  const project = new Project('BundledProject');
+  const library = new BlockLibrary('MyLibrary');
+  library.add(new BlockDefinition('my_block'));
+  project.addBlockLibrary(library);
+  project.addToolbox(new Toolbox('MyToolbox'));
+  project.addWorkspaceConfiguration(new WorkspaceConfiguration('MyConfig'));
+
+  const bundle = ProjectFormat.getProjectBundle(project);
+  assertEquals(3, bundle.resources.length);
+  assertEquals('', bundle.resources[1].web.filepath);
+  assertEquals(undefined, bundle.resources[1].file);
+  assertEquals(0, ProjectFormat.validate(
+      JSON.parse(JSON.stringify(bundle))).length);
+}
@@ -0,0 +1,130 @@
+/**
+ * @license
+ * Blockly Demos: Block Factory
+ *
+ * Copyright 2017 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for undoing and redoing project-level operations.
+ */
+
+'use strict';
+
+/**
+ * Sets state.value and records the operation. Undoing and redoing it return
+ * the node ID "Node_" followed by the value it sets.
+ * @param {!ProjectHistory} history History to record the operation in.
+ * @param {!Object} state Object whose value the operation changes.
+ * @param {*} value The new value.
+ */
+function setAndRecord(history, state, value) {
+  const oldValue = state.value;
+  state.value = value;
+  history.record('Set ' + value,
+      () => {
+        state.value = oldValue;
+        return 'Node_' + oldValue;
+      },
+      () => {
+        state.value = value;
+        return 'Node_' + value;
+      });
+}
+
+function test_undoRedo() {
+  const history = new ProjectHistory();
+  const state = {value: 0};
+  setAndRecord(history, state, 1);
+  setAndRecord(history, state, 2);
+
+  assertEquals('Set 2', history.getUndoLabel());
+  assertEquals('Node_1', history.undo());
+  assertEquals(1, state.value);
+  assertEquals('Node_0', history.undo());
+  assertEquals(0, state.value);
+  assertFalse(history.canUndo());
+  assertEquals(null, history.undo());
+
+  assertEquals('Node_1', history.redo());
+  assertEquals(1, state.value);
+  assertEquals('Set 2', history.getRedoLabel());
+}
+
+function test_recordClearsRedo() {
+  const history = new ProjectHistory();
+  const state = {value: 0};
+  setAndRecord(history, state, 1);
+  history.undo();
+  setAndRecord(history, state, 3);
+  assertFalse(history.canRedo());
+  history.undo();
+  assertEquals(0, state.value);
+}
+
+function test_extendLast() {
+  const history = new ProjectHistory();
+  const state = {value: 0, other: 'a'};
+  setAndRecord(history, state, 1);
+  state.other = 'b';
+  history.extendLast(
+      () => {
+        state.other = 'a';
+        return null;
+      },
+      () => {
+        state.other = 'b';
+        return null;
+      });
+
+  assertEquals('Node_0', history.undo());
+  assertEquals(0, state.value);
+  assertEquals('a', state.other);
+  assertFalse(history.canUndo());
+  assertEquals('Node_1', history.redo());
+  assertEquals('b', state.other);
+}
+
+function test_renameResource() {
+  const project = new Project('MyProject');
+  const toolbox = new Toolbox('A');
+  project.addToolbox(toolbox);
+  project.addToolbox(new Toolbox('B'));
+  const renamedNodes = [];
+  const tree = {
+    renameNode: (id, newName) => renamedNodes.push(id + '>' + newName)
+  };
+  const projectController = new ProjectController(project, tree);
+
+  // Renaming to the same name, an empty name or a used name does nothing.
+  assertTrue(projectController.rename(toolbox, 'A'));
+  assertFalse(projectController.rename(toolbox, ' '));
+  assertFalse(projectController.rename(toolbox, 'B'));
+  assertFalse(projectController.history.canUndo());
+  assertEquals(0, renamedNodes.length);
+
+  assertTrue(projectController.rename(toolbox, 'C'));
+  assertEquals(PREFIXES.TOOLBOX + '_A>C', renamedNodes.join(','));
+  assertEquals(toolbox, project.getToolbox('C'));
+  assertUndefined(project.getToolbox('A'));
+
+  assertEquals(PREFIXES.TOOLBOX + '_A', projectController.undo());
+  assertEquals('A', toolbox.name);
+  assertEquals(toolbox, project.getToolbox('A'));
+  assertUndefined(project.getToolbox('C'));
+  assertEquals(PREFIXES.TOOLBOX + '_C', projectController.redo());
+  assertEquals(toolbox, project.getToolbox('C'));
+}
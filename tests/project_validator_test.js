@@ -0,0 +1,134 @@
+/**
+ * @license
+ * Blockly Demos: Block Factory
+ *
+ * Copyright 2017 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for checking projects for problems.
+ */
+
+'use strict';
+
+/**
+ * Returns a project with no problems: one block, used in a toolbox category.
+ * @return {!Project} The project.
+ */
+function makeValidatedProject() {
+  const project = new Project('MyProject');
+  const library = new BlockLibrary('MyLibrary');
+  library.add(new BlockDefinition('my_block', JSON.stringify({
+    type: 'my_block',
+    message0: 'my block %1',
+    args0: [{type: 'field_input', name: 'TEXT', text: ''}],
+    colour: 230,
+    tooltip: 'Does something.',
+    helpUrl: 'https://example.com/my_block'
+  })));
+  project.addBlockLibrary(library);
+  const toolbox = new Toolbox('MyToolbox');
+  toolbox.loadFromXml(Blockly.Xml.textToDom('<xml>' +
+      '<category name="Blocks" colour="#5ba5a5">' +
+      '<block type="my_block"></block><block type="math_number"></block>' +
+      '</category><category name="Variables" custom="VARIABLE"></category>' +
+      '</xml>'));
+  project.addToolbox(toolbox);
+  const config = new WorkspaceConfiguration('MyConfig');
+  config.setOptions({readOnly: true, rtl: false});
+  project.addWorkspaceConfiguration(config);
+  return project;
+}
+
+/**
+ * Returns the messages of the problems found in a project.
+ * @param {!Project} project The project to check.
+ * @return {!Array.<string>} The messages.
+ */
+function getIssueMessages(project) {
+  return ProjectValidator.validate(project).map((issue) => issue.message);
+}
+
+function test_validate_validProject() {
+  assertEquals('', getIssueMessages(makeValidatedProject()).join('\n'));
+}
+
+function test_validate_blockDefinitions() {
+  const project = makeValidatedProject();
+  project.getBlockLibrary('MyLibrary').add(new BlockDefinition('other_block',
+      JSON.stringify({
+        type: 'other_block',
+        message0: '%1 %2',
+        args0: [
+          {type: 'field_input', name: 'A'},
+          {type: 'field_dropdown', name: 'A', options: [['a', 'A']]}
+        ],
+        colour: 400,
+        tooltip: '',
+        helpUrl: ''
+      })));
+  const issues = ProjectValidator.validate(project);
+  assertEquals([
+    'Block "other_block" is not used in any toolbox or workspace contents.',
+    'Block "other_block" has an empty tooltip.',
+    'Block "other_block" has an empty help URL.',
+    'Block "other_block" has an invalid colour "400".',
+    'Block "other_block" has more than one field named "A".'
+  ].join('\n'), issues.map((issue) => issue.message).join('\n'));
+  assertEquals(PREFIXES.BLOCK + '_other_block', issues[0].nodeId);
+}
+
+function test_validate_duplicateBlockTypes() {
+  const project = makeValidatedProject();
+  const library = new BlockLibrary('OtherLibrary');
+  library.add(new BlockDefinition('my_block', project.getBlockDefinition(
+      'my_block').json));
+  project.addBlockLibrary(library);
+  assertEquals('Block "my_block" is defined in both library "MyLibrary" and ' +
+      'library "OtherLibrary".', getIssueMessages(project).join('\n'));
+}
+
+function test_validate_toolboxesAndWorkspaces() {
+  const project = makeValidatedProject();
+  const toolbox = new Toolbox('OtherToolbox');
+  toolbox.loadFromXml(Blockly.Xml.textToDom('<xml>' +
+      '<category name="Empty"></category>' +
+      '<category name="Missing" colour="blue">' +
+      '<block type="my_block"></block><block type="missing_block"></block>' +
+      '</category></xml>'));
+  project.addToolbox(toolbox);
+  const contents = new WorkspaceContents('MyContents');
+  contents.setXml(Blockly.Xml.textToDom(
+      '<xml><block type="missing_block"></block></xml>'));
+  project.addWorkspaceContents(contents);
+  project.getWorkspaceConfiguration('MyConfig').options['trashcan'] = true;
+
+  const issues = ProjectValidator.validate(project);
+  assertEquals([
+    'Toolbox "OtherToolbox", category "Empty" is empty.',
+    'Toolbox "OtherToolbox", category "Missing" uses the undefined block ' +
+        'type "missing_block".',
+    'Toolbox "OtherToolbox", category "Missing" has an invalid colour "blue".',
+    'Workspace contents "MyContents" uses the undefined block type ' +
+        '"missing_block".',
+    'Workspace configuration "MyConfig" is read-only, so has no toolbox, ' +
+        'but sets the toolbox options trashcan.'
+  ].join('\n'), issues.map((issue) => issue.message).join('\n'));
+  assertEquals(PREFIXES.TOOLBOX + '_OtherToolbox', issues[0].nodeId);
+  assertEquals(toolbox.categoryList[0].id, issues[0].categoryId);
+  assertEquals(PREFIXES.WORKSPACE_CONTENTS + '_MyContents', issues[3].nodeId);
+  assertEquals(null, issues[3].categoryId);
+}
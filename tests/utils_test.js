@@ -48,3 +48,688 @@ function test_isStandardCategoryName_simple() {
     }
   }
 }
+
+function test_extractXmlFromJsFile_roundTrip() {
+  const xmlString = '<xml id="toolbox">\n' +
+      '  <category name="Tom\'s blocks" colour="#5C81A6">\n' +
+      '    <block type="text"><field name="TEXT">it\'s a \\ test</field></block>\n' +
+      '  </category>\n' +
+      '</xml>';
+  const jsString = `
+var BLOCKLY_TOOLBOX_XML = BLOCKLY_TOOLBOX_XML || Object.create(null);
+
+/* BEGINNING BLOCKLY_TOOLBOX_XML ASSIGNMENT. DO NOT EDIT. USE BLOCKLY DEVTOOLS. */
+BLOCKLY_TOOLBOX_XML['toolbox'] =
+    ${FactoryUtils.concatenateXmlString(xmlString)};
+/* END BLOCKLY_TOOLBOX_XML ASSIGNMENT. DO NOT EDIT. */
+`;
+  assertEquals(xmlString.replace(/\n\s*/g, ''),
+      FactoryUtils.extractXmlFromJsFile(jsString));
+}
+
+function test_extractXmlFromJsFile_noAssignment() {
+  assertEquals(null, FactoryUtils.extractXmlFromJsFile('var x = \'<xml></xml>\';'));
+}
+
+function test_extractResourceNameFromJsFile() {
+  const jsString = `
+var BLOCKLY_WORKSPACE_XML = BLOCKLY_WORKSPACE_XML || Object.create(null);
+
+/* BEGINNING BLOCKLY_WORKSPACE_XML ASSIGNMENT. DO NOT EDIT. USE BLOCKLY DEVTOOLS. */
+BLOCKLY_WORKSPACE_XML['Tom\\'s workspace'] =
+    '<xml></xml>';
+/* END BLOCKLY_WORKSPACE_XML ASSIGNMENT. DO NOT EDIT. */
+`;
+  assertEquals('Tom\'s workspace',
+      FactoryUtils.extractResourceNameFromJsFile(jsString));
+  assertEquals(null, FactoryUtils.extractResourceNameFromJsFile('<xml></xml>'));
+}
+
+function test_getGeneratorStub_statementPlaceholder() {
+  const block = {type: 'lua_block', inputList: [], outputConnection: null};
+  const stub = FactoryUtils.getGeneratorStub(block, 'Lua');
+  assertEquals(0,
+      stub.indexOf('Blockly.Lua[\'lua_block\'] = function(block) {'));
+  assertTrue(stub.indexOf('var code = \'-- TODO: lua_block\\n\';') != -1);
+}
+
+function test_getGeneratorStub_valuePlaceholder() {
+  const block = {type: 'py_block', inputList: [], outputConnection: {}};
+  const stub = FactoryUtils.getGeneratorStub(block, 'Python');
+  assertTrue(stub.indexOf('var code = \'None\';') != -1);
+  assertTrue(stub.indexOf('return [code, Blockly.Python.ORDER_ATOMIC];') != -1);
+}
+
+function test_getGeneratorStub_statementDeclarations() {
+  const block = {type: 'set_item', outputConnection: null, inputList: [
+    {name: 'ITEM', type: Blockly.INPUT_VALUE, fieldRow: []}
+  ]};
+  const name = '.variableDB_.getDistinctName(\'item\', ' +
+      'Blockly.Variables.NAME_TYPE)';
+  const expected = {
+    'JavaScript': ['ORDER_ASSIGNMENT) || \'null\';',
+        '\'var \' + Blockly.JavaScript' + name + ' + \' = \' + value_item + ' +
+        '\';\\n\';'],
+    'Python': ['ORDER_NONE) || \'None\';',
+        'Blockly.Python' + name + ' + \' = \' + value_item + \'\\n\';'],
+    'PHP': ['ORDER_ASSIGNMENT) || \'null\';',
+        'Blockly.PHP' + name + ' + \' = \' + value_item + \';\\n\';'],
+    'Lua': ['ORDER_NONE) || \'nil\';',
+        '\'local \' + Blockly.Lua' + name + ' + \' = \' + value_item + ' +
+        '\'\\n\';'],
+    'Dart': ['ORDER_ASSIGNMENT) || \'null\';',
+        '\'var \' + Blockly.Dart' + name + ' + \' = \' + value_item + ' +
+        '\';\\n\';']
+  };
+  for (let language in FactoryUtils.GENERATOR_SYNTAX) {
+    const lines = FactoryUtils.getGeneratorStub(block, language).split('\n');
+    assertEquals('  var value_item = Blockly.' + language +
+        '.valueToCode(block, \'ITEM\', Blockly.' + language + '.' +
+        expected[language][0], lines[1]);
+    assertEquals('  code += ' + expected[language][1],
+        lines[lines.length - 3]);
+  }
+}
+
+function test_renameBlockTypeInCode() {
+  const code = 'Blockly.JavaScript[\'my.block\'] = function(block) {\n' +
+      '  return Blockly.JavaScript["my.block"].call(block, block) +\n' +
+      '      Blockly.JavaScript[\'myXblock\'](block);\n' +
+      '};';
+  assertTrue(FactoryUtils.codeReferencesBlockType(code, 'my.block'));
+  assertFalse(FactoryUtils.codeReferencesBlockType(code, 'my'));
+  assertEquals('Blockly.JavaScript[\'new_block\'] = function(block) {\n' +
+      '  return Blockly.JavaScript["new_block"].call(block, block) +\n' +
+      '      Blockly.JavaScript[\'myXblock\'](block);\n' +
+      '};',
+      FactoryUtils.renameBlockTypeInCode(code, 'my.block', 'new_block'));
+}
+
+function test_getBlockTypesInXml() {
+  const xml = Blockly.Xml.textToDom('<xml>' +
+      '<block type="a"><value name="X"><shadow type="b"></shadow>' +
+      '<block type="a"></block></value></block>' +
+      '<block type="c"></block></xml>');
+  const blockTypes = FactoryUtils.getBlockTypesInXml(xml).sort();
+  assertEquals('a,b,c', blockTypes.join(','));
+}
+
+function test_removeUndefinedBlocks() {
+  Blockly.Blocks['defined_block'] = {};
+  try {
+    const xml = Blockly.Xml.textToDom('<xml>' +
+        '<category name="A">' +
+        '<block type="defined_block"><value name="X">' +
+        '<shadow type="missing_shadow"></shadow></value></block>' +
+        '<block type="defined_block"></block>' +
+        '<block type="missing_block"><next>' +
+        '<block type="missing_block"></block></next></block>' +
+        '</category></xml>');
+    const undefinedTypes = FactoryUtils.removeUndefinedBlocks(xml);
+    assertEquals('missing_block,missing_shadow',
+        undefinedTypes.sort().join(','));
+    // Only the block with no undefined blocks inside it is left.
+    const category = xml.getElementsByTagName('category')[0];
+    assertEquals(1, category.getElementsByTagName('block').length);
+    assertEquals(0, category.getElementsByTagName('shadow').length);
+    assertEquals('defined_block',
+        category.getElementsByTagName('block')[0].getAttribute('type'));
+  } finally {
+    delete Blockly.Blocks['defined_block'];
+  }
+}
+
+function test_removeUndefinedBlocks_allDefined() {
+  Blockly.Blocks['defined_block'] = {};
+  try {
+    const xml = Blockly.Xml.textToDom('<xml>' +
+        '<block type="defined_block"><next>' +
+        '<shadow type="defined_block"></shadow></next></block></xml>');
+    assertEquals(0, FactoryUtils.removeUndefinedBlocks(xml).length);
+    assertEquals(1, xml.getElementsByTagName('block').length);
+    assertEquals(1, xml.getElementsByTagName('shadow').length);
+  } finally {
+    delete Blockly.Blocks['defined_block'];
+  }
+}
+
+function test_parseBlockDefinitionsFile_json() {
+  const jsonArray = '[{"type": "a", "message0": "A"},\n{"type": "b"}]';
+  const concatenated = '{"type": "a", "message0": "A"}\n\n{"type": "b"}';
+  for (let fileContents of [jsonArray, concatenated]) {
+    const blockJsons = FactoryUtils.parseBlockDefinitionsFile(fileContents);
+    assertEquals(2, blockJsons.length);
+    assertEquals('a', blockJsons[0].type);
+    assertEquals('A', blockJsons[0].message0);
+    assertEquals('b', blockJsons[1].type);
+  }
+}
+
+function test_parseBlockDefinitionsFile_javaScript() {
+  const fileContents = `
+Blockly.Blocks['a'] = {
+  init: function() {
+    var blockJson = {"message0": "A", "colour": 120};
+    this.jsonInit(blockJson);
+  }
+};
+Blockly.defineBlocksWithJsonArray([{"type": "b"}]);
+Blockly.JavaScript['a'] = function(block) {
+  return 'a;\\n';
+};`;
+  const blockJsons = FactoryUtils.parseBlockDefinitionsFile(fileContents);
+  assertEquals(2, blockJsons.length);
+  assertEquals('b', blockJsons[0].type);
+  assertEquals('a', blockJsons[1].type);
+  assertEquals(120, blockJsons[1].colour);
+  if (Blockly.Blocks['a'] || Blockly.JavaScript['a']) {
+    fail('Imported definitions should not be added to Blockly.');
+  }
+}
+
+function test_parseBlockDefinitionsFile_doesNotRunFile() {
+  window.importedFileRan = false;
+  const fileContents = `
+window.importedFileRan = true;
+// Blockly.Blocks['commented_out'] = {};
+Blockly.Blocks.a = {
+  init: function() {
+    this.jsonInit({"message0": "{ [ \\"A\\" ] }"});
+  }
+};
+Blockly.Blocks["b"] = {init: function() { this.jsonInit({"message0": "B"}); }};
+Blockly.defineBlocksWithJsonArray([
+  {"type": "c"},
+  {"type": "join_mutator_container"},
+  {"type": "join_mutator_item"}
+]);
+Blockly.Extensions.registerMutator('join_mutator', JOIN_MIXIN,
+    function() {
+      this.items_ = 0;
+    },
+    ["join_mutator_item"]);`;
+  try {
+    const blockJsons = FactoryUtils.parseBlockDefinitionsFile(fileContents);
+    assertEquals('c,a,b',
+        blockJsons.map((blockJson) => blockJson.type).join(','));
+    assertEquals('{ [ "A" ] }', blockJsons[1].message0);
+    assertFalse(window.importedFileRan);
+  } finally {
+    delete window.importedFileRan;
+  }
+}
+
+function test_parseBlockDefinitionsFile_notJson() {
+  const notJson = `
+Blockly.Blocks['a'] = {
+  init: function() {
+    this.jsonInit({message0: 'A'});
+  }
+};`;
+  const notJsonInit = `
+Blockly.Blocks['b'] = {
+  init: function() {
+    this.appendDummyInput().appendField('B');
+  }
+};`;
+  for (let fileContents of [notJson, notJsonInit]) {
+    try {
+      FactoryUtils.parseBlockDefinitionsFile(fileContents);
+    } catch (e) {
+      continue;
+    }
+    fail('Definitions which are not JSON should not be imported.');
+  }
+}
+
+function test_buildFactoryXmlFromJson_roundTrip() {
+  const blockJsons = [{
+    type: 'set_item',
+    lastDummyAlign0: 'CENTRE',
+    message0: 'set %1 to %2 100%% %3',
+    args0: [
+      {type: 'field_variable', name: 'VAR', variable: 'item'},
+      {type: 'input_value', name: 'VALUE', check: ['Number', 'Foo'],
+          align: 'RIGHT'},
+      {type: 'field_dropdown', name: 'UNIT', options: [['cm', 'CM'],
+          [{src: 'star.png', width: 15, height: 15, alt: '*'}, 'STAR']]}
+    ],
+    inputsInline: true,
+    previousStatement: null,
+    nextStatement: 'Action',
+    colour: 120,
+    tooltip: 'Sets an item.',
+    helpUrl: 'https://example.com'
+  }, {
+    type: 'repeat_text',
+    message0: '%1 repeat %2 %3 do %4',
+    args0: [
+      {type: 'field_image', src: 'loop.png', width: 10, height: 12, alt: 'a'},
+      {type: 'field_number', name: 'TIMES', value: 3, min: 0, precision: 1},
+      {type: 'input_dummy', align: 'RIGHT'},
+      {type: 'input_statement', name: 'DO', check: 'Boolean'}
+    ],
+    inputsInline: false,
+    output: 'String',
+    colour: 20,
+    tooltip: '',
+    helpUrl: ''
+  }, {
+    type: 'when_else',
+    lastDummyAlign0: 'RIGHT',
+    message0: 'when %1',
+    args0: [{type: 'field_input', name: 'NAME', text: 'x'}],
+    message1: 'do %1',
+    args1: [{type: 'input_statement', name: 'DO'}],
+    message2: 'else %1',
+    args2: [{type: 'input_statement', name: 'ELSE'}],
+    previousStatement: null,
+    nextStatement: null,
+    colour: 210,
+    tooltip: '',
+    helpUrl: ''
+  }];
+  const workspace = new Blockly.Workspace();
+  for (let blockJson of blockJsons) {
+    const xml = FactoryUtils.buildFactoryXmlFromJson(blockJson);
+    const json = FactoryUtils.getBlockDefFromXml(
+        'JSON', xml.firstElementChild, workspace);
+    assertEquals(JSON.stringify(blockJson, null, '  '), json);
+    workspace.clear();
+  }
+  workspace.dispose();
+}
+
+function test_processWorkspaceConfigDataString_legacyFile() {
+  const options = {
+    collapse: true,
+    maxBlocks: Infinity,
+    media: 'media/',
+    toolboxPosition: 'start',
+    grid: {spacing: 20, length: 1, colour: '#ccc', snap: true},
+    zoom: {controls: true, startScale: 1.5}
+  };
+  // A workspace configuration file as written by earlier versions of DevTools.
+  const attributes = 'toolbox : BLOCKLY_TOOLBOX_XML[/* TODO: Insert name ' +
+      'of imported toolbox to display here */], \n' +
+      FactoryUtils.stringifyOptions_(options, '\t');
+  const dataString = `
+/* BEGINNING BLOCKLY_OPTIONS ASSIGNMENT. DO NOT EDIT. USE BLOCKLY DEVTOOLS. */
+var BLOCKLY_OPTIONS = BLOCKLY_OPTIONS || Object.create(null);
+
+BLOCKLY_OPTIONS['MyConfig'] = ${attributes};
+/* END BLOCKLY_OPTIONS ASSIGNMENT. DO NOT EDIT. */
+
+document.onload = function() {
+  /* Inject your workspace */
+  /* TODO: Add ID of div to inject Blockly into */
+  var workspace = Blockly.inject(null, BLOCKLY_OPTIONS);
+};
+`;
+  const parsed =
+      ReadWriteController.prototype.processWorkspaceConfigDataString(dataString);
+  assertEquals(JSON.stringify({
+    collapse: true,
+    maxBlocks: null,
+    media: 'media/',
+    toolboxPosition: 'start',
+    grid: {spacing: 20, length: 1, colour: '#ccc', snap: true},
+    zoom: {controls: true, startScale: 1.5}
+  }), JSON.stringify(parsed));
+}
+
+function test_parseOptionsString() {
+  const json = '{\n\t"readOnly": true,\n\t"grid": {"spacing": 10}\n}';
+  assertEquals('{"readOnly":true,"grid":{"spacing":10}}',
+      JSON.stringify(FactoryUtils.parseOptionsString(json)));
+  assertEquals('{"readOnly":true,"css":false}', JSON.stringify(
+      FactoryUtils.parseOptionsString('{readOnly : true, css : false}')));
+  assertEquals('{}', JSON.stringify(FactoryUtils.parseOptionsString('{}\n')));
+  for (let invalid of ['\tcollapse true', '\tcollapse : alert(1)',
+      '{collapse : true']) {
+    try {
+      FactoryUtils.parseOptionsString(invalid);
+    } catch (e) {
+      continue;
+    }
+    fail('Options which cannot be parsed should throw: ' + invalid);
+  }
+}
+
+function test_generateMultiInjectFile() {
+  const mainConfig = {options: {'collapse': true}};
+  const referenceConfig = {options: {'readOnly': true}};
+  const injectFile = FactoryUtils.generateMultiInjectFile([
+    {workspaceConfig: mainConfig, div: 'editor', toolboxName: 'tools',
+        workspaceName: 'start'},
+    {workspaceConfig: referenceConfig, div: 'reference', toolboxName: null,
+        workspaceName: 'start'}
+  ]);
+  assertTrue(injectFile.indexOf('Blockly.inject("editor",') != -1);
+  assertTrue(injectFile.indexOf('Blockly.inject("reference",') != -1);
+  assertTrue(
+      injectFile.indexOf('BLOCKLY_WORKSPACES["reference"] = workspace;') != -1);
+  assertEquals(1,
+      injectFile.split('toolbox : BLOCKLY_TOOLBOX_XML["tools"]').length - 1);
+  assertEquals(2, injectFile.split('BLOCKLY_WORKSPACE_XML["start"]').length - 1);
+}
+
+function test_generateMultiInjectFile_escapesNames() {
+  const injectFile = FactoryUtils.generateMultiInjectFile([
+    {workspaceConfig: {options: {}}, div: 'a"b', toolboxName: 'my "tools"',
+        workspaceName: 'it\'s </script>'}
+  ]);
+  assertTrue(injectFile.indexOf('Blockly.inject("a\\"b",') != -1);
+  assertTrue(injectFile.indexOf('BLOCKLY_TOOLBOX_XML["my \\"tools\\""]') != -1);
+  assertTrue(
+      injectFile.indexOf('BLOCKLY_WORKSPACE_XML["it\'s <\\/script>"]') != -1);
+}
+
+function test_escapeHtml() {
+  assertEquals('&lt;div id=&quot;a&quot;&gt; &amp; &#39;b&#39;',
+      FactoryUtils.escapeHtml('<div id="a"> & \'b\''));
+}
+
+function test_isValidDivId() {
+  assertTrue(FactoryUtils.isValidDivId('blocklyDiv'));
+  assertTrue(FactoryUtils.isValidDivId('editor-2_main'));
+  assertFalse(FactoryUtils.isValidDivId(''));
+  assertFalse(FactoryUtils.isValidDivId('2d'));
+  assertFalse(FactoryUtils.isValidDivId('a"><script>'));
+  assertFalse(FactoryUtils.isValidDivId('my div'));
+}
+
+function test_generateTypeDeclarations() {
+  const declarations = FactoryUtils.generateTypeDeclarations('Lib', [{
+    type: 'set_item',
+    message0: 'set %1 to %2 %3',
+    args0: [
+      {type: 'field_variable', name: 'VAR', variable: 'item'},
+      {type: 'input_value', name: 'VALUE', check: ['Number', 'Foo']},
+      {type: 'field_dropdown', name: 'UNIT', options: [['cm', 'CM'],
+          ['in', 'IN']]}
+    ],
+    message1: 'do %1',
+    args1: [{type: 'input_statement', name: 'DO'}]
+  }, {
+    type: '2d_point',
+    message0: '%1',
+    args0: [{type: 'field_number', name: 'X', value: 0}]
+  }]);
+  assertTrue(declarations.indexOf('export interface SetItemFields {\n' +
+      '  "VAR": string;\n  "UNIT": "CM" | "IN";\n}') != -1);
+  assertTrue(declarations.indexOf('export interface SetItemInputs {\n' +
+      '  "VALUE": {kind: "value"; check: "Number" | "Foo"};\n' +
+      '  "DO": {kind: "statement"; check: null};\n}') != -1);
+  assertTrue(declarations.indexOf('  "X": number;') != -1);
+  assertTrue(declarations.indexOf('export interface Blocks {\n' +
+      '  "set_item": SetItemBlock;\n  "2d_point": Block2dPointBlock;\n}') != -1);
+}
+
+function test_getMutatorFromXml_mutableBlock() {
+  const xml = Blockly.Xml.textToDom('<xml>' +
+      '<block type="factory_base"><field name="NAME">join_items</field>' +
+      '<value name="MUTATOR"><block type="mutator_container">' +
+      '<field name="LABEL">join</field><statement name="ITEMS">' +
+      '<block type="mutator_item"><field name="LABEL">item</field>' +
+      '<field name="INPUTTYPE">input_value</field>' +
+      '<field name="INPUTNAME">ADD</field><field name="TEXT">with</field>' +
+      '<field name="ATTRIBUTE">items</field>' +
+      '<next><block type="mutator_item"><field name="LABEL">else</field>' +
+      '<field name="INPUTTYPE">input_statement</field>' +
+      '<field name="INPUTNAME">ELSE</field><field name="TEXT"></field>' +
+      '<field name="ATTRIBUTE">else</field></block></next>' +
+      '</block></statement></block></value></block></xml>');
+  const mutator = FactoryUtils.getMutatorFromXml(xml);
+  assertEquals('join_items_mutator', mutator.name);
+  assertEquals('join_items_mutator_items,join_items_mutator_else',
+      mutator.items.map((item) => item.blockType).join(','));
+  assertEquals(null, FactoryUtils.getMutatorFromXml(Blockly.Xml.textToDom(
+      '<xml><block type="factory_base"></block></xml>')));
+
+  FactoryUtils.defineMutator(mutator);
+  Blockly.Blocks['join_items'] = {
+    init: function() {
+      this.jsonInit({message0: 'join', mutator: 'join_items_mutator'});
+    }
+  };
+  const workspace = new Blockly.Workspace();
+  try {
+    const block = workspace.newBlock('join_items');
+    block.domToMutation(Blockly.Xml.textToDom(
+        '<mutation items="2" else="1"></mutation>'));
+    assertEquals(',ADD0,ADD1,ELSE0',
+        block.inputList.map((input) => input.name).join(','));
+    const mutation = block.mutationToDom();
+    assertEquals('2', mutation.getAttribute('items'));
+    assertEquals('1', mutation.getAttribute('else'));
+  } finally {
+    workspace.dispose();
+    delete Blockly.Blocks['join_items'];
+  }
+}
+
+function test_defineExtension_functionAndMixin() {
+  assertTrue(FactoryUtils.isMixinCode('  {\n  colourful: true\n}'));
+  assertFalse(FactoryUtils.isMixinCode('function() {}'));
+  FactoryUtils.defineExtension('test_tooltip',
+      'function() {\n  this.setTooltip(\'Extended\');\n}');
+  FactoryUtils.defineExtension('test_mixin', '{\n  colourful: true\n}');
+  Blockly.Blocks['extended_block'] = {
+    init: function() {
+      this.jsonInit({message0: 'extended',
+          extensions: ['test_tooltip', 'test_mixin']});
+    }
+  };
+  const workspace = new Blockly.Workspace();
+  try {
+    const block = workspace.newBlock('extended_block');
+    assertEquals('Extended', block.tooltip);
+    assertTrue(block.colourful);
+
+    // Registering an extension again replaces it.
+    FactoryUtils.defineExtension('test_tooltip',
+        'function() {\n  this.setTooltip(\'Replaced\');\n}');
+    assertEquals('Replaced', workspace.newBlock('extended_block').tooltip);
+  } finally {
+    workspace.dispose();
+    delete Blockly.Blocks['extended_block'];
+    FactoryUtils.undefineExtension('test_tooltip');
+    FactoryUtils.undefineExtension('test_mixin');
+  }
+  assertFalse('test_tooltip' in Blockly.Extensions.ALL_);
+}
+
+function test_getExtensionCode_laterBlockly() {
+  // Later versions of Blockly have isRegistered() instead of ALL_, and throw
+  // when an extension is registered twice.
+  const registered = Object.create(null);
+  const laterBlockly = {Extensions: {
+    isRegistered: (name) => name in registered,
+    register: (name, extension) => {
+      if (name in registered) {
+        throw new Error('Extension "' + name + '" is already registered.');
+      }
+      registered[name] = extension;
+    }
+  }};
+  const code = FactoryUtils.getExtensionCode('test_tooltip',
+      'function() {\n  this.setTooltip(\'Extended\');\n}');
+  // Run twice, as when two libraries use the extension.
+  new Function('Blockly', code + '\n' + code)(laterBlockly);
+  assertEquals('function', typeof registered['test_tooltip']);
+}
+
+function test_generateWorkspaceCode_javaScript() {
+  const blockDef = new BlockDefinition('say_hello', JSON.stringify({
+    type: 'say_hello',
+    message0: 'say hello',
+    previousStatement: null,
+    nextStatement: null
+  }));
+  blockDef.setGeneratorCode('JavaScript',
+      'Blockly.JavaScript[\'say_hello\'] = function(block) {\n' +
+      '  return \'hello();\\n\';\n' +
+      '};');
+  blockDef.define();
+  const workspace = new Blockly.Workspace();
+  try {
+    const hello = workspace.newBlock('say_hello');
+    const print = workspace.newBlock('text_print');
+    const text = workspace.newBlock('text');
+    text.setFieldValue('hi', 'TEXT');
+    print.getInput('TEXT').connection.connect(text.outputConnection);
+    hello.nextConnection.connect(print.previousConnection);
+
+    const result = FactoryUtils.generateWorkspaceCode(workspace, 'JavaScript',
+        {'say_hello': blockDef});
+    assertEquals(0, result.missingBlocks.length);
+    assertEquals('hello();\nwindow.alert(\'hi\');\n', result.code);
+    // The user-written generator is only installed while generating code.
+    assertFalse('say_hello' in Blockly.JavaScript);
+
+    workspace.newBlock('say_hello');
+    const missing = FactoryUtils.generateWorkspaceCode(workspace, 'JavaScript',
+        {});
+    assertEquals(null, missing.code);
+    assertEquals(2, missing.missingBlocks.length);
+  } finally {
+    workspace.dispose();
+    delete Blockly.Blocks['say_hello'];
+  }
+}
+
+function test_getGeneratorStub_javaScriptRuns() {
+  const blockDef = new BlockDefinition('set_item', JSON.stringify({
+    type: 'set_item',
+    message0: 'set item to %1',
+    args0: [{type: 'input_value', name: 'ITEM'}],
+    previousStatement: null,
+    nextStatement: null
+  }));
+  blockDef.define();
+  const workspace = new Blockly.Workspace();
+  try {
+    const block = workspace.newBlock('set_item');
+    blockDef.setGeneratorCode('JavaScript',
+        FactoryUtils.getGeneratorStub(block, 'JavaScript'));
+    const number = workspace.newBlock('math_number');
+    number.setFieldValue('5', 'NUM');
+    block.getInput('ITEM').connection.connect(number.outputConnection);
+    workspace.newBlock('set_item');
+
+    const result = FactoryUtils.generateWorkspaceCode(workspace, 'JavaScript',
+        {'set_item': blockDef});
+    assertEquals('// TODO: set_item\nvar item = 5;\n\n' +
+        '// TODO: set_item\nvar item2 = null;\n', result.code);
+  } finally {
+    workspace.dispose();
+    delete Blockly.Blocks['set_item'];
+  }
+}
+
+function test_defineFieldType_jsonAndFactoryBlocks() {
+  FactoryUtils.defineFieldType('field_test_slider', {value: 50, max: 100},
+      'class extends Blockly.FieldNumber {\n' +
+      '  static fromJson(options) {\n' +
+      '    return new this(options.value, 0, options.max);\n' +
+      '  }\n' +
+      '}');
+  const blockJson = {
+    type: 'slider_block',
+    message0: 'level %1',
+    args0: [{type: 'field_test_slider', value: 7, max: 10, name: 'LEVEL'}],
+    previousStatement: null,
+    nextStatement: null,
+    colour: 230,
+    tooltip: '',
+    helpUrl: ''
+  };
+  Blockly.Blocks['slider_block'] = {
+    init: function() {
+      this.jsonInit(blockJson);
+    }
+  };
+  const workspace = new Blockly.Workspace();
+  try {
+    const block = workspace.newBlock('slider_block');
+    assertTrue(block.getField('LEVEL') instanceof Blockly.FieldNumber);
+    assertEquals('7', block.getFieldValue('LEVEL'));
+    assertEquals(
+        "  var number_level = block.getFieldValue('LEVEL');",
+        FactoryUtils.getGeneratorStub(block, 'JavaScript').split('\n')[1]);
+
+    // The field block of the block editor gives back the same definition.
+    const xml = FactoryUtils.buildFactoryXmlFromJson(blockJson);
+    assertEquals(JSON.stringify(blockJson, null, '  '),
+        FactoryUtils.getBlockDefFromXml(
+            'JSON', xml.firstElementChild, workspace));
+  } finally {
+    workspace.dispose();
+    delete Blockly.Blocks['slider_block'];
+    FactoryUtils.undefineFieldType('field_test_slider');
+  }
+  assertEquals(null, FactoryUtils.getFieldTypeParams('field_test_slider'));
+}
+
+function test_getFieldTypeCode_runsOnBundledBlockly() {
+  // The Blockly bundled with DevTools has no field registry.
+  assertEquals(undefined, Blockly.fieldRegistry);
+  const code = FactoryUtils.getFieldTypeCode('field_test_stepper',
+      'class extends Blockly.FieldNumber {\n' +
+      '  static fromJson(options) {\n' +
+      '    return new this(options.value);\n' +
+      '  }\n' +
+      '}');
+  // Run twice, as when two libraries use the field type.
+  new Function('Blockly', code + '\n' + code)(Blockly);
+  Blockly.Blocks['stepper_block'] = {
+    init: function() {
+      this.jsonInit({message0: 'step %1 %2', args0: [
+        {type: 'field_test_stepper', name: 'STEP', value: 3},
+        {type: 'field_label', text: 'times'}
+      ]});
+    }
+  };
+  const workspace = new Blockly.Workspace();
+  try {
+    const block = workspace.newBlock('stepper_block');
+    assertTrue(block.getField('STEP') instanceof Blockly.FieldNumber);
+    assertEquals('3', block.getFieldValue('STEP'));
+    assertEquals('times', block.inputList[0].fieldRow[2].getText());
+  } finally {
+    workspace.dispose();
+    delete Blockly.Blocks['stepper_block'];
+    delete Blockly.Block.customFieldTypes_['field_test_stepper'];
+  }
+}
+
+function test_localizeBlockJson() {
+  const blockJson = {
+    type: 'set_item',
+    message0: 'set %1 to 100%%',
+    args0: [{type: 'field_dropdown', name: 'UNIT', options: [['cm', 'CM'],
+        [{src: 'star.png', width: 15, height: 15, alt: '*'}, 'STAR']]}],
+    message1: '%1',
+    args1: [{type: 'input_value', name: 'VALUE'}],
+    tooltip: 'Sets an item.',
+    helpUrl: ''
+  };
+  const messages = Object.create(null);
+  const json = FactoryUtils.localizeBlockJson(blockJson, messages);
+  assertEquals('%{BKY_SET_ITEM_MESSAGE0}', json.message0);
+  assertEquals('%{BKY_SET_ITEM_UNIT_CM}', json.args0[0].options[0][0]);
+  assertEquals('star.png', json.args0[0].options[1][0].src);
+  assertEquals('%1', json.message1);
+  assertEquals('%{BKY_SET_ITEM_TOOLTIP}', json.tooltip);
+  assertEquals('', json.helpUrl);
+  // The definition itself is not changed.
+  assertEquals('set %1 to 100%%', blockJson.message0);
+  assertEquals('SET_ITEM_MESSAGE0,SET_ITEM_TOOLTIP,SET_ITEM_UNIT_CM',
+      Object.keys(messages).sort().join(','));
+  assertEquals('set %1 to 100%%', messages['SET_ITEM_MESSAGE0']);
+
+  const file = FactoryUtils.generateMessagesFile('en', messages);
+  assertTrue(file.indexOf(
+      'Blockly.Msg["SET_ITEM_UNIT_CM"] = "cm";') != -1);
+}